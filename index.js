@@ -1,53 +1,193 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { Vonage } from '@vonage/server-sdk';
 import { createClient } from '@supabase/supabase-js';
 import QRCode from 'qrcode';
-import { randomUUID } from 'node:crypto';
-
-dotenv.config();
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import { renderDocsPage, renderIndexPage } from './src/api-docs.js';
+import { createAuditLog, parseAuditQuery } from './src/audit.js';
+import { createAuth, hasRole } from './src/auth.js';
+import {
+	parseSmsRuCallback,
+	parseVonageReceipt,
+	verifyVonageSignature,
+	verifyWebhookToken,
+} from './src/delivery-webhooks.js';
+import { parseQrRenderOptions, renderQr } from './src/qr-render.js';
+import { createQrSigner, parseSigningKeys } from './src/qr-signing.js';
+import { logger, requestLogging } from './src/logger.js';
+import { createOtpMetrics, createTimedFetch, METRICS_CONTENT_TYPE } from './src/metrics.js';
+import { buildOpenApiDocument, findUndocumentedRoutes } from './src/openapi.js';
+import { createOtpCodeHasher } from './src/otp-codes.js';
+import { createOtpPurposes } from './src/otp-purposes.js';
+import {
+	applyOtpRequestFilters,
+	encodeCursor,
+	parseOtpRequestListQuery,
+} from './src/otp-request-filters.js';
+import { createOtpSweeper, DEFAULT_RETENTION_DAYS } from './src/otp-sweeper.js';
+import { createPhonePolicy, maskPhone } from './src/phone.js';
+import { applyProfileFilters, parseProfileListQuery } from './src/profile-filters.js';
+import {
+	BATCH_SEND_CONCURRENCY,
+	labelQrModuleMm,
+	MIN_QR_MODULE_MM,
+	parseBatchRows,
+	parseSheetLayout,
+	renderLabelSheet,
+} from './src/print-batch.js';
+import { createMessageRenderer, DEFAULT_LOCALE, resolveLocale } from './src/sms-templates.js';
+import { createSnilsCipher, maskSnils, parseSnils } from './src/snils.js';
+import {
+	BODY_LIMITS,
+	OTP_CANCEL_BODY_SCHEMA,
+	OTP_REPORT_SCHEMA,
+	OTP_REQUEST_BODY_SCHEMA,
+	OTP_REQUEST_PARAMS_SCHEMA,
+	OTP_RESEND_BODY_SCHEMA,
+	OTP_VERIFY_BODY_SCHEMA,
+	PRINT_BATCH_BODY_SCHEMA,
+	PROFILE_ENSURE_BODY_SCHEMA,
+	PROFILE_PARAMS_SCHEMA,
+	PROFILE_UPDATE_BODY_SCHEMA,
+	QR_VERIFY_BODY_SCHEMA,
+} from './src/schemas.js';
+import { createSupabaseSessionIssuer } from './src/supabase-session.js';
+import {
+	findSupabaseUserByPhone,
+	findUserIdByPhone,
+	rememberUserPhone,
+} from './src/user-phones.js';
+import {
+	createMockProvider,
+	createProviderRegistry,
+	createSmsRuProvider,
+	createTelegramProvider,
+	createVonageProvider,
+	createWhatsAppProvider,
+	managesCode,
+	OTP_CHANNELS,
+} from './src/providers/index.js';
+import { handleBodyParserError, validate, validateRequest } from './src/validation.js';
+import {
+	createMemoryRateLimitStore,
+	createRateLimiter,
+	createSupabaseRateLimitStore,
+} from './src/rate-limit.js';
+
+// quiet: the dotenv banner would be the one line on stdout that is not JSON.
+dotenv.config({ quiet: true });
 // ы
 
 const app = express();
 const port = process.env.OTP_SERVER_PORT || 4000;
 const clientOrigin = process.env.CLIENT_ORIGIN || '*';
 const brandName = process.env.OTP_BRAND_NAME || 'Поддержка++';
-const requestPayloadLimit = process.env.OTP_REQUEST_LIMIT || '40mb';
+const otpRequestBodyLimit = process.env.OTP_REQUEST_LIMIT || BODY_LIMITS.otpRequest;
+const storeQrDataUrl = process.env.OTP_STORE_QR_DATA_URL !== 'false';
+
+if (process.env.TRUST_PROXY) {
+	const trustProxy = process.env.TRUST_PROXY;
+	app.set(
+		'trust proxy',
+		trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+	);
+} else if (process.env.VERCEL) {
+	app.set('trust proxy', 1);
+}
 
+app.use(requestLogging());
 app.use(
 	cors({
 		origin: clientOrigin === '*' ? '*' : clientOrigin.split(',').map((origin) => origin.trim()),
+		exposedHeaders: ['X-Request-Id'],
 	})
 );
-app.use(express.json({ limit: requestPayloadLimit }));
 
-const vonageApiKey = process.env.VONAGE_API_KEY;
-const vonageApiSecret = process.env.VONAGE_API_SECRET;
-const vonageConfigured = Boolean(vonageApiKey && vonageApiSecret);
+// JSON bodies are parsed per route with their own size limit, then checked
+// against the route schema before the handler runs.
+function jsonBody(schema, limit = BODY_LIMITS.small) {
+	return [express.json({ limit }), validateRequest({ body: schema })];
+}
 
-const vonage = vonageConfigured
-	? new Vonage({
-		apiKey: vonageApiKey,
-		apiSecret: vonageApiSecret,
-	})
-	: null;
+const otpCodeSecret = process.env.OTP_CODE_SECRET;
+if (!otpCodeSecret) {
+	logger.warn(
+		'OTP_CODE_SECRET is not set: using a per-process secret, codes cannot be verified on other instances'
+	);
+}
+const resolvedOtpCodeSecret = otpCodeSecret || randomBytes(32).toString('hex');
+const otpCodeHasher = createOtpCodeHasher(resolvedOtpCodeSecret);
+
+const qrSigningKeys = parseSigningKeys(process.env.QR_SIGNING_KEYS);
+if (qrSigningKeys.size === 0) {
+	logger.warn(
+		'QR_SIGNING_KEYS is not set: using a per-process key, printed QR codes will not verify after restart'
+	);
+	qrSigningKeys.set('dev', randomBytes(32).toString('hex'));
+}
+const qrSigner = createQrSigner({
+	keys: qrSigningKeys,
+	activeKid: process.env.QR_SIGNING_KID,
+});
+
+// No per-process fallback here: SNILS encrypted with a throwaway key is lost.
+const snilsKeys = parseSigningKeys(process.env.SNILS_ENCRYPTION_KEYS);
+if (snilsKeys.size === 0) {
+	logger.warn('SNILS_ENCRYPTION_KEYS is not set: profiles cannot store SNILS');
+}
+const snilsCipher =
+	snilsKeys.size > 0
+		? createSnilsCipher({ keys: snilsKeys, activeKid: process.env.SNILS_ENCRYPTION_KID })
+		: null;
 
-const smsRuApiId = process.env.SMSRU_API_ID;
-const smsRuFrom = process.env.SMSRU_FROM;
-const smsRuConfigured = Boolean(smsRuApiId);
+const OTP_TTL_MS = Number(process.env.OTP_TTL_MS || 5 * 60 * 1000);
 
-const activeProvider = smsRuConfigured ? 'smsru' : vonageConfigured ? 'vonage' : 'mock';
+const otpProviders = createProviderRegistry({
+	providers: [
+		createSmsRuProvider({
+			apiId: process.env.SMSRU_API_ID,
+			from: process.env.SMSRU_FROM,
+			codeHasher: otpCodeHasher,
+		}),
+		createVonageProvider({
+			apiKey: process.env.VONAGE_API_KEY,
+			apiSecret: process.env.VONAGE_API_SECRET,
+			brand: brandName,
+			smsFrom: process.env.VONAGE_SMS_FROM,
+			codeHasher: otpCodeHasher,
+			restHost: process.env.VONAGE_REST_HOST,
+			apiHost: process.env.VONAGE_API_HOST,
+		}),
+		createTelegramProvider({
+			token: process.env.TELEGRAM_GATEWAY_TOKEN,
+			ttlSeconds: Math.round(OTP_TTL_MS / 1000),
+			codeHasher: otpCodeHasher,
+		}),
+		createWhatsAppProvider({
+			accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+			phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+			templateName: process.env.WHATSAPP_TEMPLATE_NAME,
+			templateLanguage: process.env.WHATSAPP_TEMPLATE_LANGUAGE,
+			codeHasher: otpCodeHasher,
+		}),
+		createMockProvider({ codeHasher: otpCodeHasher }),
+	],
+	priority: process.env.OTP_PROVIDER_PRIORITY,
+});
 
 const supabaseUrl =
 	process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL || '';
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
+const metrics = createOtpMetrics();
+
 const supabaseClientOptions = {
 	auth: {
 		autoRefreshToken: false,
 		persistSession: false,
 	},
+	global: { fetch: createTimedFetch(metrics.supabaseLatency) },
 };
 
 const supabaseAdmin =
@@ -55,7 +195,151 @@ const supabaseAdmin =
 		? createClient(supabaseUrl, supabaseServiceKey, supabaseClientOptions)
 		: null;
 
+const auth = createAuth({
+	supabaseAdmin,
+	operatorApiKeys: process.env.OTP_OPERATOR_API_KEYS,
+	adminApiKeys: process.env.OTP_ADMIN_API_KEYS,
+	cronSecret: process.env.CRON_SECRET,
+});
+const requireOperator = auth.requireRole('operator');
+const requireAdmin = auth.requireRole('admin');
+// Browsers can only send credentials for page loads through the Basic prompt.
+const requirePrintOperator = auth.requireRole('operator', { basicRealm: 'OTP Valhalla print' });
+const requireCronOrAdmin = auth.requireCronOrRole('admin');
+const requireProfileOwnerOrAdmin = auth.requireSelfOrAdmin(
+	(req) => req.params.authUserId ?? req.body?.authUserId
+);
+const requireUser = auth.requireUser();
+const otpRequestParams = validateRequest({ params: OTP_REQUEST_PARAMS_SCHEMA });
+const profileParams = validateRequest({ params: PROFILE_PARAMS_SCHEMA });
+
+const supabaseSessions = createSupabaseSessionIssuer({
+	admin: supabaseAdmin,
+	url: supabaseUrl,
+	anonKey: process.env.SUPABASE_ANON_KEY || process.env.VITE_SUPABASE_ANON_KEY,
+	clientOptions: supabaseClientOptions,
+	emailDomain: process.env.SUPABASE_SESSION_EMAIL_DOMAIN || undefined,
+});
+
+const phonePolicy = createPhonePolicy({
+	defaultRegion: process.env.OTP_DEFAULT_REGION,
+	allowedCountries: process.env.OTP_ALLOWED_COUNTRIES,
+	deniedCountries: process.env.OTP_DENIED_COUNTRIES,
+});
+
+const otpMessages = createMessageRenderer({
+	brand: brandName,
+	webOtpDomain: process.env.OTP_WEBOTP_DOMAIN,
+	overrides: process.env.OTP_SMS_TEMPLATES,
+});
+
 const requestStore = new Map();
+const rateLimitStore =
+	process.env.OTP_RATE_LIMIT_STORE === 'memory' || !supabaseAdmin
+		? createMemoryRateLimitStore()
+		: createSupabaseRateLimitStore(supabaseAdmin);
+
+function readPositiveIntEnv(name, fallback) {
+	const value = Number(process.env[name]);
+	return Number.isFinite(value) && value >= 0 ? Math.floor(value) : fallback;
+}
+
+const QR_TOKEN_TTL_SECONDS = readPositiveIntEnv('QR_TOKEN_TTL_DAYS', 365) * 24 * 60 * 60;
+const OTP_MAX_VERIFY_ATTEMPTS = readPositiveIntEnv('OTP_MAX_VERIFY_ATTEMPTS', 5);
+const OTP_MAX_RESENDS = readPositiveIntEnv('OTP_MAX_RESENDS', 3);
+const otpPurposes = createOtpPurposes({
+	overrides: process.env.OTP_PURPOSES,
+	defaults: {
+		codeLength: readPositiveIntEnv('OTP_CODE_LENGTH', 6),
+		ttlSeconds: Math.round(OTP_TTL_MS / 1000),
+		maxAttempts: OTP_MAX_VERIFY_ATTEMPTS,
+		maxResends: OTP_MAX_RESENDS,
+	},
+});
+
+// Every extra segment is billed as a separate SMS, so flag long templates at boot.
+const OTP_SMS_MAX_SEGMENTS = readPositiveIntEnv('OTP_SMS_MAX_SEGMENTS', 1);
+for (const locale of otpMessages.locales) {
+	for (const purpose of otpPurposes.names) {
+		const policy = otpPurposes.get(purpose);
+		const sample = otpMessages.render({
+			locale,
+			purpose,
+			code: policy.alphabet[0].repeat(policy.codeLength),
+			ttlSeconds: policy.ttlSeconds,
+		});
+		if (OTP_SMS_MAX_SEGMENTS && sample.segments > OTP_SMS_MAX_SEGMENTS) {
+			logger.warn('OTP SMS template exceeds the segment limit', {
+				locale,
+				purpose,
+				segments: sample.segments,
+				encoding: sample.encoding,
+				length: sample.length,
+				limit: OTP_SMS_MAX_SEGMENTS,
+			});
+		}
+	}
+}
+
+// Rendered once: the pages only change when the configuration does.
+const apiDocument = buildOpenApiDocument({
+	brand: brandName,
+	channels: OTP_CHANNELS,
+	purposes: otpPurposes.names.map(otpPurposes.get),
+	locales: otpMessages.locales,
+	limits: { otpRequest: otpRequestBodyLimit },
+});
+const apiIndexPage = renderIndexPage(apiDocument);
+const apiDocsPage = renderDocsPage(apiDocument);
+const otpRequestLimiter = createRateLimiter({
+	store: rateLimitStore,
+	rules: [
+		{
+			name: 'phone_cooldown',
+			scope: 'phone',
+			limit: 1,
+			windowSeconds: readPositiveIntEnv('OTP_RESEND_COOLDOWN_SECONDS', 60),
+		},
+		{
+			name: 'phone_hourly',
+			scope: 'phone',
+			limit: readPositiveIntEnv('OTP_PHONE_HOURLY_LIMIT', 5),
+			windowSeconds: 60 * 60,
+		},
+		{
+			name: 'phone_daily',
+			scope: 'phone',
+			limit: readPositiveIntEnv('OTP_PHONE_DAILY_LIMIT', 10),
+			windowSeconds: 24 * 60 * 60,
+		},
+		{
+			name: 'ip_hourly',
+			scope: 'ip',
+			limit: readPositiveIntEnv('OTP_IP_HOURLY_LIMIT', 20),
+			windowSeconds: 60 * 60,
+		},
+		{
+			name: 'ip_daily',
+			scope: 'ip',
+			limit: readPositiveIntEnv('OTP_IP_DAILY_LIMIT', 100),
+			windowSeconds: 24 * 60 * 60,
+		},
+	],
+});
+const audit = createAuditLog({
+	supabaseAdmin,
+	phoneHashSecret: process.env.AUDIT_PHONE_HASH_SECRET || resolvedOtpCodeSecret,
+});
+const otpSweeper = createOtpSweeper({
+	supabaseAdmin,
+	audit,
+	requestStore,
+	rateLimitStore,
+	metrics,
+	retentionDays: readPositiveIntEnv('OTP_RETENTION_DAYS', DEFAULT_RETENTION_DAYS),
+});
+// With Supabase configured the cache is opt-in: resends on other instances make cached codes stale.
+const otpMemoryCacheEnabled = process.env.OTP_MEMORY_CACHE === 'true';
 const UUID_REGEX =
 	/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 const DEFAULT_PROFILE_REGION = 'xxxxxxxxx';
@@ -161,27 +445,32 @@ function buildQrCareSummary(report) {
 	return summary;
 }
 
-function buildQrPayload({ requestId, phone, provider, report }) {
-	const payload = {
+// The report stays in otp_requests.metadata: with it inside the token a
+// realistic page no longer fits a QR code. /qr/verify looks it up instead.
+function buildQrClaims({ requestId, phone }) {
+	const issuedAt = Math.floor(Date.now() / 1000);
+	return {
 		requestId,
-		phone,
-		provider,
-		brand: brandName,
-		generatedAt: new Date().toISOString(),
+		phoneHash: qrSigner.phoneHash(phone),
+		iat: issuedAt,
+		exp: issuedAt + QR_TOKEN_TTL_SECONDS,
 	};
+}
 
+// Batch labels are too small for the full token and get the compact one.
+function buildQrLabelToken(requestId) {
+	const exp = Math.floor(Date.now() / 1000) + QR_TOKEN_TTL_SECONDS;
+	return qrSigner.signLabel({ requestId, exp });
+}
+
+// What the scanner at the venue sees next to a valid sticker.
+function buildQrReportView(report) {
+	const view = {};
 	const profileSnapshot = buildQrProfileSnapshot(report);
 	const careSummary = buildQrCareSummary(report);
-
-	if (profileSnapshot) {
-		payload.profile = profileSnapshot;
-	}
-
-	if (careSummary) {
-		payload.care = careSummary;
-	}
-
-	return JSON.stringify(payload);
+	if (profileSnapshot) view.profile = profileSnapshot;
+	if (careSummary) view.care = careSummary;
+	return view;
 }
 
 async function generateQrDataUrl(payload) {
@@ -194,11 +483,15 @@ async function generateQrDataUrl(payload) {
 			scale: 4,
 		});
 	} catch (error) {
-		console.error('QR code generation error:', error);
+		logger.error('QR code generation error', { error });
 		return null;
 	}
 }
 
+function buildQrImageUrl(requestId) {
+	return `/otp/requests/${encodeURIComponent(requestId)}/qr`;
+}
+
 function normalizeDateInput(value) {
 	if (!value) return null;
 	const date = value instanceof Date ? value : new Date(value);
@@ -213,11 +506,32 @@ function sanitizeReportMetadata(report) {
 	try {
 		return JSON.parse(JSON.stringify(report));
 	} catch (error) {
-		console.error('Failed to sanitize report metadata:', error);
+		logger.error('Failed to sanitize report metadata', { error });
 		return null;
 	}
 }
 
+function buildOtpRequestPatch(patch = {}) {
+	const payload = {};
+	if (patch.status) payload.status = patch.status;
+	if ('codeHash' in patch) payload.code_hash = patch.codeHash ?? null;
+	if ('qrPayload' in patch) payload.qr_payload = patch.qrPayload ?? null;
+	if ('qrDataUrl' in patch) payload.qr_data_url = patch.qrDataUrl ?? null;
+	if ('expiresAt' in patch) payload.expires_at = normalizeDateInput(patch.expiresAt);
+	if ('verifiedAt' in patch) payload.verified_at = normalizeDateInput(patch.verifiedAt);
+	if ('metadata' in patch) payload.metadata = patch.metadata ?? {};
+	if ('provider' in patch) payload.provider = patch.provider;
+	if ('providerRequestId' in patch) payload.provider_request_id = patch.providerRequestId ?? null;
+	if ('attempts' in patch) payload.attempts = patch.attempts;
+	if ('resendCount' in patch) payload.resend_count = patch.resendCount;
+	if ('lastSentAt' in patch) payload.last_sent_at = normalizeDateInput(patch.lastSentAt);
+	if ('deliveryStatus' in patch) {
+		payload.delivery_status = patch.deliveryStatus ?? null;
+		payload.delivery_updated_at = new Date().toISOString();
+	}
+	return payload;
+}
+
 async function createOtpRequestRecord(record) {
 	if (!supabaseAdmin) return null;
 
@@ -225,12 +539,17 @@ async function createOtpRequestRecord(record) {
 		request_id: record.requestId,
 		phone: record.phone,
 		provider: record.provider,
+		provider_request_id: record.providerRequestId ?? null,
 		status: record.status ?? 'pending',
-		code: record.code ?? null,
+		code_hash: record.codeHash ?? null,
 		qr_payload: record.qrPayload ?? null,
-		qr_data_url: record.qrDataUrl ?? null,
+		qr_data_url: storeQrDataUrl ? record.qrDataUrl ?? null : null,
 		expires_at: normalizeDateInput(record.expiresAt),
 		verified_at: normalizeDateInput(record.verifiedAt),
+		last_sent_at: normalizeDateInput(record.lastSentAt ?? new Date()),
+		delivery_status: record.deliveryStatus ?? 'queued',
+		delivery_updated_at: new Date().toISOString(),
+		purpose: record.purpose ?? 'login',
 		metadata: record.metadata ?? {},
 	};
 
@@ -243,22 +562,15 @@ async function createOtpRequestRecord(record) {
 			throw error;
 		}
 	} catch (error) {
-		console.error('Supabase store otp request error:', error);
+		logger.error('Supabase store otp request error', { error });
+		throw error;
 	}
 }
 
 async function updateOtpRequestRecord(requestId, patch = {}) {
 	if (!supabaseAdmin || !requestId) return null;
 
-	const payload = {};
-	if (patch.status) payload.status = patch.status;
-	if ('code' in patch) payload.code = patch.code ?? null;
-	if ('qrPayload' in patch) payload.qr_payload = patch.qrPayload ?? null;
-	if ('qrDataUrl' in patch) payload.qr_data_url = patch.qrDataUrl ?? null;
-	if ('expiresAt' in patch) payload.expires_at = normalizeDateInput(patch.expiresAt);
-	if ('verifiedAt' in patch) payload.verified_at = normalizeDateInput(patch.verifiedAt);
-	if ('metadata' in patch) payload.metadata = patch.metadata ?? {};
-
+	const payload = buildOtpRequestPatch(patch);
 	if (Object.keys(payload).length === 0) return null;
 
 	try {
@@ -271,143 +583,227 @@ async function updateOtpRequestRecord(requestId, patch = {}) {
 			throw error;
 		}
 	} catch (error) {
-		console.error('Supabase update otp request error:', error);
+		logger.error('Supabase update otp request error', { error });
 	}
 }
 
-async function loadRecentOtpRequests(limit = 50) {
-	if (!supabaseAdmin) {
-		throw new Error('Supabase is not configured');
+function cacheOtpRequestState(requestId, state) {
+	if (!otpMemoryCacheEnabled && supabaseAdmin) return;
+	requestStore.set(requestId, state);
+}
+
+function mapOtpRequestRowToState(row) {
+	return {
+		phone: row.phone,
+		codeHash: row.code_hash ?? null,
+		status: row.status,
+		attempts: row.attempts ?? 0,
+		resendCount: row.resend_count ?? 0,
+		expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : 0,
+		provider: row.provider,
+		externalId: row.provider_request_id ?? row.metadata?.providerRequestId ?? null,
+		qrPayload: row.qr_payload ?? null,
+		deliveryStatus: row.delivery_status ?? null,
+		channel: row.metadata?.channel ?? 'sms',
+		purpose: row.purpose ?? 'login',
+		lastSentAt: row.last_sent_at ? new Date(row.last_sent_at).getTime() : null,
+		metadata: row.metadata ?? {},
+	};
+}
+
+async function loadOtpRequestState(requestId) {
+	const cached = requestStore.get(requestId);
+	if (cached) {
+		return cached;
 	}
 
-	const sanitizedLimit = Math.max(1, Math.min(Number(limit) || 50, 200));
+	if (!supabaseAdmin) {
+		return null;
+	}
 
 	const { data, error } = await supabaseAdmin
 		.from('otp_requests')
 		.select(
-			'request_id, phone, provider, status, qr_payload, qr_data_url, created_at, expires_at, verified_at, metadata'
+			'request_id, phone, provider, provider_request_id, status, delivery_status, code_hash, attempts, resend_count, expires_at, last_sent_at, purpose, qr_payload, metadata'
 		)
-		.order('created_at', { ascending: false })
-		.limit(sanitizedLimit);
+		.eq('request_id', requestId)
+		.maybeSingle();
 
 	if (error) {
 		throw error;
 	}
 
-	return data ?? [];
+	if (!data) {
+		return null;
+	}
+
+	const state = mapOtpRequestRowToState(data);
+	if (state.status === 'pending') {
+		cacheOtpRequestState(requestId, state);
+	}
+	return state;
 }
 
-function normalizePhoneToE164(raw) {
-	if (!raw) return '';
-	const trimmed = raw.toString().trim();
-	if (trimmed.startsWith('+')) return trimmed;
+// Moves a pending request to a terminal status. Returns false when another
+// call (or another instance) already finished it.
+async function transitionOtpRequestStatus(requestId, status, patch = {}) {
+	const cached = requestStore.get(requestId);
+	requestStore.delete(requestId);
+
+	if (!supabaseAdmin) {
+		return Boolean(cached && cached.status === 'pending');
+	}
 
-	const digits = trimmed.replace(/\D/g, '');
-	if (!digits) return '';
+	const { data, error } = await supabaseAdmin
+		.from('otp_requests')
+		.update(buildOtpRequestPatch({ ...patch, status }))
+		.eq('request_id', requestId)
+		.eq('status', 'pending')
+		.select('request_id');
 
-	if (digits.length === 11 && digits.startsWith('8')) {
-		return `+7${digits.slice(1)}`;
+	if (error) {
+		throw error;
 	}
 
-	if (digits.length === 10 && digits.startsWith('9')) {
-		return `+7${digits}`;
+	return Array.isArray(data) && data.length > 0;
+}
+
+async function registerFailedOtpAttempt(requestId, meta, maxAttempts) {
+	if (!supabaseAdmin) {
+		meta.attempts = (meta.attempts ?? 0) + 1;
+		if (meta.attempts >= maxAttempts) {
+			meta.status = 'locked';
+		}
+		return { attempts: meta.attempts, status: meta.status };
 	}
 
-	if (digits.length === 11 && digits.startsWith('7')) {
-		return `+${digits}`;
+	const { data, error } = await supabaseAdmin.rpc('register_otp_failed_attempt', {
+		p_request_id: requestId,
+		p_max_attempts: maxAttempts,
+	});
+
+	if (error) {
+		throw error;
 	}
 
-	return `+${digits}`;
-}
+	const row = Array.isArray(data) ? data[0] : data;
+	const result = {
+		attempts: row?.attempts ?? (meta.attempts ?? 0) + 1,
+		status: row?.status ?? 'inactive',
+	};
 
-function normalizePhoneDigits(value) {
-	if (!value) return '';
-	return value.toString().replace(/\D/g, '');
+	if (result.status === 'pending') {
+		meta.attempts = result.attempts;
+	} else {
+		requestStore.delete(requestId);
+	}
+	return result;
 }
 
-const OTP_TTL_MS = Number(process.env.OTP_TTL_MS || 5 * 60 * 1000);
+function buildRateLimitedBody(blocked) {
+	return {
+		code: 'rate_limited',
+		message: 'Too many verification code requests, try again later',
+		limit: blocked.rule,
+		retryAfter: blocked.retryAfter,
+	};
+}
 
-function identityHasPhone(user, phone, normalizedTarget) {
-	if (!user.identities) return false;
-	const targetDigits = normalizedTarget ?? normalizePhoneDigits(phone);
-
-	return user.identities.some((ident) => {
-		const data = ident.identity_data || {};
-
-		const candidateValues = [
-			data.phone,
-			data.phone_number,
-			data.phoneNumber,
-			data.sub,
-		];
-
-		return (
-			candidateValues.some((candidate) => candidate && candidate === phone) ||
-			candidateValues.some((candidate) => {
-				const candidateDigits = normalizePhoneDigits(candidate);
-				return (
-					candidateDigits &&
-					targetDigits &&
-					candidateDigits === targetDigits
-				);
-			})
-		);
-	});
+function sendRateLimited(res, blocked) {
+	res.set('Retry-After', String(blocked.retryAfter));
+	return res.status(429).json(buildRateLimitedBody(blocked));
 }
 
-async function findSupabaseUserByPhone(phone) {
-	if (!supabaseAdmin) return null;
-	const normalizedPhoneDigits = normalizePhoneDigits(phone);
+const OTP_REQUEST_LIST_COLUMNS =
+	'request_id, phone, provider, purpose, status, delivery_status, delivery_updated_at, qr_payload, qr_data_url, created_at, expires_at, verified_at, metadata';
 
-	let page = 1;
-	const perPage = 200;
+async function queryOtpRequests(filters) {
+	if (!supabaseAdmin) {
+		throw new Error('Supabase is not configured');
+	}
 
-	while (true) {
-		const { data, error } = await supabaseAdmin.auth.admin.listUsers({
-			page,
-			perPage,
-		});
+	let query = applyOtpRequestFilters(
+		supabaseAdmin.from('otp_requests').select(OTP_REQUEST_LIST_COLUMNS, { count: 'exact' }),
+		filters
+	);
 
-		if (error) {
-			throw error;
-		}
+	if (filters.cursor) {
+		const { createdAt, requestId } = filters.cursor;
+		query = query.or(
+			`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",request_id.lt.${requestId})`
+		);
+	}
 
-		const users = data?.users ?? [];
+	const { data, error, count } = await query
+		.order('created_at', { ascending: false })
+		.order('request_id', { ascending: false })
+		.limit(filters.limit + 1);
 
-		const match = users.find((user) => {
-			if (user.phone && user.phone === phone) {
-				return true;
-			}
+	if (error) {
+		throw error;
+	}
 
-			const userPhoneDigits = normalizePhoneDigits(user.phone);
-			if (
-				userPhoneDigits &&
-				normalizedPhoneDigits &&
-				userPhoneDigits === normalizedPhoneDigits
-			) {
-				return true;
-			}
+	let total = count ?? null;
+	if (filters.cursor) {
+		// The page query only counts rows after the cursor; the total covers the whole filter.
+		const { count: fullCount, error: countError } = await applyOtpRequestFilters(
+			supabaseAdmin.from('otp_requests').select('request_id', { count: 'exact', head: true }),
+			filters
+		);
+		if (countError) {
+			throw countError;
+		}
+		total = fullCount ?? null;
+	}
 
-			return identityHasPhone(user, phone, normalizedPhoneDigits);
-		});
+	const rows = data ?? [];
+	const hasMore = rows.length > filters.limit;
+	const pageRows = hasMore ? rows.slice(0, filters.limit) : rows;
 
-		if (match) {
-			return match;
-		}
+	return {
+		rows: pageRows,
+		total,
+		nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null,
+	};
+}
 
-		const hasMore =
-			typeof data?.nextPage === 'number' &&
-			data.nextPage > page &&
-			users.length > 0;
+async function loadOtpRequestRow(requestId) {
+	if (!supabaseAdmin) {
+		throw new Error('Supabase is not configured');
+	}
 
-		if (!hasMore || users.length === 0) {
-			break;
-		}
+	const { data, error } = await supabaseAdmin
+		.from('otp_requests')
+		.select(OTP_REQUEST_LIST_COLUMNS)
+		.eq('request_id', requestId)
+		.maybeSingle();
 
-		page += 1;
+	if (error) {
+		throw error;
 	}
 
-	return null;
+	return data ?? null;
+}
+
+function mapOtpRequestRowToItem(row) {
+	return {
+		requestId: row.request_id,
+		phone: row.phone,
+		provider: row.provider,
+		purpose: row.purpose ?? 'login',
+		status: row.status,
+		deliveryStatus: row.delivery_status ?? null,
+		deliveryUpdatedAt: row.delivery_updated_at ?? null,
+		createdAt: row.created_at,
+		expiresAt: row.expires_at,
+		verifiedAt: row.verified_at,
+		metadata: row.metadata ?? {},
+		qr: {
+			payload: row.qr_payload,
+			dataUrl: row.qr_data_url,
+			imageUrl: buildQrImageUrl(row.request_id),
+		},
+	};
 }
 
 async function fetchProfileRecord(authUserId) {
@@ -446,22 +842,104 @@ function buildProfileInsertPayload(input) {
 	};
 }
 
-function buildProfileUpdatePayload(input = {}) {
+// Only the ciphertext and the mask are written; the plain column is cleared.
+function buildSnilsColumns(value, authUserId) {
+	if (value == null) {
+		return { snils: null, snils_encrypted: null, snils_masked: null };
+	}
+	if (!snilsCipher) {
+		throw new Error('SNILS encryption is not configured');
+	}
+
+	const parsed = parseSnils(value);
+	if (!parsed.ok) {
+		throw new Error(`Invalid SNILS (${parsed.reason})`);
+	}
+	return {
+		snils: null,
+		snils_encrypted: snilsCipher.encrypt(parsed.snils, authUserId),
+		snils_masked: maskSnils(parsed.snils),
+	};
+}
+
+// Rows written before encryption still hold the number in `snils`.
+function revealSnils(row) {
+	if (row.snils_encrypted) {
+		if (!snilsCipher) {
+			throw new Error('SNILS encryption is not configured');
+		}
+		return snilsCipher.decrypt(row.snils_encrypted, row.auth_user_id);
+	}
+	if (!row.snils) return null;
+	const parsed = parseSnils(row.snils);
+	return parsed.ok ? parsed.snils : row.snils;
+}
+
+function buildProfileUpdatePayload(input = {}, { authUserId } = {}) {
 	const payload = {};
 	if ('fullName' in input) payload.full_name = input.fullName ?? null;
 	if ('email' in input) payload.email = input.email ?? null;
 	if ('phone' in input) payload.phone = input.phone ?? null;
 	if ('region' in input) payload.region = input.region ?? DEFAULT_PROFILE_REGION;
 	if ('category' in input) payload.category = input.category ?? DEFAULT_PROFILE_CATEGORY;
-	if ('snils' in input) payload.snils = input.snils ?? null;
+	if ('snils' in input) Object.assign(payload, buildSnilsColumns(input.snils, authUserId));
 	if ('role' in input) payload.role = input.role ?? 'self';
 	if ('interests' in input)
 		payload.interests = Array.isArray(input.interests) ? input.interests : [];
 	if ('simpleModeEnabled' in input)
 		payload.simple_mode_enabled = Boolean(input.simpleModeEnabled);
+	if ('locale' in input) payload.locale = input.locale ?? null;
 	return payload;
 }
 
+// The response shape of every profile route: the same camelCase fields
+// buildProfileUpdatePayload accepts, plus the read-only ones.
+function mapProfileRow(row) {
+	return {
+		authUserId: row.auth_user_id,
+		fullName: row.full_name ?? null,
+		email: row.email ?? null,
+		phone: row.phone ?? null,
+		region: row.region ?? null,
+		category: row.category ?? null,
+		snils: row.snils_masked ?? (row.snils ? maskSnils(row.snils) : null),
+		role: row.role ?? null,
+		interests: row.interests ?? [],
+		simpleModeEnabled: row.simple_mode_enabled ?? false,
+		locale: row.locale ?? null,
+		createdAt: row.created_at ?? null,
+		updatedAt: row.updated_at ?? null,
+	};
+}
+
+async function queryProfiles(filters) {
+	if (!supabaseAdmin) {
+		throw new Error('Supabase is not configured');
+	}
+
+	const { data, error, count } = await applyProfileFilters(
+		supabaseAdmin.from('profiles').select('*', { count: 'exact' }),
+		filters
+	)
+		.order('full_name', { ascending: true, nullsFirst: false })
+		.order('auth_user_id', { ascending: true })
+		.range(filters.offset, filters.offset + filters.limit - 1);
+
+	if (error) {
+		throw error;
+	}
+
+	const rows = data ?? [];
+	const total = count ?? null;
+	const nextOffset = filters.offset + rows.length;
+	return {
+		rows,
+		total,
+		nextOffset:
+			rows.length === filters.limit && (total === null || nextOffset < total) ? nextOffset : null,
+	};
+}
+
 async function ensureProfileRecord(input) {
 	if (!supabaseAdmin) {
 		throw new Error('Supabase is not configured');
@@ -469,7 +947,7 @@ async function ensureProfileRecord(input) {
 
 	const existing = await fetchProfileRecord(input.authUserId);
 	if (existing) {
-		return existing;
+		return { profile: existing, created: false };
 	}
 
 	const payload = buildProfileInsertPayload(input);
@@ -484,7 +962,7 @@ async function ensureProfileRecord(input) {
 		throw error;
 	}
 
-	return data;
+	return { profile: data, created: true };
 }
 
 async function updateProfileRecord(authUserId, input) {
@@ -492,7 +970,7 @@ async function updateProfileRecord(authUserId, input) {
 		throw new Error('Supabase is not configured');
 	}
 
-	const payload = buildProfileUpdatePayload(input);
+	const payload = buildProfileUpdatePayload(input, { authUserId });
 	if (Object.keys(payload).length === 0) {
 		return fetchProfileRecord(authUserId);
 	}
@@ -527,16 +1005,35 @@ async function deleteProfileRecord(authUserId) {
 }
 
 
+async function lookupMappedUserId(phone) {
+	try {
+		return await findUserIdByPhone(supabaseAdmin, phone);
+	} catch (error) {
+		logger.error('Supabase user_phones lookup error', { error });
+		return null;
+	}
+}
+
+async function rememberSupabaseUserPhone(phone, userId) {
+	try {
+		await rememberUserPhone(supabaseAdmin, phone, userId);
+	} catch (error) {
+		logger.error('Supabase user_phones store error', { error });
+	}
+}
+
 async function ensureSupabaseUser(phone) {
 	if (!supabaseAdmin) {
 		return null;
 	}
 
-	const existing = await findSupabaseUserByPhone(phone);
-	if (existing) {
-		return { userId: existing.id, created: false };
+	const mappedUserId = await lookupMappedUserId(phone);
+	if (mappedUserId) {
+		return { userId: mappedUserId, created: false };
 	}
 
+	// Creating first keeps a new phone off the full user scan; only a phone that
+	// exists without a user_phones row pays for the lookup.
 	try {
 		const { data, error } = await supabaseAdmin.auth.admin.createUser({
 			phone,
@@ -547,15 +1044,21 @@ async function ensureSupabaseUser(phone) {
 			throw error;
 		}
 
-		return { userId: data.user?.id ?? null, created: true };
+		const userId = data.user?.id ?? null;
+		if (userId) {
+			await rememberSupabaseUserPhone(phone, userId);
+		}
+
+		return { userId, created: true };
 	} catch (error) {
 		if (
 			error &&
 			typeof error === 'object' &&
 			(error.code === 'phone_exists' || error.message?.includes('Phone number already registered'))
 		) {
-			const user = await findSupabaseUserByPhone(phone);
+			const user = await findSupabaseUserByPhone(supabaseAdmin, phone);
 			if (user) {
+				await rememberSupabaseUserPhone(phone, user.id);
 				return { userId: user.id, created: false };
 			}
 		}
@@ -563,112 +1066,144 @@ async function ensureSupabaseUser(phone) {
 	}
 }
 
-
-async function sendSmsRuCode(phone, code) {
-	if (!smsRuConfigured || !smsRuApiId) {
-		throw new Error('SMS.RU is not configured');
-	}
-
-	const sanitizedPhone = phone.replace(/^\+/, '');
-	const body = new URLSearchParams({
-		api_id: smsRuApiId,
-		to: sanitizedPhone,
-		msg: `Код подтверждения: ${code}`,
-		json: '1',
+app.get('/health', (_req, res) => {
+	res.json({
+		status: 'ok',
+		provider: otpProviders.primary,
+		providers: otpProviders.names,
+		channels: otpProviders.channels,
 	});
+});
 
-	if (smsRuFrom) {
-		body.append('from', smsRuFrom);
-	}
+const READINESS_TIMEOUT_MS = readPositiveIntEnv('OTP_READINESS_TIMEOUT_MS', 3000);
 
-	const response = await fetch('https://sms.ru/sms/send', {
-		method: 'POST',
-		body,
-	});
+// Provider checks hit paid APIs (balance lookups), so a public probe reuses
+// the last result for this long instead of calling out on every hit.
+const PROVIDER_READINESS_TTL_MS = readPositiveIntEnv('OTP_READINESS_CACHE_SECONDS', 30) * 1000;
 
-	if (!response.ok) {
-		throw new Error('SMS.RU запрос завершился с ошибкой');
+// Only ok/message/latency leave the process: balances stay out of a public endpoint.
+async function runReadinessCheck(check) {
+	const startedAt = performance.now();
+	let timer;
+	try {
+		const result = await Promise.race([
+			check(),
+			new Promise((_resolve, reject) => {
+				timer = setTimeout(
+					() => reject(new Error(`timed out after ${READINESS_TIMEOUT_MS} ms`)),
+					READINESS_TIMEOUT_MS
+				);
+			}),
+		]);
+		return {
+			ok: Boolean(result?.ok),
+			message: result?.message ?? null,
+			latencyMs: Math.round(performance.now() - startedAt),
+		};
+	} catch (error) {
+		return {
+			ok: false,
+			message: error instanceof Error ? error.message : String(error),
+			latencyMs: Math.round(performance.now() - startedAt),
+		};
+	} finally {
+		clearTimeout(timer);
 	}
+}
 
-	const payload = await response.json();
-
-	if (payload.status !== 'OK') {
-		throw new Error(payload.status_text || 'Не удалось отправить SMS');
+async function checkSupabaseReady() {
+	if (!supabaseAdmin) {
+		return { ok: true, message: 'Supabase is not configured, requests are kept in memory' };
 	}
+	const { error } = await supabaseAdmin.from('otp_requests').select('request_id').limit(1);
+	return error ? { ok: false, message: error.message } : { ok: true };
+}
+
+let providerReadiness = null;
 
-	const smsStatus =
-		payload.sms?.[sanitizedPhone] ||
-		(Object.values(payload.sms ?? {})[0] ?? null);
-	if (smsStatus && smsStatus.status !== 'OK') {
-		throw new Error(smsStatus.status_text || 'SMS не доставлено');
+function checkProvidersReady() {
+	if (providerReadiness && Date.now() - providerReadiness.startedAt < PROVIDER_READINESS_TTL_MS) {
+		return providerReadiness.promise;
 	}
+	// Concurrent probes share the pending checks rather than starting their own.
+	const promise = otpProviders.checkHealth(runReadinessCheck);
+	providerReadiness = { startedAt: Date.now(), promise };
+	return promise;
 }
 
-app.get('/health', (_req, res) => {
-	res.json({
-		status: 'ok',
-		provider: activeProvider,
+// Unlike /health this calls out: a Supabase query and each provider's own
+// check (SMS.RU and Vonage balance, WhatsApp phone number lookup). Failover
+// covers a provider outage, so the service stays ready while every channel
+// still has one healthy provider.
+app.get('/health/ready', async (_req, res) => {
+	const [supabase, providers] = await Promise.all([
+		runReadinessCheck(checkSupabaseReady),
+		checkProvidersReady(),
+	]);
+	const channels = Object.fromEntries(
+		otpProviders.channels.map((channel) => [
+			channel,
+			otpProviders.namesFor(channel).some((name) => providers[name]?.ok),
+		])
+	);
+	const ready = supabase.ok && Object.values(channels).every(Boolean);
+
+	res.status(ready ? 200 : 503).json({
+		status: ready ? 'ok' : 'unavailable',
+		supabase,
+		channels,
+		providers,
 	});
 });
 
-app.get('/', (_req, res) => {
-	res.type('html').send(`<!doctype html>
-<html lang="ru">
-<head>
-<meta charset="utf-8" />
-<meta name="viewport" content="width=device-width,initial-scale=1" />
-<title>OTP Valhalla</title>
-<style>
-	body {
-		font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-		margin: 0;
-		padding: 32px;
-		background: #0c111d;
-		color: #fff;
-	}
-	a {
-		color: #a5d8ff;
+app.get('/metrics', requireOperator, (_req, res) => {
+	res.type(METRICS_CONTENT_TYPE).send(metrics.registry.render());
+});
+
+// Vercel Cron calls this with GET; admins can trigger it by hand.
+app.get('/cron/otp-sweep', requireCronOrAdmin, async (_req, res) => {
+	try {
+		const result = await otpSweeper.sweep();
+		logger.info('OTP sweep', result);
+		return res.json(result);
+	} catch (error) {
+		logger.error('OTP sweep error', { error });
+		return res.status(500).json({ message: 'Failed to sweep OTP requests' });
 	}
-	code {
-		background: rgba(255, 255, 255, 0.08);
-		padding: 2px 4px;
-		border-radius: 4px;
+});
+
+app.get('/audit', requireAdmin, async (req, res) => {
+	const { filters, error: filterError } = parseAuditQuery(req.query, {
+		normalizePhone: (value) => {
+			const parsed = phonePolicy.parse(value);
+			return parsed.ok ? parsed.e164 : null;
+		},
+	});
+	if (filterError) {
+		return res.status(400).json(filterError);
 	}
-	section {
-		max-width: 720px;
-		line-height: 1.5;
+
+	try {
+		return res.json(await audit.list(filters));
+	} catch (error) {
+		logger.error('Load audit events error', { error });
+		return res.status(500).json({ message: 'Failed to load audit events' });
 	}
-</style>
-</head>
-<body>
-	<section>
-		<h1>OTP Valhalla API</h1>
-		<p>Сервис ожидает POST-запросы от клиента Hack-the-ICE 7.0.</p>
-		<p>Основные конечные точки:</p>
-		<ul>
-			<li><code>POST /otp/request</code> — отправить SMS-код. Тело: <code>{"{ "phone": "+7..." }"}</code>.</li>
-			<li><code>POST /otp/verify</code> — подтвердить код. Тело: <code>{"{ "requestId": "...", "code": "123456" }"}</code>.</li>
-			<li><code>GET /health</code> — статус API.</li>
-			<li><code>GET /otp/requests</code> — список последних заявок с QR для печати.</li>
-			<li><a href="/print"><code>/print</code></a> — страница для генерации и печати QR без отдельного клиента.</li>
-		</ul>
-		<h2>Что можно просить</h2>
-		<p>Когда вы стучитесь в API или к печатникам, формулируйте запросы конкретно:</p>
-		<ol>
-			<li><strong>QR для печати.</strong> Просите <code>POST /otp/request</code>, укажите телефон получателя. В ответе придёт блок <code>qr</code> с JSON и изображением <code>dataUrl</code> — его можно сразу печатать.</li>
-			<li><strong>Список активных заявок.</strong> Просите <code>GET /otp/requests?limit=50</code>, чтобы показать на сайте статус, срок действия и QR коды, которые ещё можно отсканировать.</li>
-			<li><strong>Проверка статуса.</strong> Если нужен только аптайм, достаточно вызвать <code>GET /health</code> и убедиться, что провайдер в норме.</li>
-			<li><strong>Верификация.</strong> После того как пользователь назвал код, делайте <code>POST /otp/verify</code> c <code>requestId</code> и <code>code</code>, чтобы завершить поток.</li>
-			<li><strong>Печать без кода.</strong> Когда нет интеграции, откройте страницу <a href="/print">/print</a>, введите телефон и распечатайте полученный QR вместе с requestId.</li>
-		</ol>
-		<p>Бэйджи или операторы могут давать только эти четыре типа запросов; все остальные функции закрыты.</p>
-		<p>Базовый URL задаётся переменной <code>VITE_OTP_API_URL</code> во фронтенде.</p>
-	</section>
-</body>
-</html>`);
 });
 
-app.get('/print', (_req, res) => {
+app.get('/', (_req, res) => {
+	res.type('html').send(apiIndexPage);
+});
+
+app.get('/docs', (_req, res) => {
+	res.type('html').send(apiDocsPage);
+});
+
+app.get('/openapi.json', (_req, res) => {
+	res.json(apiDocument);
+});
+
+app.get('/print', requirePrintOperator, (_req, res) => {
 	const safeBrandName = escapeHtml(brandName);
 	res.type('html').send(`<!doctype html>
 <html lang="ru">
@@ -993,6 +1528,10 @@ app.get('/print', (_req, res) => {
 					<span>Провайдер</span>
 					<strong id="meta-provider">—</strong>
 				</div>
+				<div>
+					<span>Доставка SMS</span>
+					<strong id="meta-delivery">—</strong>
+				</div>
 				<div>
 					<span>Бренд</span>
 					<strong>${safeBrandName}</strong>
@@ -1039,6 +1578,7 @@ app.get('/print', (_req, res) => {
 	const metaGenerated = document.getElementById('meta-generated');
 	const metaProvider = document.getElementById('meta-provider');
 	const metaReportStatus = document.getElementById('meta-report-status');
+	const metaDelivery = document.getElementById('meta-delivery');
 	const printButton = document.querySelector('[data-action="print"]');
 	const submitButton = document.getElementById('generate-btn');
 	const resetReportButton = document.getElementById('report-reset-btn');
@@ -1072,6 +1612,42 @@ app.get('/print', (_req, res) => {
 		return date.toLocaleString('ru-RU', { hour12: false });
 	}
 
+	const deliveryLabels = {
+		queued: 'В очереди',
+		delivered: 'Доставлено',
+		failed: 'Не доставлено',
+		expired: 'Истёк срок доставки',
+	};
+	let deliveryTimer = null;
+
+	function stopDeliveryPolling() {
+		if (deliveryTimer) {
+			clearTimeout(deliveryTimer);
+			deliveryTimer = null;
+		}
+	}
+
+	// Provider webhooks update delivery_status; poll the request until it settles.
+	function pollDeliveryStatus(requestId, attemptsLeft) {
+		stopDeliveryPolling();
+		if (!requestId || attemptsLeft <= 0) return;
+		deliveryTimer = setTimeout(async () => {
+			try {
+				const response = await fetch('/otp/requests/' + encodeURIComponent(requestId));
+				if (response.ok) {
+					const item = await response.json();
+					if (item.deliveryStatus) {
+						metaDelivery.textContent = deliveryLabels[item.deliveryStatus] || item.deliveryStatus;
+					}
+					if (item.deliveryStatus && item.deliveryStatus !== 'queued') return;
+				}
+			} catch (pollError) {
+				console.warn('Delivery status poll failed', pollError);
+			}
+			pollDeliveryStatus(requestId, attemptsLeft - 1);
+		}, 5000);
+	}
+
 	function buildSampleReport(phoneValue) {
 		const now = new Date();
 		const isoNow = now.toISOString();
@@ -1222,13 +1798,14 @@ app.get('/print', (_req, res) => {
 		}
 
 		showError('');
+		stopDeliveryPolling();
 		resultSection.hidden = true;
 		printButton.disabled = true;
 		setLoading(true);
 
 		try {
 			const payload = reportPayload ? { phone, report: reportPayload } : { phone };
-			const response = await fetch('/otp/request', {
+			const response = await fetch('/otp/request?inlineQr=true', {
 				method: 'POST',
 				headers: { 'Content-Type': 'application/json' },
 				body: JSON.stringify(payload),
@@ -1252,26 +1829,17 @@ app.get('/print', (_req, res) => {
 				: null;
 			metaExpires.textContent = expiresAtMs ? formatDate(expiresAtMs) : '—';
 
-			let payloadData = null;
-			if (data.qr.payload) {
-				payloadField.value = data.qr.payload;
-				try {
-					payloadData = JSON.parse(data.qr.payload);
-				} catch (parseError) {
-					payloadData = null;
-				}
-			} else {
-				payloadField.value = '';
-			}
+			const payloadData = data.qr.claims || null;
+			payloadField.value = data.qr.payload || '';
 
-			if (payloadData && payloadData.generatedAt) {
-				metaGenerated.textContent = formatDate(payloadData.generatedAt);
+			if (payloadData && typeof payloadData.iat === 'number') {
+				metaGenerated.textContent = formatDate(payloadData.iat * 1000);
 			} else {
 				metaGenerated.textContent = formatDate(new Date());
 			}
 
-			if (payloadData && payloadData.provider) {
-				metaProvider.textContent = payloadData.provider;
+			if (data.provider) {
+				metaProvider.textContent = data.provider;
 			} else if (data.mock) {
 				metaProvider.textContent = 'mock';
 			} else {
@@ -1291,6 +1859,9 @@ app.get('/print', (_req, res) => {
 				}
 			}
 
+			metaDelivery.textContent = deliveryLabels.queued;
+			pollDeliveryStatus(data.requestId, 24);
+
 			resultSection.hidden = false;
 			printButton.disabled = false;
 		} catch (error) {
@@ -1312,327 +1883,1401 @@ app.get('/print', (_req, res) => {
 </html>`);
 });
 
-app.get('/otp/requests', async (req, res) => {
-	const limitParam = Number(req.query.limit);
+app.get('/otp/requests', requireOperator, async (req, res) => {
+	const { filters, error: filterError } = parseOtpRequestListQuery(req.query, {
+		normalizePhone: (value) => {
+			const parsed = phonePolicy.parse(value);
+			return parsed.ok ? parsed.e164 : null;
+		},
+	});
+	if (filterError) {
+		return res.status(400).json(filterError);
+	}
 
 	try {
-		const rows = await loadRecentOtpRequests(limitParam);
-		const items = rows.map((row) => ({
-			requestId: row.request_id,
-			phone: row.phone,
-			provider: row.provider,
-			status: row.status,
-			createdAt: row.created_at,
-			expiresAt: row.expires_at,
-			verifiedAt: row.verified_at,
-			metadata: row.metadata ?? {},
-			qr: {
-				payload: row.qr_payload,
-				dataUrl: row.qr_data_url,
-			},
-		}));
-
-		return res.json({ items });
+		const { rows, total, nextCursor } = await queryOtpRequests(filters);
+		return res.json({ items: rows.map(mapOtpRequestRowToItem), total, nextCursor });
 	} catch (error) {
-		console.error('Load OTP requests error:', error);
+		logger.error('Load OTP requests error', { error });
 		return res.status(500).json({ message: 'Failed to load OTP requests' });
 	}
 });
 
-app.post('/profiles/ensure', async (req, res) => {
+app.get('/otp/requests/:requestId', requireOperator, otpRequestParams, async (req, res) => {
+	const { requestId } = req.params;
+
+	try {
+		const row = await loadOtpRequestRow(requestId);
+		if (!row) {
+			return res.status(404).json({ message: 'OTP request not found' });
+		}
+
+		return res.json(mapOtpRequestRowToItem(row));
+	} catch (error) {
+		logger.error('Load OTP request error', { error });
+		return res.status(500).json({ message: 'Failed to load OTP request' });
+	}
+});
+
+async function loadOtpRequestQrPayload(requestId) {
+	if (!supabaseAdmin) {
+		return requestStore.get(requestId)?.qrPayload ?? null;
+	}
+
+	const { data, error } = await supabaseAdmin
+		.from('otp_requests')
+		.select('qr_payload')
+		.eq('request_id', requestId)
+		.maybeSingle();
+
+	if (error) {
+		throw error;
+	}
+
+	return data?.qr_payload ?? null;
+}
+
+app.get('/otp/requests/:requestId/qr', requireOperator, otpRequestParams, async (req, res) => {
+	const { requestId } = req.params;
+
+	const { options, error: optionsError } = parseQrRenderOptions(req.query);
+	if (optionsError) {
+		return res.status(400).json({ code: 'invalid_qr_options', ...optionsError });
+	}
+
+	try {
+		const qrPayload = await loadOtpRequestQrPayload(requestId);
+		if (!qrPayload) {
+			return res.status(404).json({ message: 'QR code not found' });
+		}
+
+		// The payload of a request never changes, so the image is a pure function of it and the options.
+		const etag = `"${createHash('sha256')
+			.update(qrPayload)
+			.update(JSON.stringify(options))
+			.digest('base64url')}"`;
+		res.set({
+			ETag: etag,
+			'Cache-Control': 'private, max-age=86400',
+			Vary: 'Authorization, X-API-Key',
+		});
+
+		if (req.get('if-none-match') === etag) {
+			return res.status(304).end();
+		}
+
+		const { contentType, body } = await renderQr(qrPayload, options);
+		res.type(contentType);
+		if (options.format === 'pdf') {
+			res.set('Content-Disposition', `inline; filename="qr-${requestId}.pdf"`);
+		}
+		return res.send(body);
+	} catch (error) {
+		logger.error('Render QR error', { error });
+		return res.status(500).json({ message: 'Failed to render QR code' });
+	}
+});
+
+app.get('/profiles', requireAdmin, async (req, res) => {
+	if (!supabaseAdmin) {
+		return res.status(500).json({ message: 'Supabase is not configured' });
+	}
+
+	const { filters, error: filterError } = parseProfileListQuery(req.query, {
+		normalizePhone: (value) => {
+			const parsed = phonePolicy.parse(value);
+			return parsed.ok ? parsed.e164 : null;
+		},
+	});
+	if (filterError) {
+		return res.status(400).json(filterError);
+	}
+
+	try {
+		const { rows, total, nextOffset } = await queryProfiles(filters);
+		return res.json({ items: rows.map(mapProfileRow), total, nextOffset });
+	} catch (error) {
+		logger.error('Load profiles error', { error });
+		return res.status(500).json({ message: 'Failed to load profiles' });
+	}
+});
+
+async function sendProfile(res, authUserId) {
 	if (!supabaseAdmin) {
 		return res.status(500).json({ message: 'Supabase is not configured' });
 	}
 
-	const { authUserId, fullName, email, phone } = req.body ?? {};
-	if (!authUserId || !UUID_REGEX.test(authUserId)) {
-		return res.status(400).json({ message: 'Valid authUserId is required' });
+	try {
+		const profile = await fetchProfileRecord(authUserId);
+		if (!profile) {
+			return res.status(404).json({ message: 'Profile not found' });
+		}
+		return res.json({ profile: mapProfileRow(profile) });
+	} catch (error) {
+		logger.error('Load profile error', { error });
+		return res.status(500).json({ message: 'Failed to load profile' });
+	}
+}
+
+// Registered before /profiles/:authUserId, which would reject "me" as a UUID.
+app.get('/profiles/me', requireUser, (req, res) => sendProfile(res, req.auth.userId));
+
+app.get('/profiles/:authUserId', profileParams, requireProfileOwnerOrAdmin, (req, res) =>
+	sendProfile(res, req.params.authUserId)
+);
+
+const ensureProfileBody = jsonBody(PROFILE_ENSURE_BODY_SCHEMA);
+app.post('/profiles/ensure', ensureProfileBody, requireProfileOwnerOrAdmin, async (req, res) => {
+	if (!supabaseAdmin) {
+		return res.status(500).json({ message: 'Supabase is not configured' });
 	}
 
+	const { authUserId, fullName, email, phone } = req.body;
+
 	try {
-		const profile = await ensureProfileRecord({
+		const { profile, created } = await ensureProfileRecord({
 			authUserId,
 			fullName,
 			email,
 			phone,
 		});
-		return res.json({ profile });
+		if (created) {
+			await audit.record('profile.created', { authUserId, phone: profile.phone }, req);
+		}
+		return res.json({ profile: mapProfileRow(profile) });
 	} catch (error) {
-		console.error('Profiles ensure error:', error);
+		logger.error('Profiles ensure error', { error });
 		return res.status(500).json({ message: 'Failed to ensure profile' });
 	}
 });
 
-app.put('/profiles/:authUserId', async (req, res) => {
+const updateProfileBody = jsonBody(PROFILE_UPDATE_BODY_SCHEMA);
+app.put('/profiles/:authUserId', profileParams, requireProfileOwnerOrAdmin, updateProfileBody, async (req, res) => {
 	if (!supabaseAdmin) {
 		return res.status(500).json({ message: 'Supabase is not configured' });
 	}
 
 	const { authUserId } = req.params;
-	if (!authUserId || !UUID_REGEX.test(authUserId)) {
-		return res.status(400).json({ message: 'Valid authUserId is required' });
+	if (req.body.snils != null && !snilsCipher) {
+		return res.status(500).json({ message: 'SNILS encryption is not configured' });
 	}
 
 	try {
-		const profile = await updateProfileRecord(authUserId, req.body ?? {});
-		return res.json({ profile });
+		const profile = await updateProfileRecord(authUserId, req.body);
+		await audit.record(
+			'profile.updated',
+			{
+				authUserId,
+				phone: profile?.phone,
+				details: { fields: Object.keys(req.body) },
+			},
+			req
+		);
+		return res.json({ profile: profile ? mapProfileRow(profile) : null });
 	} catch (error) {
-		console.error('Profiles update error:', error);
+		logger.error('Profiles update error', { error });
 		return res.status(500).json({ message: 'Failed to update profile' });
 	}
 });
 
-app.delete('/profiles/:authUserId', async (req, res) => {
+// The only route that returns a full SNILS; every call lands in the audit log.
+app.get('/profiles/:authUserId/snils', profileParams, requireAdmin, async (req, res) => {
 	if (!supabaseAdmin) {
 		return res.status(500).json({ message: 'Supabase is not configured' });
 	}
 
 	const { authUserId } = req.params;
-	if (!authUserId || !UUID_REGEX.test(authUserId)) {
-		return res.status(400).json({ message: 'Valid authUserId is required' });
+
+	try {
+		const profile = await fetchProfileRecord(authUserId);
+		if (!profile) {
+			return res.status(404).json({ message: 'Profile not found' });
+		}
+
+		const snils = revealSnils(profile);
+		try {
+			await audit.recordOrThrow(
+				'profile.snils_revealed',
+				{ authUserId, phone: profile.phone, outcome: snils ? 'revealed' : 'empty' },
+				req
+			);
+		} catch (auditError) {
+			// No audit row, no SNILS.
+			logger.error('Profile SNILS reveal audit error', { error: auditError });
+			return res.status(503).json({ message: 'Audit log is unavailable, SNILS was not revealed' });
+		}
+		res.set('Cache-Control', 'no-store');
+		return res.json({ authUserId, snils });
+	} catch (error) {
+		logger.error('Profile SNILS reveal error', { error });
+		return res.status(500).json({ message: 'Failed to reveal SNILS' });
 	}
+});
+
+app.delete('/profiles/:authUserId', profileParams, requireProfileOwnerOrAdmin, async (req, res) => {
+	if (!supabaseAdmin) {
+		return res.status(500).json({ message: 'Supabase is not configured' });
+	}
+
+	const { authUserId } = req.params;
 
 	try {
 		await deleteProfileRecord(authUserId);
+		await audit.record('profile.deleted', { authUserId }, req);
 		return res.json({ success: true });
 	} catch (error) {
-		console.error('Profiles delete error:', error);
+		logger.error('Profiles delete error', { error });
 		return res.status(500).json({ message: 'Failed to delete profile' });
 	}
 });
 
-app.post('/otp/request', async (req, res) => {
-	const { phone, report } = req.body;
+function countOtpEvent(event, { provider, purpose }) {
+	metrics.otpEvents.inc({ event, provider: provider ?? 'unknown', purpose: purpose ?? 'login' });
+}
 
-	if (!phone) {
-		return res.status(400).json({ message: 'phone is required' });
+async function recordDeliveryAttempts({ requestId, phone, purpose }, attempts = [], req = null) {
+	for (const attempt of attempts) {
+		countOtpEvent(attempt.ok ? 'sent' : 'send_failed', { provider: attempt.provider, purpose });
+		if (!attempt.ok) {
+			metrics.providerErrors.inc({ provider: attempt.provider, code: attempt.code ?? 'none' });
+		}
+		if (attempt.durationMs !== undefined) {
+			metrics.providerLatency.observe(
+				{ provider: attempt.provider, channel: attempt.channel, outcome: attempt.ok ? 'ok' : 'error' },
+				attempt.durationMs / 1000
+			);
+		}
+		await audit.record(
+			attempt.ok ? 'otp.sent' : 'otp.send_failed',
+			{
+				requestId,
+				phone,
+				provider: attempt.provider,
+				providerCode: attempt.code,
+				details: attempt.error
+					? { channel: attempt.channel, error: attempt.error }
+					: { channel: attempt.channel },
+			},
+			req
+		);
 	}
+}
 
-	const normalized = normalizePhoneToE164(phone);
-	if (!normalized) {
-		return res.status(400).json({ message: 'invalid phone number' });
+// Returns the channel or a 400 body; `channel` is optional and defaults to SMS.
+function resolveOtpChannel(value) {
+	const channel = value === undefined || value === null || value === '' ? 'sms' : String(value);
+	if (!OTP_CHANNELS.includes(channel)) {
+		return {
+			error: {
+				code: 'channel_invalid',
+				message: `channel must be one of ${OTP_CHANNELS.join(', ')}`,
+				field: 'channel',
+			},
+		};
 	}
 
-	const sanitizedReportMetadata = sanitizeReportMetadata(report);
-	const expiresAt = Date.now() + OTP_TTL_MS;
+	if (!otpProviders.supports(channel)) {
+		return {
+			error: {
+				code: 'channel_unavailable',
+				message: `channel ${channel} is not available`,
+				field: 'channel',
+				availableChannels: otpProviders.channels,
+			},
+		};
+	}
+
+	return { channel };
+}
+
+// Returns the purpose policy or a 400 body; `purpose` is optional and defaults to login.
+function resolveOtpPurpose(value) {
+	const purpose = value === undefined || value === null || value === '' ? 'login' : String(value);
+	const policy = otpPurposes.get(purpose);
+	if (!policy) {
+		return {
+			error: {
+				code: 'purpose_invalid',
+				message: `purpose must be one of ${otpPurposes.names.join(', ')}`,
+				field: 'purpose',
+			},
+		};
+	}
+	return { purpose, policy };
+}
+
+async function lookupProfileLocale(phone) {
+	if (!supabaseAdmin) return null;
+
+	const userId = await lookupMappedUserId(phone);
+	if (!userId) return null;
 
 	try {
-		if (activeProvider === 'vonage' && vonageConfigured && vonage) {
-			const response = await vonage.verify.start({
-				brand: brandName,
-				number: normalized,
-				code_length: '6',
-			});
+		const profile = await fetchProfileRecord(userId);
+		return profile?.locale ?? null;
+	} catch (error) {
+		logger.error('Profile locale lookup error', { error });
+		return null;
+	}
+}
 
-			if (response.status !== '0') {
-				console.error('Vonage verify error:', response);
-				return res.status(400).json({
-					message: response.error_text || 'Failed to request verification code',
-				});
-			}
+// An explicit `locale` wins, then the profile linked to the phone, then the
+// caller's Accept-Language; unsupported values fall through to the default.
+async function resolveOtpLocale({ locale, phone, req }) {
+	const explicit = resolveLocale([locale], otpMessages.locales);
+	if (explicit) return explicit;
+
+	const profileLocale = await lookupProfileLocale(phone);
+	return (
+		resolveLocale([profileLocale, req?.get?.('accept-language')], otpMessages.locales) ??
+		DEFAULT_LOCALE
+	);
+}
 
-			const requestId = response.request_id;
-			const qrPayload = buildQrPayload({
-				requestId,
-				phone: normalized,
-				provider: 'vonage',
-				report: sanitizedReportMetadata,
-			});
-			const qrDataUrl = await generateQrDataUrl(qrPayload);
+// Segment accounting without the text itself, which contains the code.
+function describeOtpMessage(message) {
+	const { locale, purpose, encoding, length, segments } = message;
+	return { locale, purpose, encoding, length, segments };
+}
 
-			requestStore.set(requestId, {
-				phone: normalized,
-				expiresAt,
-				provider: 'vonage',
-				qrPayload,
-				qrDataUrl,
-			});
+// Best effort: an SMS that already went out stays delivered, but a pending
+// provider-side verification is withdrawn.
+async function cancelUnstoredOtp(provider, { externalId, channel }) {
+	if (!externalId || typeof provider.cancel !== 'function') return;
+	await provider.cancel({ externalId, channel }).catch((error) => {
+		logger.error('OTP provider cancel error', { provider: provider.name, error });
+	});
+}
 
-			const recordMetadata = {
-				provider: 'vonage',
-				brand: brandName,
-			};
-			if (sanitizedReportMetadata) {
-				recordMetadata.report = sanitizedReportMetadata;
-			}
+// Shared by POST /otp/request and batch printing. Always resolves to an HTTP
+// status and body so callers can either respond or collect per-row results.
+// `req` only feeds the audit trail (IP, user agent, caller role).
+async function issueOtpRequest({
+	phone,
+	report,
+	channel: requestedChannel,
+	purpose: requestedPurpose,
+	locale: requestedLocale,
+	inlineQr = false,
+	rateLimitSubjects = {},
+	req = null,
+}) {
+	const phoneInfo = phonePolicy.parse(phone);
+	if (!phoneInfo.ok) {
+		return {
+			status: 400,
+			body: { code: phoneInfo.code, message: phoneInfo.message, field: 'phone' },
+		};
+	}
 
+	const { channel, error: channelError } = resolveOtpChannel(requestedChannel);
+	if (channelError) {
+		return { status: 400, body: channelError };
+	}
+	const { purpose, policy, error: purposeError } = resolveOtpPurpose(requestedPurpose);
+	if (purposeError) {
+		return { status: 400, body: purposeError };
+	}
+	const normalized = phoneInfo.e164;
+	const phoneDetails = {
+		country: phoneInfo.country,
+		lineType: phoneInfo.lineType,
+		operator: phoneInfo.operator,
+	};
+
+	try {
+		const limit = await otpRequestLimiter.consume({ ...rateLimitSubjects, phone: normalized });
+		if (!limit.allowed) {
+			return { status: 429, retryAfter: limit.retryAfter, body: buildRateLimitedBody(limit) };
+		}
+	} catch (error) {
+		logger.error('OTP rate limit error', { error });
+	}
+
+	const sanitizedReportMetadata = sanitizeReportMetadata(report);
+	const expiresAt = Date.now() + policy.ttlSeconds * 1000;
+	const requestId = randomUUID();
+
+	try {
+		const generatedCode = otpPurposes.generateCode(policy);
+		const locale = await resolveOtpLocale({ locale: requestedLocale, phone: normalized, req });
+		const message = otpMessages.render({
+			purpose,
+			locale,
+			code: generatedCode,
+			ttlSeconds: policy.ttlSeconds,
+		});
+		const { provider, result, attempts } = await otpProviders.sendWithFailover({
+			requestId,
+			phone: normalized,
+			code: generatedCode,
+			codeLength: policy.codeLength,
+			alphabet: policy.alphabet,
+			ttlSeconds: policy.ttlSeconds,
+			text: message.text,
+			locale,
+			channel,
+			ip: rateLimitSubjects.ip,
+		});
+		await recordDeliveryAttempts({ requestId, phone: normalized, purpose }, attempts, req);
+		// Call-based verification dictates its own code (the caller's number).
+		const code = result.code ?? generatedCode;
+		const codeHash = managesCode(provider, channel) ? null : otpCodeHasher.hash(code);
+
+		const qrClaims = buildQrClaims({ requestId, phone: normalized });
+		const qrPayload = qrSigner.sign(qrClaims);
+		// A PNG data URL is large, so it is rendered only for callers that asked
+		// for it or for the otp_requests.qr_data_url column; imageUrl always works.
+		const qrDataUrl =
+			inlineQr || (supabaseAdmin && storeQrDataUrl) ? await generateQrDataUrl(qrPayload) : null;
+
+		const recordMetadata = {
+			provider: provider.name,
+			channel,
+			brand: brandName,
+			message: describeOtpMessage(message),
+			phone: phoneDetails,
+			deliveryAttempts: attempts,
+		};
+		if (result.externalId) {
+			recordMetadata.providerRequestId = result.externalId;
+		}
+		if (sanitizedReportMetadata) {
+			recordMetadata.report = sanitizedReportMetadata;
+		}
+
+		// Without the row the code can never be verified, resent or cancelled, so
+		// the caller gets an error instead of a code that goes nowhere.
+		try {
 			await createOtpRequestRecord({
 				requestId,
 				phone: normalized,
-				provider: 'vonage',
+				provider: provider.name,
+				providerRequestId: result.externalId ?? null,
 				status: 'pending',
+				purpose,
+				codeHash,
 				qrPayload,
 				qrDataUrl,
 				expiresAt: new Date(expiresAt),
 				metadata: recordMetadata,
 			});
+		} catch {
+			await cancelUnstoredOtp(provider, { externalId: result.externalId, channel });
+			return { status: 500, body: { message: 'Failed to store verification request' } };
+		}
 
-			return res.json({
+		cacheOtpRequestState(requestId, {
+			phone: normalized,
+			codeHash,
+			status: 'pending',
+			attempts: 0,
+			resendCount: 0,
+			expiresAt,
+			provider: provider.name,
+			externalId: result.externalId ?? null,
+			qrPayload,
+			deliveryStatus: 'queued',
+			channel,
+			purpose,
+			lastSentAt: Date.now(),
+			metadata: recordMetadata,
+		});
+
+		countOtpEvent('requested', { provider: provider.name, purpose });
+		await audit.record(
+			'otp.requested',
+			{
 				requestId,
-				expiresIn: OTP_TTL_MS / 1000,
+				phone: normalized,
+				provider: provider.name,
+				details: {
+					channel,
+					message: describeOtpMessage(message),
+					country: phoneInfo.country,
+					reportCaptured: Boolean(sanitizedReportMetadata),
+				},
+			},
+			req
+		);
+
+		const isMock = provider.name === 'mock';
+		return {
+			status: 200,
+			body: {
+				requestId,
+				expiresIn: policy.ttlSeconds,
+				codeLength: result.code ? result.code.length : policy.codeLength,
+				provider: provider.name,
+				channel,
+				purpose,
+				locale,
+				phone: normalized,
+				phoneInfo: phoneDetails,
+				mock: isMock,
+				mockCode: isMock ? code : undefined,
 				reportCaptured: Boolean(sanitizedReportMetadata),
 				qr: {
 					payload: qrPayload,
-					dataUrl: qrDataUrl,
+					claims: qrClaims,
+					dataUrl: inlineQr ? qrDataUrl : undefined,
+					imageUrl: buildQrImageUrl(requestId),
 				},
+			},
+		};
+	} catch (error) {
+		logger.error('OTP request error', { error });
+		await recordDeliveryAttempts({ requestId, phone: normalized, purpose }, error?.attempts, req);
+		const message =
+			error instanceof Error
+				? error.message
+				: 'Failed to request verification code';
+
+		return {
+			status: 400,
+			body: { message: message || 'Failed to request verification code' },
+		};
+	}
+}
+
+app.post('/otp/request', jsonBody(OTP_REQUEST_BODY_SCHEMA, otpRequestBodyLimit), async (req, res) => {
+	const { phone, report, channel, purpose, locale } = req.body;
+
+	const outcome = await issueOtpRequest({
+		phone,
+		report,
+		channel,
+		purpose,
+		locale,
+		inlineQr: req.query.inlineQr === 'true',
+		rateLimitSubjects: { ip: req.ip },
+		req,
+	});
+
+	if (outcome.retryAfter) {
+		res.set('Retry-After', String(outcome.retryAfter));
+	}
+	return res.status(outcome.status).json(outcome.body);
+});
+
+app.post(
+	'/print/batch',
+	requireOperator,
+	express.json({ limit: BODY_LIMITS.batch }),
+	express.text({ type: ['text/csv', 'text/plain'], limit: BODY_LIMITS.batch }),
+	async (req, res) => {
+		if (req.body && typeof req.body === 'object') {
+			const bodyError = validate(PRINT_BATCH_BODY_SCHEMA, req.body);
+			if (bodyError) {
+				return res.status(400).json(bodyError);
+			}
+		}
+
+		const { rows, error: rowsError } = parseBatchRows(req.body);
+		if (rowsError) {
+			return res.status(400).json({ code: 'invalid_batch', message: rowsError });
+		}
+
+		const layoutInput = {
+			...req.query,
+			...(req.body && typeof req.body === 'object' ? req.body.layout : {}),
+		};
+		const { layout, error: layoutError } = parseSheetLayout(layoutInput);
+		if (layoutError) {
+			return res.status(400).json({ code: 'invalid_layout', ...layoutError });
+		}
+
+		// Checked before anything is sent: a sheet nobody can scan is not worth the SMS.
+		const moduleMm = labelQrModuleMm(layout, buildQrLabelToken(randomUUID()));
+		if (moduleMm < MIN_QR_MODULE_MM) {
+			return res.status(400).json({
+				code: 'invalid_layout',
+				field: 'layout',
+				message: `QR modules would be ${moduleMm.toFixed(2)} mm, at least ${MIN_QR_MODULE_MM} mm is needed: use fewer columns or rows`,
 			});
 		}
 
-		const requestId = randomUUID();
-		const code = String(Math.floor(100000 + Math.random() * 900000));
-		const qrPayload = buildQrPayload({
-			requestId,
-			phone: normalized,
-			provider: activeProvider,
-			report: sanitizedReportMetadata,
-		});
-		const qrDataUrl = await generateQrDataUrl(qrPayload);
+		const manifest = [];
+		const labels = [];
 
-		requestStore.set(requestId, {
-			phone: normalized,
-			code,
-			expiresAt,
-			provider: activeProvider,
-			qrPayload,
-			qrDataUrl,
-		});
+		async function issueBatchRow(row, index) {
+			const entry = { row: index + 1, phone: row.phone ?? null };
 
-		if (activeProvider === 'smsru') {
-			await sendSmsRuCode(normalized, code);
-		} else {
-			console.log(`[OTP MOCK] ${normalized} -> ${code}`);
+			const reportError = row.error ? null : validate(OTP_REPORT_SCHEMA, row.report ?? null, 'report');
+			if (row.error || reportError) {
+				return {
+					...entry,
+					status: 'failed',
+					code: 'invalid_report',
+					error: row.error ?? reportError.message,
+				};
+			}
+
+			const outcome = await issueOtpRequest({
+				phone: row.phone,
+				report: row.report,
+				purpose: 'badge',
+				req,
+			});
+			if (outcome.status !== 200) {
+				return {
+					...entry,
+					status: 'failed',
+					code: outcome.body.code ?? null,
+					error: outcome.body.message,
+				};
+			}
+
+			const { requestId, phone, provider } = outcome.body;
+			return { ...entry, phone, status: 'ok', requestId, provider };
 		}
 
-		const recordMetadata = { provider: activeProvider, brand: brandName };
-		if (sanitizedReportMetadata) {
-			recordMetadata.report = sanitizedReportMetadata;
+		// A few sends at a time: fast enough for the function timeout, gentle on the providers.
+		for (let start = 0; start < rows.length; start += BATCH_SEND_CONCURRENCY) {
+			const chunk = rows.slice(start, start + BATCH_SEND_CONCURRENCY);
+			manifest.push(
+				...(await Promise.all(chunk.map((row, offset) => issueBatchRow(row, start + offset))))
+			);
 		}
 
-		await createOtpRequestRecord({
-			requestId,
-			phone: normalized,
-			provider: activeProvider,
-			status: 'pending',
-			code,
-			qrPayload,
-			qrDataUrl,
-			expiresAt: new Date(expiresAt),
-			metadata: recordMetadata,
-		});
+		for (const entry of manifest) {
+			if (entry.status !== 'ok') continue;
+			labels.push({
+				entry,
+				payload: buildQrLabelToken(entry.requestId),
+				requestId: entry.requestId,
+				maskedPhone: maskPhone(entry.phone),
+			});
+		}
 
-		return res.json({
-			requestId,
-			expiresIn: OTP_TTL_MS / 1000,
-			mock: activeProvider === 'mock',
-			mockCode: activeProvider === 'mock' ? code : undefined,
-			reportCaptured: Boolean(sanitizedReportMetadata),
-			qr: {
-				payload: qrPayload,
-				dataUrl: qrDataUrl,
-			},
-		});
-	} catch (error) {
-		console.error('OTP request error:', error);
-		const message =
-			error instanceof Error
-				? error.message
-				: 'Failed to request verification code';
+		try {
+			const { pdf, placed, failed } = renderLabelSheet(labels, { layout, brand: brandName });
+			for (const { index, code, error } of failed) {
+				Object.assign(labels[index].entry, { status: 'failed', code, error });
+			}
+			let labelNumber = 0;
+			for (const { entry } of labels) {
+				if (entry.status === 'ok') entry.label = ++labelNumber;
+			}
+
+			const summary = {
+				total: manifest.length,
+				succeeded: placed,
+				failed: manifest.length - placed,
+				pages: Math.max(1, Math.ceil(placed / (layout.columns * layout.rows))),
+			};
+			const filename = `badges-${new Date().toISOString().slice(0, 10)}.pdf`;
+
+			if (req.query.format === 'pdf') {
+				res.set({
+					'Content-Disposition': `attachment; filename="${filename}"`,
+					'X-Batch-Summary': `total=${summary.total}; succeeded=${summary.succeeded}; failed=${summary.failed}`,
+				});
+				return res.type('application/pdf').send(pdf);
+			}
 
-		return res
-			.status(400)
-			.json({ message: message || 'Failed to request verification code' });
+			return res.json({
+				summary,
+				layout,
+				manifest,
+				pdf: {
+					contentType: 'application/pdf',
+					filename,
+					base64: pdf.toString('base64'),
+				},
+			});
+		} catch (error) {
+			logger.error('Batch print render error', { error });
+			return res.status(500).json({ message: 'Failed to render badge sheet', manifest });
+		}
 	}
-});
+);
 
-app.post('/otp/verify', async (req, res) => {
-	console.log('[/otp/verify] body =', req.body);
+app.post('/otp/verify', jsonBody(OTP_VERIFY_BODY_SCHEMA), async (req, res) => {
 	const { requestId, code } = req.body;
 
-	if (!requestId || !code) {
-		return res.status(400).json({ message: 'requestId and code are required' });
+	const { purpose, policy, error: purposeError } = resolveOtpPurpose(req.body.purpose);
+	if (purposeError) {
+		return res.status(400).json(purposeError);
 	}
 
-	const meta = requestStore.get(requestId);
-	if (!meta) {
+	if (!UUID_REGEX.test(String(requestId))) {
 		return res.status(400).json({ message: 'verification request not found or expired' });
 	}
 
+	let meta;
+	try {
+		meta = await loadOtpRequestState(requestId);
+	} catch (error) {
+		logger.error('Load OTP request error', { error });
+		return res.status(500).json({ message: 'Failed to verify code' });
+	}
+
+	const recordAttempt = (outcome, fields = {}) =>
+		audit.record(
+			'otp.verify_attempt',
+			{ requestId, phone: meta?.phone, provider: meta?.provider, outcome, ...fields },
+			req
+		);
+
+	if (!meta || meta.status === 'expired') {
+		await recordAttempt(meta ? 'expired' : 'not_found');
+		return res.status(400).json({ message: 'verification request not found or expired' });
+	}
+
+	if (meta.status === 'locked') {
+		await recordAttempt('locked');
+		return res.status(423).json({
+			code: 'otp_locked',
+			message: 'too many invalid attempts, request a new code',
+		});
+	}
+
+	if (meta.status !== 'pending') {
+		await recordAttempt('inactive');
+		return res.status(409).json({ message: 'verification request is no longer active' });
+	}
+
 	if (meta.expiresAt < Date.now()) {
-		requestStore.delete(requestId);
-		await updateOtpRequestRecord(requestId, { status: 'expired' });
+		try {
+			if (await transitionOtpRequestStatus(requestId, 'expired')) {
+				countOtpEvent('expired', meta);
+				await audit.record(
+					'otp.expired',
+					{ requestId, phone: meta.phone, provider: meta.provider, details: { source: 'verify' } },
+					req
+				);
+			}
+		} catch (error) {
+			logger.error('Supabase expire otp request error', { error });
+		}
+		await recordAttempt('expired');
 		return res.status(400).json({ message: 'verification code expired' });
 	}
 
+	// A badge or delete_account code must never sign anyone in, and vice versa.
+	const issuedFor = meta.purpose ?? 'login';
+	if (issuedFor !== purpose) {
+		await recordAttempt('purpose_mismatch', { details: { purpose, issuedFor } });
+		return res.status(400).json({
+			code: 'purpose_mismatch',
+			message: `verification request was issued for ${issuedFor}`,
+			field: 'purpose',
+		});
+	}
+
 	try {
-		if (meta.provider === 'vonage' && vonageConfigured && vonage) {
-			const response = await vonage.verify.check(requestId, code);
+		const provider = otpProviders.get(meta.provider);
+		if (!provider) {
+			return res.status(400).json({ message: 'verification provider is not available' });
+		}
 
-			if (response.status !== '0') {
-				console.error('Vonage verify check error:', response);
-				return res.status(400).json({
-					message: response.error_text || 'Invalid verification code',
-				});
-			}
+		const verification = await provider.verify({
+			externalId: meta.externalId,
+			code: otpPurposes.normalizeCode(policy, code),
+			codeHash: meta.codeHash,
+		});
 
-			requestStore.delete(requestId);
-			await updateOtpRequestRecord(requestId, {
-				status: 'verified',
-				verifiedAt: new Date(),
+		if (!verification.valid) {
+			countOtpEvent('verify_failed', meta);
+			const attempt = await registerFailedOtpAttempt(requestId, meta, policy.maxAttempts);
+			await recordAttempt('invalid_code', {
+				providerCode: verification.providerCode,
+				details: { attempts: attempt.attempts },
 			});
+			if (attempt.status === 'locked') {
+				countOtpEvent('locked', meta);
+				await audit.record(
+					'otp.locked',
+					{
+						requestId,
+						phone: meta.phone,
+						provider: meta.provider,
+						details: { attempts: attempt.attempts },
+					},
+					req
+				);
+				return res.status(423).json({
+					code: 'otp_locked',
+					message: 'too many invalid attempts, request a new code',
+				});
+			}
 
-			let supabaseUserInfo = null;
-			try {
-				supabaseUserInfo = await ensureSupabaseUser(meta.phone);
-			} catch (supabaseError) {
-				console.error('Supabase ensure user error:', supabaseError);
+			if (attempt.status !== 'pending') {
+				return res
+					.status(409)
+					.json({ message: 'verification request is no longer active' });
 			}
 
-			return res.json({
-				success: true,
-				phone: meta.phone,
-				supabaseUserId: supabaseUserInfo?.userId ?? null,
-				supabaseUserCreated: supabaseUserInfo?.created ?? false,
+			return res.status(400).json({
+				message: verification.message || 'Invalid verification code',
+				attemptsLeft: Math.max(0, policy.maxAttempts - attempt.attempts),
 			});
 		}
 
-		if (!meta.code || meta.code !== code) {
-			return res.status(400).json({ message: 'Invalid verification code' });
-		}
-
-		requestStore.delete(requestId);
-		await updateOtpRequestRecord(requestId, {
-			status: 'verified',
+		const claimed = await transitionOtpRequestStatus(requestId, 'verified', {
 			verifiedAt: new Date(),
 		});
+		if (!claimed) {
+			await recordAttempt('already_used', { providerCode: verification.providerCode });
+			return res.status(409).json({ message: 'verification code already used' });
+		}
+		await recordAttempt('success', { providerCode: verification.providerCode });
+		countOtpEvent('verified', meta);
+		if (meta.lastSentAt) {
+			metrics.timeToVerify.observe(
+				{ provider: meta.provider, purpose: issuedFor },
+				(Date.now() - meta.lastSentAt) / 1000
+			);
+		}
 
 		let supabaseUserInfo = null;
-		try {
-			supabaseUserInfo = await ensureSupabaseUser(meta.phone);
-		} catch (supabaseError) {
-			console.error('Supabase ensure user error:', supabaseError);
+		if (policy.issuesSession) {
+			try {
+				supabaseUserInfo = await ensureSupabaseUser(meta.phone);
+			} catch (supabaseError) {
+				logger.error('Supabase ensure user error', { error: supabaseError });
+			}
+		}
+
+		let session = null;
+		if (supabaseSessions && supabaseUserInfo?.userId) {
+			try {
+				session = await supabaseSessions.issueSession({ userId: supabaseUserInfo.userId });
+			} catch (sessionError) {
+				logger.error('Supabase issue session error', { error: sessionError });
+			}
 		}
 
 		return res.json({
 			success: true,
 			phone: meta.phone,
+			purpose,
+			provider: meta.provider,
 			mock: meta.provider === 'mock',
 			supabaseUserId: supabaseUserInfo?.userId ?? null,
 			supabaseUserCreated: supabaseUserInfo?.created ?? false,
+			session,
 		});
 	} catch (error) {
-		console.error('OTP verify error:', error);
+		logger.error('OTP verify error', { error });
 		return res.status(500).json({ message: 'Failed to verify code' });
 	}
 });
 
+async function loadOtpRequestSummary(requestId) {
+	if (!supabaseAdmin) {
+		const cached = requestStore.get(requestId);
+		return cached
+			? {
+				requestId,
+				phone: cached.phone,
+				status: cached.status,
+				expiresAt: new Date(cached.expiresAt).toISOString(),
+				verifiedAt: null,
+				report: cached.metadata?.report ?? null,
+			}
+			: null;
+	}
+
+	const { data, error } = await supabaseAdmin
+		.from('otp_requests')
+		.select('request_id, phone, status, created_at, expires_at, verified_at, metadata')
+		.eq('request_id', requestId)
+		.maybeSingle();
+
+	if (error) {
+		throw error;
+	}
+
+	return data
+		? {
+			requestId: data.request_id,
+			phone: data.phone,
+			status: data.status,
+			createdAt: data.created_at,
+			expiresAt: data.expires_at,
+			verifiedAt: data.verified_at,
+			report: data.metadata?.report ?? null,
+		}
+		: null;
+}
+
+app.post('/qr/verify', jsonBody(QR_VERIFY_BODY_SCHEMA), async (req, res) => {
+	const { payload } = req.body;
+
+	const verification = qrSigner.verify(payload);
+	if (!verification.valid) {
+		return res.json({ valid: false, reason: verification.reason, kid: verification.kid ?? null });
+	}
+
+	const { claims, kid } = verification;
+	const requestId = claims?.requestId;
+
+	try {
+		const request =
+			requestId && UUID_REGEX.test(String(requestId))
+				? await loadOtpRequestSummary(requestId)
+				: null;
+
+		// Label tokens carry no phone hash: their MAC already covers the requestId.
+		const phoneMatches =
+			claims.phoneHash === undefined ||
+			qrSigner.phoneHash(request?.phone, kid) === claims.phoneHash;
+		if (!request || !phoneMatches) {
+			return res.json({ valid: false, reason: 'request_not_found', kid, claims });
+		}
+
+		const { phone: _phone, report, ...requestStatus } = request;
+		return res.json({
+			valid: true,
+			kid,
+			claims,
+			request: requestStatus,
+			...buildQrReportView(report),
+		});
+	} catch (error) {
+		logger.error('QR verify error', { error });
+		return res.status(500).json({ message: 'Failed to verify QR payload' });
+	}
+});
+
+// Claims the next resend slot for a pending request before anything is sent;
+// false means another resend won the race or the request is no longer pending.
+async function claimOtpResend(requestId, meta) {
+	const resendCount = (meta.resendCount ?? 0) + 1;
+
+	if (!supabaseAdmin) {
+		const cached = requestStore.get(requestId);
+		if (!cached || cached.status !== 'pending') {
+			return false;
+		}
+		cached.resendCount = resendCount;
+		cached.lastSentAt = Date.now();
+		return true;
+	}
+
+	const { data, error } = await supabaseAdmin
+		.from('otp_requests')
+		.update(buildOtpRequestPatch({ resendCount, lastSentAt: new Date() }))
+		.eq('request_id', requestId)
+		.eq('status', 'pending')
+		.eq('resend_count', meta.resendCount ?? 0)
+		.select('request_id');
+
+	if (error) {
+		throw error;
+	}
+
+	requestStore.delete(requestId);
+	return Array.isArray(data) && data.length > 0;
+}
+
+// requestId is printed on badges, so knowing it is not enough: the caller
+// also names the phone the code went to, or is an operator. A wrong phone
+// gets the same answer as an unknown request.
+async function isOtpRequestOwner(req, meta) {
+	if (hasRole(await auth.authenticate(req), 'operator')) return true;
+	const parsed = phonePolicy.parse(req.body.phone ?? '');
+	return parsed.ok && parsed.e164 === meta.phone;
+}
+
+async function loadActiveOtpRequest(req, res) {
+	const { requestId } = req.body;
+
+	const meta = UUID_REGEX.test(requestId) ? await loadOtpRequestState(requestId) : null;
+	if (!meta || !(await isOtpRequestOwner(req, meta))) {
+		res.status(400).json({ message: 'verification request not found or expired' });
+		return null;
+	}
+
+	if (meta.status === 'expired' || meta.expiresAt < Date.now()) {
+		res.status(400).json({ message: 'verification request not found or expired' });
+		return null;
+	}
+
+	if (meta.status !== 'pending') {
+		res.status(409).json({ message: 'verification request is no longer active' });
+		return null;
+	}
+
+	return { requestId, meta };
+}
+
+app.post('/otp/resend', jsonBody(OTP_RESEND_BODY_SCHEMA), async (req, res) => {
+	try {
+		const active = await loadActiveOtpRequest(req, res);
+		if (!active) return undefined;
+		const { requestId, meta } = active;
+
+		// The client may switch channel on resend, e.g. to a call when SMS does not arrive.
+		const previousChannel = meta.channel ?? 'sms';
+		const { channel, error: channelError } = resolveOtpChannel(
+			req.body?.channel ?? previousChannel
+		);
+		if (channelError) {
+			return res.status(400).json(channelError);
+		}
+
+		const policy = otpPurposes.get(meta.purpose ?? 'login') ?? otpPurposes.get('login');
+		if ((meta.resendCount ?? 0) >= policy.maxResends) {
+			return res.status(429).json({
+				code: 'resend_limit',
+				message: 'resend limit reached, request a new code',
+				retryAfter: Math.max(1, Math.ceil((meta.expiresAt - Date.now()) / 1000)),
+			});
+		}
+
+		const cooldownLeftMs = meta.lastSentAt
+			? meta.lastSentAt + policy.resendCooldownSeconds * 1000 - Date.now()
+			: 0;
+		if (cooldownLeftMs > 0) {
+			const retryAfter = Math.ceil(cooldownLeftMs / 1000);
+			res.set('Retry-After', String(retryAfter));
+			return res.status(429).json({
+				code: 'resend_cooldown',
+				message: 'code was sent recently, try again later',
+				retryAfter,
+			});
+		}
+
+		const limit = await otpRequestLimiter
+			.consume({ phone: meta.phone, ip: req.ip })
+			.catch((error) => {
+				logger.error('OTP rate limit error', { error });
+				return { allowed: true };
+			});
+		if (!limit.allowed) {
+			return sendRateLimited(res, limit);
+		}
+
+		const previousResends = meta.resendCount ?? 0;
+		const claimed = await claimOtpResend(requestId, meta);
+		if (!claimed) {
+			return res.status(409).json({ message: 'verification request changed, try again' });
+		}
+
+		const currentProvider = otpProviders.get(meta.provider);
+		const expiresAt = Date.now() + policy.ttlSeconds * 1000;
+		const patch = { expiresAt: new Date(expiresAt), attempts: 0, deliveryStatus: 'queued' };
+		// A resend keeps the wording and language the user already saw.
+		const previousMessage = meta.metadata?.message;
+		let nextMessage = previousMessage;
+		let deliveryAttempts;
+		let mockCode;
+
+		if (managesCode(currentProvider, previousChannel) && channel === previousChannel) {
+			try {
+				const result = await currentProvider.resend({
+					externalId: meta.externalId,
+					phone: meta.phone,
+				});
+				deliveryAttempts = [
+					{
+						provider: currentProvider.name,
+						channel,
+						ok: true,
+						code: result?.providerCode ?? null,
+					},
+				];
+			} catch (error) {
+				await recordDeliveryAttempts(
+					{ requestId, phone: meta.phone, purpose: policy.name },
+					[
+						{
+							provider: currentProvider.name,
+							channel,
+							ok: false,
+							code: error?.providerCode ?? null,
+							error: error instanceof Error ? error.message : String(error),
+						},
+					],
+					req
+				);
+				throw error;
+			}
+		} else {
+			const generatedCode = otpPurposes.generateCode(policy);
+			const message = otpMessages.render({
+				purpose: policy.name,
+				locale: previousMessage?.locale,
+				code: generatedCode,
+				ttlSeconds: policy.ttlSeconds,
+			});
+			nextMessage = describeOtpMessage(message);
+			const { provider, result, attempts } = await otpProviders
+				.sendWithFailover({
+					requestId,
+					phone: meta.phone,
+					code: generatedCode,
+					codeLength: policy.codeLength,
+					alphabet: policy.alphabet,
+					ttlSeconds: policy.ttlSeconds,
+					text: message.text,
+					locale: message.locale,
+					channel,
+					ip: req.ip,
+				})
+				.catch(async (error) => {
+					await recordDeliveryAttempts(
+						{ requestId, phone: meta.phone, purpose: policy.name },
+						error?.attempts,
+						req
+					);
+					throw error;
+				});
+			const code = result.code ?? generatedCode;
+			deliveryAttempts = attempts;
+			patch.provider = provider.name;
+			patch.providerRequestId = result.externalId ?? null;
+			patch.codeHash = managesCode(provider, channel) ? null : otpCodeHasher.hash(code);
+			mockCode = provider.name === 'mock' ? code : undefined;
+
+			// A provider-side verification left behind would still accept its old code.
+			if (meta.externalId && typeof currentProvider?.cancel === 'function') {
+				await currentProvider
+					.cancel({ externalId: meta.externalId, channel: previousChannel })
+					.catch((error) => {
+						logger.error('OTP provider cancel error', { provider: currentProvider.name, error });
+					});
+			}
+		}
+
+		await recordDeliveryAttempts(
+			{ requestId, phone: meta.phone, purpose: policy.name },
+			deliveryAttempts,
+			req
+		);
+		const provider = patch.provider ?? meta.provider;
+		patch.metadata = {
+			...(meta.metadata ?? {}),
+			provider,
+			channel,
+			message: nextMessage,
+			deliveryAttempts: [...(meta.metadata?.deliveryAttempts ?? []), ...deliveryAttempts],
+		};
+
+		if (supabaseAdmin) {
+			await updateOtpRequestRecord(requestId, patch);
+		} else {
+			Object.assign(requestStore.get(requestId) ?? {}, {
+				provider,
+				externalId: patch.providerRequestId ?? meta.externalId,
+				codeHash: 'codeHash' in patch ? patch.codeHash : meta.codeHash,
+				expiresAt,
+				attempts: 0,
+				deliveryStatus: 'queued',
+				channel,
+				lastSentAt: Date.now(),
+				metadata: patch.metadata,
+			});
+		}
+
+		await audit.record(
+			'otp.resent',
+			{
+				requestId,
+				phone: meta.phone,
+				provider,
+				details: {
+					resendCount: previousResends + 1,
+					channel,
+					previousChannel: channel === previousChannel ? undefined : previousChannel,
+				},
+			},
+			req
+		);
+
+		return res.json({
+			requestId,
+			expiresIn: policy.ttlSeconds,
+			provider,
+			channel,
+			purpose: policy.name,
+			resendsLeft: Math.max(0, policy.maxResends - previousResends - 1),
+			mock: provider === 'mock',
+			mockCode,
+		});
+	} catch (error) {
+		logger.error('OTP resend error', { error });
+		return res.status(400).json({
+			message: error instanceof Error && error.message ? error.message : 'Failed to resend verification code',
+		});
+	}
+});
+
+app.post('/otp/cancel', jsonBody(OTP_CANCEL_BODY_SCHEMA), async (req, res) => {
+	try {
+		const active = await loadActiveOtpRequest(req, res);
+		if (!active) return undefined;
+		const { requestId, meta } = active;
+
+		const cancelled = await transitionOtpRequestStatus(requestId, 'cancelled');
+		if (!cancelled) {
+			return res.status(409).json({ message: 'verification request is no longer active' });
+		}
+
+		const provider = otpProviders.get(meta.provider);
+		let providerCode = null;
+		if (meta.externalId && typeof provider?.cancel === 'function') {
+			try {
+				await provider.cancel({ externalId: meta.externalId, channel: meta.channel });
+			} catch (error) {
+				providerCode = error?.providerCode ?? null;
+				logger.error('OTP provider cancel error', { provider: provider.name, error });
+			}
+		}
+		await audit.record(
+			'otp.cancelled',
+			{ requestId, phone: meta.phone, provider: meta.provider, providerCode },
+			req
+		);
+
+		return res.json({ success: true, requestId, status: 'cancelled' });
+	} catch (error) {
+		logger.error('OTP cancel error', { error });
+		return res.status(500).json({ message: 'Failed to cancel verification request' });
+	}
+});
+
+// A late "queued" report never overwrites a final delivered/failed/expired one.
+async function applyDeliveryReport(providerName, report, req) {
+	let matched = [];
+
+	if (supabaseAdmin) {
+		let query = supabaseAdmin
+			.from('otp_requests')
+			.update(buildOtpRequestPatch({ deliveryStatus: report.status }))
+			.eq('provider', providerName)
+			.eq('provider_request_id', report.externalId);
+		if (report.status === 'queued') {
+			query = query.or('delivery_status.is.null,delivery_status.eq.queued');
+		}
+
+		const { data, error } = await query.select('request_id, phone');
+		if (error) {
+			throw error;
+		}
+		matched = data ?? [];
+	}
+
+	for (const [requestId, state] of requestStore) {
+		if (state.provider !== providerName || state.externalId !== report.externalId) continue;
+		if (report.status === 'queued' && state.deliveryStatus && state.deliveryStatus !== 'queued') {
+			continue;
+		}
+		state.deliveryStatus = report.status;
+		if (!supabaseAdmin) {
+			matched.push({ request_id: requestId, phone: state.phone });
+		}
+	}
+
+	for (const row of matched) {
+		await audit.record(
+			'otp.delivery_status',
+			{
+				requestId: row.request_id,
+				phone: row.phone,
+				provider: providerName,
+				providerCode: report.providerCode,
+				outcome: report.status,
+			},
+			req
+		);
+	}
+	return matched.length;
+}
+
+// SMS.RU posts data[n] form fields, so the nested parser is needed here.
+const smsRuCallbackBody = express.urlencoded({ extended: true, limit: BODY_LIMITS.webhook });
+
+// SMS.RU callbacks carry no signature, so the callback URL holds a shared
+// token: https://<host>/webhooks/smsru?token=<SMSRU_WEBHOOK_SECRET>.
+app.post('/webhooks/smsru', smsRuCallbackBody, async (req, res) => {
+	if (!verifyWebhookToken(req.query.token, process.env.SMSRU_WEBHOOK_SECRET)) {
+		return res.status(401).type('text').send('unauthorized');
+	}
+
+	try {
+		for (const report of parseSmsRuCallback(req.body ?? {})) {
+			await applyDeliveryReport('smsru', report, req);
+		}
+	} catch (error) {
+		logger.error('SMS.RU delivery webhook error', { error });
+		return res.status(500).type('text').send('error');
+	}
+
+	// SMS.RU repeats the callback until it gets "100" back.
+	return res.type('text').send('100');
+});
+
+async function handleVonageDeliveryReceipt(req, res) {
+	const params = {
+		...req.query,
+		...(req.body && typeof req.body === 'object' ? req.body : {}),
+	};
+
+	const signature = verifyVonageSignature(params, {
+		secret: process.env.VONAGE_SIGNATURE_SECRET,
+		method: process.env.VONAGE_SIGNATURE_METHOD || 'md5hash',
+	});
+	if (!signature.valid) {
+		return res.status(401).json({ code: 'invalid_signature', reason: signature.reason });
+	}
+
+	try {
+		for (const report of parseVonageReceipt(params)) {
+			await applyDeliveryReport('vonage', report, req);
+		}
+	} catch (error) {
+		logger.error('Vonage delivery webhook error', { error });
+		return res.status(500).json({ message: 'Failed to store delivery receipt' });
+	}
+
+	// Vonage retries every receipt that does not get a 2xx.
+	return res.status(204).end();
+}
+
+app.get('/webhooks/vonage/delivery', handleVonageDeliveryReceipt);
+app.post(
+	'/webhooks/vonage/delivery',
+	express.json({ limit: BODY_LIMITS.webhook }),
+	express.urlencoded({ extended: false, limit: BODY_LIMITS.webhook }),
+	handleVonageDeliveryReceipt
+);
+
+app.use(handleBodyParserError);
+
+const routeDrift = findUndocumentedRoutes(app.router, apiDocument);
+for (const route of routeDrift.undocumented) {
+	logger.warn('Route is missing from src/openapi.js', { route });
+}
+for (const route of routeDrift.missing) {
+	logger.warn('src/openapi.js documents a route that is not registered', { route });
+}
+
 const isRunningInVercel = Boolean(process.env.VERCEL);
 
 if (!isRunningInVercel) {
 	app.listen(port, () => {
-		console.log(
-			`OTP server running on http://localhost:${port}. Provider: ${activeProvider}`
-		);
+		logger.info(`OTP server running on http://localhost:${port}`, {
+			providers: otpProviders.names,
+		});
 	});
+
+	const sweepIntervalSeconds = readPositiveIntEnv('OTP_SWEEP_INTERVAL_SECONDS', 60);
+	if (sweepIntervalSeconds > 0) {
+		setInterval(async () => {
+			try {
+				const result = await otpSweeper.sweep();
+				if (result.expired || result.scrubbed || result.evicted) {
+					logger.info('OTP sweep', result);
+				}
+			} catch (error) {
+				logger.error('OTP sweep error', { error });
+			}
+		}, sweepIntervalSeconds * 1000).unref();
+	}
 }
 
 export default app;
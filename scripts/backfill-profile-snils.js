@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import { logger } from '../src/logger.js';
+import { parseSigningKeys } from '../src/qr-signing.js';
+import { createSnilsCipher, encryptStoredSnils } from '../src/snils.js';
+
+dotenv.config({ quiet: true });
+
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL || '';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const snilsKeys = parseSigningKeys(process.env.SNILS_ENCRYPTION_KEYS);
+
+if (!supabaseUrl || !supabaseServiceKey || snilsKeys.size === 0) {
+	logger.error('SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY and SNILS_ENCRYPTION_KEYS are required');
+	process.exit(1);
+}
+
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+	auth: {
+		autoRefreshToken: false,
+		persistSession: false,
+	},
+});
+const cipher = createSnilsCipher({ keys: snilsKeys, activeKid: process.env.SNILS_ENCRYPTION_KID });
+
+try {
+	const summary = await encryptStoredSnils(supabaseAdmin, cipher, {
+		onProgress(event) {
+			if (event.type === 'error') {
+				logger.error('Failed to encrypt SNILS', { userId: event.userId, error: event.error });
+			} else {
+				logger.info('profiles SNILS backfill page', event.summary);
+			}
+		},
+	});
+	logger.info('profiles SNILS backfill finished', summary);
+	process.exitCode = summary.failed > 0 ? 1 : 0;
+} catch (error) {
+	logger.error('profiles SNILS backfill error', { error });
+	process.exitCode = 1;
+}
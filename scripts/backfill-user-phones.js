@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import { logger } from '../src/logger.js';
+import { backfillUserPhones } from '../src/user-phones.js';
+
+dotenv.config({ quiet: true });
+
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL || '';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+	logger.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+	process.exit(1);
+}
+
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+	auth: {
+		autoRefreshToken: false,
+		persistSession: false,
+	},
+});
+
+try {
+	const summary = await backfillUserPhones(supabaseAdmin, {
+		onProgress(event) {
+			if (event.type === 'error') {
+				logger.error('Failed to map user', { userId: event.userId, error: event.error });
+			} else {
+				logger.info('user_phones backfill page', {
+					page: event.page,
+					scanned: event.summary.scanned,
+					mapped: event.summary.mapped,
+				});
+			}
+		},
+	});
+	logger.info('user_phones backfill finished', summary);
+	process.exitCode = summary.failed > 0 ? 1 : 0;
+} catch (error) {
+	logger.error('user_phones backfill error', { error });
+	process.exitCode = 1;
+}
@@ -0,0 +1,19 @@
+import { writeFile } from 'node:fs/promises';
+import { buildQrPrintGuide } from '../src/api-docs.js';
+import { logger } from '../src/logger.js';
+import { buildOpenApiDocument } from '../src/openapi.js';
+import { createOtpPurposes } from '../src/otp-purposes.js';
+import { OTP_CHANNELS } from '../src/providers/index.js';
+import { createMessageRenderer } from '../src/sms-templates.js';
+
+// Built-in defaults only: the committed guide must not depend on a local .env.
+const purposes = createOtpPurposes();
+const document = buildOpenApiDocument({
+	channels: OTP_CHANNELS,
+	purposes: purposes.names.map(purposes.get),
+	locales: createMessageRenderer().locales,
+});
+
+const target = new URL('../docs/qr_print_instructions.json', import.meta.url);
+await writeFile(target, `${JSON.stringify(buildQrPrintGuide(document), null, 2)}\n`);
+logger.info('Wrote the QR print guide', { path: target.pathname });
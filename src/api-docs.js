@@ -0,0 +1,620 @@
+import { listOperations } from './openapi.js';
+
+// Everything a reader sees about the API is rendered from the OpenAPI
+// document: the landing page, the interactive reference and the QR print guide.
+
+function escapeHtml(value) {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// The subset of CommonMark the descriptions use: `code`, **bold**, [text](url).
+function renderInline(text) {
+	return escapeHtml(text)
+		.replace(/`([^`]+)`/g, '<code>$1</code>')
+		.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+		.replace(/\[([^\]]+)\]\((\/[^)\s]*)\)/g, '<a href="$2">$1</a>');
+}
+
+function renderParagraphs(text) {
+	return String(text ?? '')
+		.split(/\n{2,}/)
+		.filter(Boolean)
+		.map((paragraph) => `<p>${renderInline(paragraph)}</p>`)
+		.join('\n');
+}
+
+function toPlainText(text) {
+	return String(text ?? '')
+		.replace(/`([^`]+)`/g, '$1')
+		.replace(/\*\*([^*]+)\*\*/g, '$1')
+		.replace(/\[([^\]]+)\]\(([^)\s]*)\)/g, '$1');
+}
+
+function resolveRef(document, value) {
+	if (!value?.$ref) return value;
+	const target = value.$ref
+		.replace(/^#\//, '')
+		.split('/')
+		.reduce((node, key) => node?.[key], document);
+	return resolveRef(document, target);
+}
+
+function findOperation(document, method, path) {
+	return document.paths[path]?.[method] ?? null;
+}
+
+function groupByTag(document) {
+	const groups = new Map(document.tags.map((tag) => [tag.name, []]));
+	for (const entry of listOperations(document)) {
+		const [tag] = entry.operation.tags ?? ['API'];
+		if (!groups.has(tag)) groups.set(tag, []);
+		groups.get(tag).push(entry);
+	}
+	return [...groups].filter(([, entries]) => entries.length > 0);
+}
+
+// "Тело: phone*, channel (sms, voice), ..." for the landing page list.
+function summarizeInputs(operation) {
+	const parts = [];
+	const body = operation.requestBody?.content?.['application/json']?.schema;
+	if (body?.properties) {
+		const fields = Object.entries(body.properties).map(([name, schema]) => {
+			const values = schema.enum?.filter((value) => value !== null);
+			return `<code>${escapeHtml(name)}</code>${body.required?.includes(name) ? '*' : ''}${values ? ` (${values.map(escapeHtml).join(', ')})` : ''}`;
+		});
+		parts.push(`Тело: ${fields.join(', ')}.`);
+	}
+	const query = (operation.parameters ?? []).filter((parameter) => parameter.in === 'query');
+	if (query.length) {
+		parts.push(
+			`Параметры: ${query.map((parameter) => `<code>${escapeHtml(parameter.name)}</code>`).join(', ')}.`
+		);
+	}
+	return parts.join(' ');
+}
+
+function formatLimit(limit) {
+	return String(limit).replace(/kb$/i, ' КБ').replace(/mb$/i, ' МБ');
+}
+
+function describeBodyLimits(document) {
+	const byLimit = new Map();
+	for (const { method, path, operation } of listOperations(document)) {
+		if (!operation['x-body-limit']) continue;
+		const routes = byLimit.get(operation['x-body-limit']) ?? [];
+		routes.push(`${method.toUpperCase()} ${path}`);
+		byLimit.set(operation['x-body-limit'], routes);
+	}
+	return byLimit;
+}
+
+const PAGE_STYLE = `
+	body {
+		font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+		margin: 0;
+		padding: 32px;
+		background: #0c111d;
+		color: #fff;
+	}
+	a {
+		color: #a5d8ff;
+	}
+	code {
+		background: rgba(255, 255, 255, 0.08);
+		padding: 2px 4px;
+		border-radius: 4px;
+	}
+	section {
+		max-width: 720px;
+		line-height: 1.5;
+	}`;
+
+export function renderIndexPage(document) {
+	const accessLevels = document.info['x-access-levels'] ?? {};
+	const errorCodes = resolveRef(document, { $ref: '#/components/schemas/ValidationError' })
+		.properties.code.enum;
+	const limits = [...describeBodyLimits(document)]
+		.sort(([, a], [, b]) => a.length - b.length)
+		.map(([limit, routes]) =>
+			routes.length > 3
+				? `${formatLimit(limit)} для остальных маршрутов`
+				: `${formatLimit(limit)} для ${routes.map((route) => `<code>${escapeHtml(route)}</code>`).join(', ')}`
+		);
+
+	const sections = groupByTag(document)
+		.map(([tag, entries]) => {
+			const items = entries
+				.map(({ method, path, operation }) => {
+					const access =
+						operation['x-access'] && operation['x-access'] !== 'public'
+							? ` <em>${renderInline(accessLevels[operation['x-access']] ?? '')}</em>`
+							: '';
+					const details = [
+						operation.description ? renderInline(operation.description) : '',
+						summarizeInputs(operation),
+					]
+						.filter(Boolean)
+						.map((text) => ` ${text}`)
+						.join('');
+					const label = `<code>${method.toUpperCase()} ${escapeHtml(path)}</code>`;
+					const link =
+						method === 'get' && !path.includes('{')
+							? `<a href="${escapeHtml(path)}">${label}</a>`
+							: label;
+					return `\t\t\t<li>${link} — ${renderInline(operation.summary)}.${details}${access}</li>`;
+				})
+				.join('\n');
+			return `\t\t<h2>${escapeHtml(tag)}</h2>\n\t\t<ul>\n${items}\n\t\t</ul>`;
+		})
+		.join('\n');
+
+	const guide = (document.info['x-guide'] ?? [])
+		.map((step) => `\t\t\t<li>${renderInline(step)}</li>`)
+		.join('\n');
+
+	return `<!doctype html>
+<html lang="ru">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>${escapeHtml(document.info.title)}</title>
+<style>${PAGE_STYLE}
+</style>
+</head>
+<body>
+	<section>
+		<h1>${escapeHtml(document.info.title)}</h1>
+		${renderParagraphs(document.info.description)}
+		<p>Полное описание со схемами и формой для пробных запросов — <a href="/docs">/docs</a>, машиночитаемое — <a href="/openapi.json">/openapi.json</a> (OpenAPI ${escapeHtml(document.openapi)}).</p>
+		<p>Коды ошибок проверки: ${errorCodes.map((code) => `<code>${escapeHtml(code)}</code>`).join(', ')}. Лимиты тела: ${limits.join('; ')}.</p>
+${sections}
+		<h2>Что можно просить</h2>
+		<ol>
+${guide}
+		</ol>
+	</section>
+</body>
+</html>`;
+}
+
+function describeType(schema) {
+	if (schema.const !== undefined) return JSON.stringify(schema.const);
+	const types = Array.isArray(schema.type) ? schema.type : [schema.type ?? 'any'];
+	if (schema.oneOf) {
+		return schema.oneOf
+			.map((option) => option.$ref?.split('/').pop() ?? describeType(option))
+			.join(' | ');
+	}
+	return types
+		.map((type) => (type === 'array' && schema.items ? `${describeType(schema.items)}[]` : type))
+		.join(' | ');
+}
+
+function describeConstraints(schema) {
+	const parts = [];
+	const values = schema.enum ?? schema.items?.enum;
+	if (values) parts.push(values.filter((value) => value !== null).join(', '));
+	if (schema.format) parts.push(schema.format);
+	if (schema.minLength !== undefined) parts.push(`≥ ${schema.minLength} симв.`);
+	if (schema.maxLength !== undefined) parts.push(`≤ ${schema.maxLength} симв.`);
+	if (schema.minimum !== undefined) parts.push(`≥ ${schema.minimum}`);
+	if (schema.maximum !== undefined) parts.push(`≤ ${schema.maximum}`);
+	if (schema.maxItems !== undefined) parts.push(`≤ ${schema.maxItems} эл.`);
+	if (schema.pattern) parts.push(`/${schema.pattern}/`);
+	if (schema.default !== undefined) parts.push(`по умолчанию ${JSON.stringify(schema.default)}`);
+	return parts.join('; ');
+}
+
+function describeField(schema, description) {
+	return [escapeHtml(describeConstraints(schema)), description ? renderInline(description) : '']
+		.filter(Boolean)
+		.join('<br />');
+}
+
+function describeEnumValues(schema) {
+	const descriptions = schema['x-enumDescriptions'];
+	if (!descriptions) return '';
+	return `<ul>${Object.entries(descriptions)
+		.map(([value, text]) => `<li><code>${escapeHtml(value)}</code> — ${renderInline(text)}</li>`)
+		.join('')}</ul>`;
+}
+
+// Flattens nested objects into "report.profile.name" rows, two levels deep
+// below the top so the big report schema stays readable.
+function schemaRows(document, schema, prefix = '', required = [], depth = 0) {
+	const resolved = resolveRef(document, schema);
+	const rows = [];
+	for (const [name, raw] of Object.entries(resolved?.properties ?? {})) {
+		const property = resolveRef(document, raw);
+		const field = prefix ? `${prefix}.${name}` : name;
+		rows.push(
+			`<tr><td><code>${escapeHtml(field)}</code>${required.includes(name) ? ' *' : ''}</td>` +
+				`<td>${escapeHtml(describeType(property))}</td>` +
+				`<td>${describeField(property, property.description)}${describeEnumValues(property)}</td></tr>`
+		);
+
+		const nested = property.items ? resolveRef(document, property.items) : property;
+		if (depth < 2 && nested?.properties) {
+			const nestedPrefix = property.items ? `${field}[]` : field;
+			rows.push(...schemaRows(document, nested, nestedPrefix, nested.required ?? [], depth + 1));
+		}
+	}
+	return rows;
+}
+
+function renderSchemaTable(document, schema) {
+	const resolved = resolveRef(document, schema);
+	const rows = schemaRows(document, resolved, '', resolved?.required ?? []);
+	if (rows.length === 0) return '';
+	return `<table><thead><tr><th>Поле</th><th>Тип</th><th>Ограничения</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function renderJson(value) {
+	return `<pre>${escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2))}</pre>`;
+}
+
+function renderOperation(document, { method, path, operation }) {
+	const id = `${method}-${path}`.replace(/[^a-z0-9]+/gi, '-');
+	const accessLevels = document.info['x-access-levels'] ?? {};
+	const parameters = operation.parameters ?? [];
+	const content = operation.requestBody?.content ?? {};
+	const [bodyType] = Object.keys(content);
+	const body = content[bodyType];
+
+	const parameterRows = parameters
+		.map(
+			(parameter) =>
+				`<tr><td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td><td>${escapeHtml(parameter.in)}</td><td>${escapeHtml(describeType(parameter.schema))}</td><td>${describeField(parameter.schema, parameter.description)}</td></tr>`
+		)
+		.join('');
+
+	const responses = Object.entries(operation.responses ?? {})
+		.map(([status, raw]) => {
+			const response = resolveRef(document, raw);
+			const media = response.content?.['application/json'];
+			const types = Object.keys(response.content ?? {}).filter(
+				(type) => type !== 'application/json'
+			);
+			return `<details><summary><code>${escapeHtml(status)}</code> ${escapeHtml(response.description)}${types.length ? ` — ${escapeHtml(types.join(', '))}` : ''}</summary>${media ? renderSchemaTable(document, media.schema) : ''}${media?.example ? renderJson(media.example) : ''}</details>`;
+		})
+		.join('');
+
+	const notes = [...(operation['x-steps'] ?? []), ...(operation['x-notes'] ?? [])];
+	const inputs = parameters
+		.map(
+			(parameter) =>
+				`<label>${escapeHtml(parameter.name)} <small>${escapeHtml(parameter.in)}</small><input name="${escapeHtml(parameter.name)}" data-in="${escapeHtml(parameter.in)}"${parameter.required ? ' required' : ''} /></label>`
+		)
+		.join('');
+
+	return `<article id="${id}">
+	<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+	<p><strong>${renderInline(operation.summary)}.</strong> ${renderInline(operation.description ?? '')}</p>
+	<p class="access">Доступ: ${renderInline(accessLevels[operation['x-access']] ?? '')}${operation['x-body-limit'] ? ` Лимит тела: ${escapeHtml(formatLimit(operation['x-body-limit']))}.` : ''}</p>
+	${notes.length ? `<ul>${notes.map((note) => `<li>${renderInline(note)}</li>`).join('')}</ul>` : ''}
+	${parameterRows ? `<h4>Параметры</h4><table><thead><tr><th>Имя</th><th>Где</th><th>Тип</th><th>Описание</th></tr></thead><tbody>${parameterRows}</tbody></table>` : ''}
+	${body ? `<h4>Тело <small>${escapeHtml(Object.keys(content).join(', '))}</small></h4>${renderSchemaTable(document, body.schema)}` : ''}
+	<h4>Ответы</h4>
+	${responses}
+	<form class="try" data-method="${method}" data-path="${escapeHtml(path)}" data-type="${escapeHtml(bodyType ?? '')}">
+		<h4>Попробовать</h4>
+		${inputs}
+		${body ? `<textarea name="body" rows="8">${escapeHtml(body.example === undefined ? '' : typeof body.example === 'string' ? body.example : JSON.stringify(body.example, null, 2))}</textarea>` : ''}
+		<button type="submit">Отправить</button>
+		<pre class="result" hidden></pre>
+	</form>
+</article>`;
+}
+
+// Sends the form with the key from the header field; binary answers (QR, PDF)
+// are offered as a link instead of being dumped into the page.
+const TRY_IT_SCRIPT = `
+	const credentials = document.getElementById('credentials');
+	const scheme = document.getElementById('scheme');
+	credentials.value = sessionStorage.getItem('otp-docs-credentials') || '';
+	scheme.value = sessionStorage.getItem('otp-docs-scheme') || 'apiKey';
+	credentials.addEventListener('change', () => sessionStorage.setItem('otp-docs-credentials', credentials.value));
+	scheme.addEventListener('change', () => sessionStorage.setItem('otp-docs-scheme', scheme.value));
+
+	for (const form of document.querySelectorAll('form.try')) {
+		form.addEventListener('submit', async (event) => {
+			event.preventDefault();
+			const output = form.querySelector('.result');
+			let path = form.dataset.path;
+			const query = new URLSearchParams();
+			for (const input of form.querySelectorAll('input[data-in]')) {
+				if (!input.value) continue;
+				if (input.dataset.in === 'path') path = path.replace('{' + input.name + '}', encodeURIComponent(input.value));
+				else query.append(input.name, input.value);
+			}
+			const headers = {};
+			if (credentials.value) {
+				if (scheme.value === 'apiKey') headers['X-API-Key'] = credentials.value;
+				else headers.Authorization = 'Bearer ' + credentials.value;
+			}
+			const textarea = form.querySelector('textarea');
+			const init = { method: form.dataset.method.toUpperCase(), headers };
+			if (textarea && textarea.value.trim()) {
+				headers['Content-Type'] = form.dataset.type || 'application/json';
+				init.body = textarea.value;
+			}
+			output.hidden = false;
+			output.textContent = '…';
+			try {
+				const search = query.toString();
+				const response = await fetch(path + (search ? '?' + search : ''), init);
+				const type = response.headers.get('content-type') || '';
+				let text;
+				if (type.includes('json')) {
+					text = JSON.stringify(await response.json(), null, 2);
+				} else if (type.startsWith('text/')) {
+					text = await response.text();
+				} else {
+					const url = URL.createObjectURL(await response.blob());
+					output.innerHTML = '';
+					output.append(response.status + ' ' + type + ' — ');
+					const link = document.createElement('a');
+					link.href = url;
+					link.target = '_blank';
+					link.textContent = 'открыть';
+					output.append(link);
+					return;
+				}
+				output.textContent = response.status + ' ' + response.statusText + '\\n\\n' + text;
+			} catch (error) {
+				output.textContent = String(error);
+			}
+		});
+	}`;
+
+export function renderDocsPage(document) {
+	const groups = groupByTag(document);
+	const navigation = groups
+		.map(
+			([tag, entries]) =>
+				`<h4>${escapeHtml(tag)}</h4><ul>${entries
+					.map(
+						({ method, path }) =>
+							`<li><a href="#${`${method}-${path}`.replace(/[^a-z0-9]+/gi, '-')}"><span class="method ${method}">${method.toUpperCase()}</span> ${escapeHtml(path)}</a></li>`
+					)
+					.join('')}</ul>`
+		)
+		.join('');
+	const sections = groups
+		.map(
+			([tag, entries]) =>
+				`<h2>${escapeHtml(tag)}</h2>${entries.map((entry) => renderOperation(document, entry)).join('\n')}`
+		)
+		.join('\n');
+
+	return `<!doctype html>
+<html lang="ru">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>${escapeHtml(document.info.title)} — документация</title>
+<style>${PAGE_STYLE}
+	body {
+		padding: 0;
+		display: grid;
+		grid-template-columns: 280px 1fr;
+	}
+	nav {
+		position: sticky;
+		top: 0;
+		height: 100vh;
+		overflow: auto;
+		padding: 16px;
+		background: #111827;
+		font-size: 14px;
+	}
+	nav ul {
+		list-style: none;
+		padding: 0;
+	}
+	nav a {
+		text-decoration: none;
+	}
+	main {
+		padding: 32px;
+		max-width: 960px;
+	}
+	article {
+		border-top: 1px solid rgba(255, 255, 255, 0.12);
+		padding: 8px 0 24px;
+	}
+	table {
+		border-collapse: collapse;
+		width: 100%;
+		font-size: 14px;
+	}
+	th,
+	td {
+		text-align: left;
+		vertical-align: top;
+		padding: 4px 8px;
+		border-bottom: 1px solid rgba(255, 255, 255, 0.08);
+	}
+	pre {
+		background: rgba(255, 255, 255, 0.06);
+		padding: 12px;
+		border-radius: 8px;
+		overflow: auto;
+	}
+	.method {
+		display: inline-block;
+		min-width: 52px;
+		font: 600 12px monospace;
+		color: #0c111d;
+		background: #a5d8ff;
+		border-radius: 4px;
+		text-align: center;
+	}
+	.method.post {
+		background: #b2f2bb;
+	}
+	.method.put {
+		background: #ffec99;
+	}
+	.method.delete {
+		background: #ffc9c9;
+	}
+	.access {
+		color: #adb5bd;
+	}
+	form.try {
+		display: grid;
+		gap: 8px;
+		margin-top: 12px;
+	}
+	input,
+	select,
+	textarea,
+	button {
+		font: inherit;
+		padding: 6px 8px;
+		border-radius: 6px;
+		border: 1px solid rgba(255, 255, 255, 0.2);
+		background: #111827;
+		color: inherit;
+	}
+	textarea {
+		font-family: monospace;
+	}
+	label {
+		display: grid;
+		gap: 4px;
+	}
+	button {
+		justify-self: start;
+		cursor: pointer;
+		background: #1c7ed6;
+	}
+</style>
+</head>
+<body>
+	<nav>
+		<h3>${escapeHtml(document.info.title)}</h3>
+		<label>Ключ или токен
+			<select id="scheme"><option value="apiKey">X-API-Key</option><option value="bearer">Bearer</option></select>
+			<input id="credentials" type="password" autocomplete="off" />
+		</label>
+		<p><a href="/">Краткая справка</a> · <a href="/openapi.json">openapi.json</a></p>
+		${navigation}
+	</nav>
+	<main>
+		<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+		${renderParagraphs(document.info.description)}
+		${sections}
+	</main>
+<script>${TRY_IT_SCRIPT}
+</script>
+</body>
+</html>`;
+}
+
+function describeQuery(operation) {
+	return Object.fromEntries(
+		(operation.parameters ?? [])
+			.filter((parameter) => parameter.in === 'query')
+			.map((parameter) => [parameter.name, toPlainText(parameter.description)])
+	);
+}
+
+function describeAccess(document, operation) {
+	return toPlainText(document.info['x-access-levels']?.[operation['x-access']]);
+}
+
+function responseExample(operation) {
+	return operation.responses?.[200]?.content?.['application/json']?.example;
+}
+
+function enumDescriptions(schema) {
+	return Object.fromEntries(
+		Object.entries(schema['x-enumDescriptions'] ?? {}).map(([value, text]) => [
+			value,
+			toPlainText(text),
+		])
+	);
+}
+
+// docs/qr_print_instructions.json for the print and dashboard teams; run
+// `npm run docs:generate` after changing src/openapi.js.
+export function buildQrPrintGuide(document) {
+	const request = findOperation(document, 'post', '/otp/request');
+	const batch = findOperation(document, 'post', '/print/batch');
+	const list = findOperation(document, 'get', '/otp/requests');
+	const detail = findOperation(document, 'get', '/otp/requests/{requestId}');
+	const printPage = findOperation(document, 'get', '/print');
+	const requestBody = request.requestBody.content['application/json'];
+	const { channel, purpose, locale } = requestBody.schema.properties;
+	const validationError = resolveRef(document, { $ref: '#/components/schemas/ValidationError' });
+
+	return {
+		generatedFrom: `GET /openapi.json (OpenAPI ${document.openapi}, API ${document.info.version})`,
+		qrPrintFlow: {
+			description: toPlainText(request.description),
+			endpoint: 'POST /otp/request',
+			auth: describeAccess(document, request),
+			payloadExample: requestBody.example,
+			responseShape: responseExample(request),
+			printSteps: request['x-steps'].map(toPlainText),
+			channels: {
+				...enumDescriptions(channel),
+				notes: request['x-notes'].map(toPlainText),
+			},
+			purposes: {
+				...enumDescriptions(purpose),
+				notes: request['x-purpose-notes'].map(toPlainText),
+			},
+			smsText: {
+				purposes: purpose.enum,
+				locales: locale.enum,
+				placeholders: request['x-sms-text'].placeholders,
+				notes: request['x-sms-text'].notes.map(toPlainText),
+			},
+			printPage: {
+				path: '/print',
+				auth: describeAccess(document, printPage),
+				notes: printPage['x-notes'].map(toPlainText),
+			},
+		},
+		batchPrintFlow: {
+			description: toPlainText(batch.description),
+			endpoint: 'POST /print/batch',
+			auth: describeAccess(document, batch),
+			payloadExamples: {
+				csv: batch.requestBody.content['text/csv'].example,
+				json: batch.requestBody.content['application/json'].example,
+			},
+			responseShape: responseExample(batch),
+			notes: batch['x-notes'].map(toPlainText),
+		},
+		dashboardFeed: {
+			description: `${toPlainText(list.description)} GET /otp/requests/{requestId} — ${toPlainText(detail.summary).toLowerCase()}, ${toPlainText(detail.description).toLowerCase()}`,
+			endpoint: 'GET /otp/requests?limit=50',
+			detailEndpoint: 'GET /otp/requests/{requestId}',
+			query: describeQuery(list),
+			auth: describeAccess(document, list),
+			responseShape: responseExample(list),
+			renderHints: list['x-notes'].map(toPlainText),
+		},
+		validation: {
+			schemas: 'src/schemas.js',
+			errorShape: validationError.example,
+			codes: validationError.properties.code.enum,
+			bodyLimits: Object.fromEntries(
+				[...describeBodyLimits(document)].flatMap(([limit, routes]) =>
+					routes.map((route) => [route, limit])
+				)
+			),
+			notes: validationError['x-notes'].map(toPlainText),
+		},
+		supabase: document['x-supabase'],
+	};
+}
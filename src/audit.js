@@ -0,0 +1,216 @@
+import { createHmac } from 'node:crypto';
+import { maskPhone, normalizePhoneDigits } from './phone.js';
+import { logger } from './logger.js';
+import {
+	DEFAULT_PAGE_SIZE,
+	MAX_PAGE_SIZE,
+	UUID_PATTERN,
+	invalid,
+	readDate,
+	readList,
+} from './query-params.js';
+
+export const AUDIT_EVENT_TYPES = [
+	'otp.requested',
+	'otp.sent',
+	'otp.send_failed',
+	'otp.delivery_status',
+	'otp.verify_attempt',
+	'otp.locked',
+	'otp.expired',
+	'otp.resent',
+	'otp.cancelled',
+	'profile.created',
+	'profile.updated',
+	'profile.deleted',
+	'profile.snils_revealed',
+];
+
+const MEMORY_LIMIT = 1000;
+
+export function parseAuditQuery(query = {}, { normalizePhone } = {}) {
+	const filters = {};
+
+	const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+	if (!Number.isFinite(limit) || limit < 1) {
+		return invalid('limit', `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+	}
+	filters.limit = Math.min(Math.floor(limit), MAX_PAGE_SIZE);
+
+	const types = readList(query.type);
+	if (types) {
+		if (types.some((type) => !AUDIT_EVENT_TYPES.includes(type))) {
+			return invalid('type', `type must be one of ${AUDIT_EVENT_TYPES.join(', ')}`);
+		}
+		filters.types = types;
+	}
+
+	for (const field of ['requestId', 'authUserId']) {
+		const value = query[field];
+		if (value === undefined || value === '') continue;
+		if (!UUID_PATTERN.test(String(value))) {
+			return invalid(field, `${field} must be a UUID`);
+		}
+		filters[field] = String(value);
+	}
+
+	if (query.phone !== undefined && query.phone !== '') {
+		const phone = normalizePhone ? normalizePhone(query.phone) : String(query.phone);
+		if (!phone) {
+			return invalid('phone', 'phone must be a valid phone number');
+		}
+		filters.phone = phone;
+	}
+
+	for (const field of ['ip', 'provider', 'outcome']) {
+		if (query[field] !== undefined && query[field] !== '') {
+			filters[field] = String(query[field]);
+		}
+	}
+
+	for (const field of ['from', 'to']) {
+		const { value, error } = readDate(query[field]);
+		if (error) return invalid(field, `${field} must be an ISO date`);
+		if (value) filters[field] = value;
+	}
+
+	if (query.cursor !== undefined && query.cursor !== '') {
+		if (!/^\d+$/.test(String(query.cursor))) {
+			return invalid('cursor', 'cursor is invalid');
+		}
+		filters.cursor = Number(query.cursor);
+	}
+
+	return { filters };
+}
+
+function mapEventRow(row) {
+	return {
+		id: row.id,
+		createdAt: row.created_at,
+		type: row.type,
+		requestId: row.request_id,
+		authUserId: row.auth_user_id,
+		phone: row.phone_masked,
+		ip: row.ip,
+		userAgent: row.user_agent,
+		actorRole: row.actor_role,
+		provider: row.provider,
+		providerCode: row.provider_code,
+		outcome: row.outcome,
+		details: row.details ?? {},
+	};
+}
+
+// Phones are stored masked for display plus a keyed hash, so an investigator
+// can still find every event for a number without the table holding it.
+export function createAuditLog({ supabaseAdmin, phoneHashSecret }) {
+	const memoryEvents = [];
+	let memorySequence = 0;
+
+	function hashPhone(phone) {
+		const digits = normalizePhoneDigits(phone);
+		if (!digits) return null;
+		return createHmac('sha256', phoneHashSecret).update(digits).digest('base64url');
+	}
+
+	function buildEventRow(type, fields, req) {
+		return {
+			type,
+			request_id: fields.requestId ?? null,
+			auth_user_id: fields.authUserId ?? null,
+			phone_masked: fields.phone ? maskPhone(fields.phone) : null,
+			phone_hash: fields.phone ? hashPhone(fields.phone) : null,
+			ip: req?.ip ?? null,
+			user_agent: req?.get?.('user-agent')?.slice(0, 512) ?? null,
+			actor_role: req?.auth?.role ?? null,
+			provider: fields.provider ?? null,
+			provider_code: fields.providerCode == null ? null : String(fields.providerCode),
+			outcome: fields.outcome ?? null,
+			details: fields.details ?? {},
+		};
+	}
+
+	// For events that must not happen unrecorded: throws when the row cannot be
+	// written, so the caller can refuse the action instead.
+	async function recordOrThrow(type, fields = {}, req = null) {
+		const row = buildEventRow(type, fields, req);
+
+		if (!supabaseAdmin) {
+			memorySequence += 1;
+			memoryEvents.push({ id: memorySequence, created_at: new Date().toISOString(), ...row });
+			if (memoryEvents.length > MEMORY_LIMIT) memoryEvents.shift();
+			return;
+		}
+
+		const { error } = await supabaseAdmin.from('otp_events').insert(row);
+		if (error) throw error;
+	}
+
+	// Never throws: a lost audit row must not fail the request it describes.
+	async function record(type, fields = {}, req = null) {
+		try {
+			await recordOrThrow(type, fields, req);
+		} catch (error) {
+			logger.error('Audit record error', { type, error });
+		}
+	}
+
+	function matches(row, filters) {
+		if (filters.types && !filters.types.includes(row.type)) return false;
+		if (filters.requestId && row.request_id !== filters.requestId) return false;
+		if (filters.authUserId && row.auth_user_id !== filters.authUserId) return false;
+		if (filters.phone && row.phone_hash !== hashPhone(filters.phone)) return false;
+		if (filters.ip && row.ip !== filters.ip) return false;
+		if (filters.provider && row.provider !== filters.provider) return false;
+		if (filters.outcome && row.outcome !== filters.outcome) return false;
+		if (filters.from && row.created_at < filters.from) return false;
+		if (filters.to && row.created_at >= filters.to) return false;
+		if (filters.cursor && row.id >= filters.cursor) return false;
+		return true;
+	}
+
+	async function queryRows(filters) {
+		if (!supabaseAdmin) {
+			return memoryEvents
+				.filter((row) => matches(row, filters))
+				.reverse()
+				.slice(0, filters.limit + 1);
+		}
+
+		let query = supabaseAdmin.from('otp_events').select('*');
+		if (filters.types) query = query.in('type', filters.types);
+		if (filters.requestId) query = query.eq('request_id', filters.requestId);
+		if (filters.authUserId) query = query.eq('auth_user_id', filters.authUserId);
+		if (filters.phone) query = query.eq('phone_hash', hashPhone(filters.phone));
+		if (filters.ip) query = query.eq('ip', filters.ip);
+		if (filters.provider) query = query.eq('provider', filters.provider);
+		if (filters.outcome) query = query.eq('outcome', filters.outcome);
+		if (filters.from) query = query.gte('created_at', filters.from);
+		if (filters.to) query = query.lt('created_at', filters.to);
+		if (filters.cursor) query = query.lt('id', filters.cursor);
+
+		const { data, error } = await query
+			.order('id', { ascending: false })
+			.limit(filters.limit + 1);
+
+		if (error) {
+			throw error;
+		}
+
+		return data ?? [];
+	}
+
+	async function list(filters) {
+		const rows = await queryRows(filters);
+		const hasMore = rows.length > filters.limit;
+		const pageRows = hasMore ? rows.slice(0, filters.limit) : rows;
+
+		return {
+			items: pageRows.map(mapEventRow),
+			nextCursor: hasMore ? String(pageRows[pageRows.length - 1].id) : null,
+		};
+	}
+
+	return { record, recordOrThrow, list };
+}
@@ -0,0 +1,156 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { logger } from './logger.js';
+
+const ROLE_RANK = { self: 0, operator: 1, admin: 2 };
+
+function parseKeyList(value) {
+	if (!value) return [];
+	return value
+		.split(',')
+		.map((key) => key.trim())
+		.filter(Boolean)
+		.map((key) => createHash('sha256').update(key).digest());
+}
+
+function matchesKey(candidate, digests) {
+	if (!candidate) return false;
+	const digest = createHash('sha256').update(candidate).digest();
+	return digests.some((known) => timingSafeEqual(known, digest));
+}
+
+function readCredentials(req) {
+	const header = req.get('authorization') || '';
+	const apiKey = req.get('x-api-key');
+	if (apiKey) return { apiKey };
+
+	const [scheme, value] = header.split(' ');
+	if (!value) return {};
+
+	if (/^bearer$/i.test(scheme)) {
+		return { bearer: value.trim() };
+	}
+
+	if (/^basic$/i.test(scheme)) {
+		const decoded = Buffer.from(value, 'base64').toString('utf8');
+		const separator = decoded.indexOf(':');
+		return { apiKey: separator >= 0 ? decoded.slice(separator + 1) : decoded };
+	}
+
+	return {};
+}
+
+export function hasRole(principal, role) {
+	if (!principal) return false;
+	return (ROLE_RANK[principal.role] ?? -1) >= ROLE_RANK[role];
+}
+
+export function createAuth({ supabaseAdmin, operatorApiKeys, adminApiKeys, cronSecret }) {
+	const operatorKeys = parseKeyList(operatorApiKeys);
+	const adminKeys = parseKeyList(adminApiKeys);
+	const cronKeys = parseKeyList(cronSecret);
+
+	async function resolvePrincipal(req) {
+		const { apiKey, bearer } = readCredentials(req);
+		const key = apiKey ?? bearer;
+
+		if (key && matchesKey(key, adminKeys)) {
+			return { role: 'admin', userId: null, via: 'api_key' };
+		}
+		if (key && matchesKey(key, operatorKeys)) {
+			return { role: 'operator', userId: null, via: 'api_key' };
+		}
+
+		if (!bearer || !supabaseAdmin) {
+			return null;
+		}
+
+		const { data, error } = await supabaseAdmin.auth.getUser(bearer);
+		if (error || !data?.user) {
+			return null;
+		}
+
+		const appRole = data.user.app_metadata?.role;
+		return {
+			role: appRole === 'admin' || appRole === 'operator' ? appRole : 'self',
+			userId: data.user.id,
+			via: 'supabase',
+		};
+	}
+
+	function deny(res, status, { basicRealm } = {}) {
+		if (status === 401) {
+			res.set(
+				'WWW-Authenticate',
+				basicRealm ? `Basic realm="${basicRealm}", charset="UTF-8"` : 'Bearer'
+			);
+			return res.status(401).json({
+				code: 'unauthorized',
+				message: 'Authentication is required',
+			});
+		}
+
+		return res.status(403).json({
+			code: 'forbidden',
+			message: 'You do not have access to this resource',
+		});
+	}
+
+	async function authenticate(req) {
+		if (req.auth !== undefined) return req.auth;
+		try {
+			req.auth = await resolvePrincipal(req);
+		} catch (error) {
+			logger.error('Auth resolve error', { error });
+			req.auth = null;
+		}
+		return req.auth;
+	}
+
+	function requireRole(role, options = {}) {
+		return async (req, res, next) => {
+			const principal = await authenticate(req);
+			if (!principal) return deny(res, 401, options);
+			if (!hasRole(principal, role)) return deny(res, 403, options);
+			return next();
+		};
+	}
+
+	// Owner of the profile (matched by auth user id) or an admin.
+	function requireSelfOrAdmin(resolveUserId) {
+		return async (req, res, next) => {
+			const principal = await authenticate(req);
+			if (!principal) return deny(res, 401);
+
+			const targetUserId = resolveUserId(req);
+			const isOwner = Boolean(principal.userId) && principal.userId === targetUserId;
+			if (!isOwner && !hasRole(principal, 'admin')) return deny(res, 403);
+			return next();
+		};
+	}
+
+	// A signed-in Supabase user; API keys carry no user, so they get 403.
+	function requireUser() {
+		return async (req, res, next) => {
+			const principal = await authenticate(req);
+			if (!principal) return deny(res, 401);
+			if (!principal.userId) return deny(res, 403);
+			return next();
+		};
+	}
+
+	// Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; the secret only
+	// opens routes guarded here, everything else still needs a real key.
+	function requireCronOrRole(role) {
+		const guard = requireRole(role);
+		return (req, res, next) => {
+			const { bearer } = readCredentials(req);
+			if (bearer && matchesKey(bearer, cronKeys)) {
+				req.auth = { role: 'cron', userId: null, via: 'cron_secret' };
+				return next();
+			}
+			return guard(req, res, next);
+		};
+	}
+
+	return { authenticate, requireRole, requireSelfOrAdmin, requireUser, requireCronOrRole };
+}
@@ -0,0 +1,111 @@
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+
+export const DELIVERY_STATUSES = ['queued', 'delivered', 'failed', 'expired'];
+
+// https://sms.ru/api/status — 100–102 are still on the way, 103/110 reached the handset.
+const SMSRU_STATUS_MAP = {
+	100: 'queued',
+	101: 'queued',
+	102: 'queued',
+	103: 'delivered',
+	104: 'expired',
+	105: 'failed',
+	106: 'failed',
+	107: 'failed',
+	108: 'failed',
+	110: 'delivered',
+	150: 'failed',
+};
+
+const VONAGE_STATUS_MAP = {
+	accepted: 'queued',
+	buffered: 'queued',
+	delivered: 'delivered',
+	expired: 'expired',
+	failed: 'failed',
+	rejected: 'failed',
+	unknown: 'failed',
+};
+
+const VONAGE_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function safeEqual(a, b) {
+	const left = createHash('sha256').update(String(a)).digest();
+	const right = createHash('sha256').update(String(b)).digest();
+	return timingSafeEqual(left, right);
+}
+
+export function verifyWebhookToken(candidate, secret) {
+	if (!secret || !candidate) return false;
+	return safeEqual(candidate, secret);
+}
+
+// SMS.RU posts form fields data[0..n], each "sms_status\n<sms_id>\n<code>\n<unix time>".
+export function parseSmsRuCallback(body = {}) {
+	const entries = Array.isArray(body.data)
+		? body.data
+		: body.data && typeof body.data === 'object'
+			? Object.values(body.data)
+			: Object.entries(body)
+					.filter(([key]) => /^data\[\d*\]$/.test(key))
+					.map(([, value]) => value);
+
+	const reports = [];
+	for (const entry of entries) {
+		const [kind, externalId, code] = String(entry ?? '')
+			.split('\n')
+			.map((line) => line.trim());
+		if (kind !== 'sms_status' || !externalId) continue;
+
+		const status = SMSRU_STATUS_MAP[Number(code)];
+		if (!status) continue;
+		reports.push({ externalId, status, providerCode: code });
+	}
+	return reports;
+}
+
+// Vonage "signed webhooks": params sorted by name, joined as &key=value with
+// '&' and '=' in values replaced by '_', then hashed with the signature secret.
+export function verifyVonageSignature(
+	params = {},
+	{ secret, method = 'md5hash', now = Date.now() } = {}
+) {
+	if (!secret) return { valid: false, reason: 'not_configured' };
+
+	const { sig, ...signed } = params;
+	if (!sig) return { valid: false, reason: 'missing_signature' };
+
+	const timestamp = Number(signed.timestamp);
+	const drift = Math.abs(now / 1000 - timestamp);
+	if (!Number.isFinite(timestamp) || drift > VONAGE_SIGNATURE_TOLERANCE_SECONDS) {
+		return { valid: false, reason: 'stale_timestamp' };
+	}
+
+	const base = Object.keys(signed)
+		.sort()
+		.map((key) => `&${key}=${String(signed[key]).replace(/[&=]/g, '_')}`)
+		.join('');
+
+	const expected =
+		method === 'md5hash'
+			? createHash('md5').update(base + secret).digest('hex')
+			: createHmac(method, secret).update(base).digest('hex');
+
+	return safeEqual(expected, String(sig).toLowerCase())
+		? { valid: true }
+		: { valid: false, reason: 'bad_signature' };
+}
+
+export function parseVonageReceipt(params = {}) {
+	const externalId = params.messageId ?? params['message-id'] ?? null;
+	const status = VONAGE_STATUS_MAP[String(params.status ?? '').toLowerCase()];
+	if (!externalId || !status) return [];
+
+	return [
+		{
+			externalId: String(externalId),
+			status,
+			providerCode: params['err-code'] ?? params.status ?? null,
+		},
+	];
+}
@@ -0,0 +1,152 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { maskPhone } from './phone.js';
+import { maskSnils } from './snils.js';
+
+// JSON lines on stdout/stderr, which is what Vercel and most log shippers
+// expect. Every line written while a request is handled carries its requestId.
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const DEFAULT_LEVEL = 'info';
+const MAX_DEPTH = 6;
+const MASK = '[masked]';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Keys whose values never reach the log, whatever they hold.
+const SECRET_KEYS = new Set([
+	'code',
+	'mockcode',
+	'otp',
+	'password',
+	'token',
+	'accesstoken',
+	'refreshtoken',
+	'authorization',
+	'apikey',
+	'secret',
+]);
+const PHONE_KEYS = new Set(['phone', 'phonee164', 'to', 'msisdn']);
+const SNILS_KEYS = new Set(['snils']);
+// Report contents: the payload from POST /otp/request and what is derived from it.
+const REPORT_KEYS = new Set(['report', 'metadata', 'profilesnapshot', 'caresummary']);
+
+const PHONE_IN_TEXT = /\+\d{10,15}\b|\b[78]9\d{9}\b/g;
+const SNILS_IN_TEXT = /\b\d{3}-\d{3}-\d{3}[ -]\d{2}\b/g;
+
+const requestContext = new AsyncLocalStorage();
+
+export function currentRequestId() {
+	return requestContext.getStore()?.requestId ?? null;
+}
+
+function maskText(value) {
+	return value
+		.replace(SNILS_IN_TEXT, (match) => maskSnils(match))
+		.replace(PHONE_IN_TEXT, (match) => maskPhone(match));
+}
+
+// Errors from Supabase and the providers are plain objects with a message;
+// their `code` is an error code, not an OTP, so it is kept.
+function isErrorLike(value) {
+	return value instanceof Error || (typeof value?.message === 'string' && 'code' in value);
+}
+
+function serializeError(error) {
+	return {
+		name: error.name,
+		message: error.message,
+		...(error.code !== undefined ? { code: error.code } : {}),
+		...(error.providerCode !== undefined ? { providerCode: error.providerCode } : {}),
+		...(error.stack ? { stack: error.stack } : {}),
+		...(error.cause !== undefined ? { cause: error.cause } : {}),
+	};
+}
+
+export function maskLogValue(value, key = '', depth = 0, seen = new WeakSet()) {
+	const name = key.toLowerCase().replace(/[_-]/g, '');
+	if (value === null || value === undefined) return value;
+	if (REPORT_KEYS.has(name)) return MASK;
+	if (SNILS_KEYS.has(name)) return maskSnils(value);
+	if (PHONE_KEYS.has(name) && typeof value !== 'object') return maskPhone(value) || MASK;
+	if (typeof value === 'string') return maskText(value);
+	if (typeof value !== 'object') return value;
+	if (depth >= MAX_DEPTH || seen.has(value)) return '[truncated]';
+	seen.add(value);
+
+	if (Array.isArray(value)) {
+		return value.map((item) => maskLogValue(item, key, depth + 1, seen));
+	}
+	const errorLike = isErrorLike(value);
+	const source = value instanceof Error ? serializeError(value) : value;
+	return Object.fromEntries(
+		Object.entries(source).map(([field, item]) => [
+			field,
+			SECRET_KEYS.has(field.toLowerCase()) && !(errorLike && field === 'code')
+				? MASK
+				: maskLogValue(item, field, depth + 1, seen),
+		])
+	);
+}
+
+function writeLine(level, line) {
+	const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+	stream.write(`${line}\n`);
+}
+
+// Without an explicit level the logger reads LOG_LEVEL on every call: modules
+// import it before index.js has loaded .env.
+export function createLogger({ level, fields = {}, write = writeLine } = {}) {
+	function threshold() {
+		const name = String(level ?? process.env.LOG_LEVEL ?? DEFAULT_LEVEL).toLowerCase();
+		return LOG_LEVELS[name] ?? LOG_LEVELS[DEFAULT_LEVEL];
+	}
+
+	function log(levelName, message, data = {}) {
+		if (LOG_LEVELS[levelName] < threshold()) return;
+		const requestId = currentRequestId();
+		const entry = maskLogValue({
+			time: new Date().toISOString(),
+			level: levelName,
+			msg: message,
+			...(requestId ? { requestId } : {}),
+			...fields,
+			...(data instanceof Error ? { error: data } : data),
+		});
+		write(levelName, JSON.stringify(entry));
+	}
+
+	return {
+		debug: (message, data) => log('debug', message, data),
+		info: (message, data) => log('info', message, data),
+		warn: (message, data) => log('warn', message, data),
+		error: (message, data) => log('error', message, data),
+		child: (extra) => createLogger({ level, fields: { ...fields, ...extra }, write }),
+	};
+}
+
+export const logger = createLogger();
+
+// Reuses a well-formed X-Request-Id from the caller or a proxy, otherwise
+// generates one; either way it is echoed back in the response.
+export function requestLogging({ log = logger } = {}) {
+	return (req, res, next) => {
+		const incoming = req.get('x-request-id');
+		const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+		const startedAt = performance.now();
+		req.id = requestId;
+		res.set('X-Request-Id', requestId);
+
+		res.on('finish', () => {
+			requestContext.run({ requestId }, () =>
+				log.info('HTTP request', {
+					method: req.method,
+					path: req.originalUrl.split('?')[0],
+					status: res.statusCode,
+					durationMs: Math.round(performance.now() - startedAt),
+				})
+			);
+		});
+		requestContext.run({ requestId }, next);
+	};
+}
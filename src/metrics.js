@@ -0,0 +1,183 @@
+// Prometheus text exposition (format 0.0.4). Counters and histograms with
+// labels are all GET /metrics needs, so there is no client library.
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; provider calls and Supabase queries sit well inside 10 s.
+export const LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Seconds from sending a code to the user typing it in.
+export const TIME_TO_VERIFY_BUCKETS = [10, 20, 30, 60, 120, 180, 300, 600, 1800];
+
+function escapeLabelValue(value) {
+	return String(value ?? '')
+		.replace(/\\/g, '\\\\')
+		.replace(/\n/g, '\\n')
+		.replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+	const pairs = names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+	if (extra) pairs.push(extra);
+	return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+	if (value === Infinity) return '+Inf';
+	return String(value);
+}
+
+export function createMetricsRegistry() {
+	const metrics = [];
+
+	function register(metric) {
+		if (metrics.some((existing) => existing.name === metric.name)) {
+			throw new Error(`Metric ${metric.name} is already registered`);
+		}
+		metrics.push(metric);
+		return metric;
+	}
+
+	function seriesFor(series, labelNames, labels) {
+		const values = labelNames.map((name) => labels[name] ?? '');
+		const key = JSON.stringify(values);
+		return series.get(key) ?? series.set(key, { values, data: null }).get(key);
+	}
+
+	function counter({ name, help, labelNames = [] }) {
+		const series = new Map();
+		register({
+			name,
+			help,
+			type: 'counter',
+			lines: () =>
+				[...series.values()].map(
+					({ values, data }) => `${name}${formatLabels(labelNames, values)} ${formatNumber(data)}`
+				),
+		});
+
+		return {
+			inc(labels = {}, value = 1) {
+				const entry = seriesFor(series, labelNames, labels);
+				entry.data = (entry.data ?? 0) + value;
+			},
+		};
+	}
+
+	function histogram({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) {
+		const bounds = [...buckets].sort((a, b) => a - b);
+		const series = new Map();
+		register({
+			name,
+			help,
+			type: 'histogram',
+			lines: () =>
+				[...series.values()].flatMap(({ values, data }) => [
+					...bounds.map(
+						(bound, index) =>
+							`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${data.counts[index]}`
+					),
+					`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${data.count}`,
+					`${name}_sum${formatLabels(labelNames, values)} ${formatNumber(data.sum)}`,
+					`${name}_count${formatLabels(labelNames, values)} ${data.count}`,
+				]),
+		});
+
+		function observe(labels, seconds) {
+			if (!Number.isFinite(seconds) || seconds < 0) return;
+			const entry = seriesFor(series, labelNames, labels);
+			entry.data ??= { counts: bounds.map(() => 0), sum: 0, count: 0 };
+			bounds.forEach((bound, index) => {
+				if (seconds <= bound) entry.data.counts[index] += 1;
+			});
+			entry.data.sum += seconds;
+			entry.data.count += 1;
+		}
+
+		// Labels known only at the end (outcome, status) go to the returned stop().
+		function startTimer(labels = {}) {
+			const startedAt = performance.now();
+			return (moreLabels = {}) =>
+				observe({ ...labels, ...moreLabels }, (performance.now() - startedAt) / 1000);
+		}
+
+		return { observe, startTimer };
+	}
+
+	function render() {
+		return `${metrics
+			.map((metric) =>
+				[
+					`# HELP ${metric.name} ${metric.help}`,
+					`# TYPE ${metric.name} ${metric.type}`,
+					...metric.lines(),
+				].join('\n')
+			)
+			.join('\n')}\n`;
+	}
+
+	return { counter, histogram, render };
+}
+
+// Supabase URLs look like /rest/v1/otp_requests, /rest/v1/rpc/expire_overdue_otp_requests
+// or /auth/v1/admin/users/<id>; ids are dropped to keep the label set small.
+function describeSupabaseCall(url) {
+	const [api, , first, second] = new URL(url).pathname.split('/').filter(Boolean);
+	if (api === 'rest') return first === 'rpc' ? `rpc/${second}` : `rest/${first}`;
+	if (api === 'auth') return first === 'admin' ? `auth/admin/${second}` : `auth/${first}`;
+	return api ?? 'unknown';
+}
+
+// A fetch for createClient({ global: { fetch } }) that times every Supabase call.
+export function createTimedFetch(histogram, baseFetch = fetch) {
+	return async (input, init) => {
+		const url = typeof input === 'string' ? input : input.url;
+		const stop = histogram.startTimer({
+			resource: describeSupabaseCall(url),
+			method: (init?.method ?? input.method ?? 'GET').toUpperCase(),
+		});
+		try {
+			const response = await baseFetch(input, init);
+			stop({ status: String(response.status) });
+			return response;
+		} catch (error) {
+			stop({ status: 'error' });
+			throw error;
+		}
+	};
+}
+
+export function createOtpMetrics() {
+	const registry = createMetricsRegistry();
+
+	return {
+		registry,
+		// Mirrors the audit event types: requested, sent, send_failed, verified,
+		// verify_failed, expired, locked.
+		otpEvents: registry.counter({
+			name: 'otp_events_total',
+			help: 'OTP funnel events by provider and purpose.',
+			labelNames: ['event', 'provider', 'purpose'],
+		}),
+		providerErrors: registry.counter({
+			name: 'otp_provider_errors_total',
+			help: 'Failed provider sends by the status code the provider returned.',
+			labelNames: ['provider', 'code'],
+		}),
+		providerLatency: registry.histogram({
+			name: 'otp_provider_send_duration_seconds',
+			help: 'Time spent in a provider send call.',
+			labelNames: ['provider', 'channel', 'outcome'],
+		}),
+		timeToVerify: registry.histogram({
+			name: 'otp_time_to_verify_seconds',
+			help: 'Time from sending a code to its successful verification.',
+			labelNames: ['provider', 'purpose'],
+			buckets: TIME_TO_VERIFY_BUCKETS,
+		}),
+		supabaseLatency: registry.histogram({
+			name: 'supabase_request_duration_seconds',
+			help: 'Supabase REST and Auth call latency.',
+			labelNames: ['resource', 'method', 'status'],
+		}),
+	};
+}
@@ -0,0 +1,1367 @@
+import { AUDIT_EVENT_TYPES } from './audit.js';
+import { DELIVERY_STATUSES } from './delivery-webhooks.js';
+import { OTP_REQUEST_STATUSES } from './otp-request-filters.js';
+import { DIGITS } from './otp-purposes.js';
+import {
+	DEFAULT_SHEET_LAYOUT,
+	LAYOUT_LIMITS,
+	MAX_BATCH_ROWS,
+	MIN_QR_MODULE_MM,
+} from './print-batch.js';
+import {
+	DEFAULT_QR_RENDER_OPTIONS,
+	ERROR_CORRECTION_LEVELS,
+	QR_FORMATS,
+	QR_RENDER_LIMITS,
+} from './qr-render.js';
+import {
+	BODY_LIMITS,
+	OTP_CANCEL_BODY_SCHEMA,
+	OTP_REQUEST_BODY_SCHEMA,
+	OTP_RESEND_BODY_SCHEMA,
+	OTP_VERIFY_BODY_SCHEMA,
+	PRINT_BATCH_BODY_SCHEMA,
+	PROFILE_CATEGORIES,
+	PROFILE_ENSURE_BODY_SCHEMA,
+	PROFILE_ROLES,
+	PROFILE_UPDATE_BODY_SCHEMA,
+	QR_VERIFY_BODY_SCHEMA,
+} from './schemas.js';
+
+// The API description lives here once: GET /openapi.json serves it, GET / and
+// GET /docs render it, and scripts/generate-docs.js turns it into
+// docs/qr_print_instructions.json. Request bodies are the same schema objects
+// the routes validate with. Narrative that has no OpenAPI field goes into
+// x-* extensions (x-notes, x-steps, x-access, x-body-limit).
+
+export const OPENAPI_VERSION = '3.1.0';
+
+const REQUEST_ID = '3f2c6a8e-5b1d-4c7a-9e0f-1a2b3c4d5e6f';
+const PHONE = '+79991234567';
+const QR_PAYLOAD = 'ov1.<kid>.<base64url(claims)>.<base64url(hmac-sha256)>';
+
+const CHANNEL_DESCRIPTIONS = {
+	sms: 'SMS.RU или Vonage — по OTP_PROVIDER_PRIORITY. Vonage отправляет SMS через SMS API от имени VONAGE_SMS_FROM; без него Vonage обслуживает только звонки.',
+	voice:
+		'SMS.RU звонит, код — последние 4 цифры номера, поэтому звонком уходят только 4-значные коды, остальные цели переходят к следующему провайдеру; Vonage зачитывает код голосом (workflow 3).',
+	telegram: 'Telegram Gateway (TELEGRAM_GATEWAY_TOKEN), код приходит в чат «Verification Codes».',
+	whatsapp:
+		'WhatsApp Cloud API, шаблон аутентификации (WHATSAPP_ACCESS_TOKEN, WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_TEMPLATE_NAME).',
+};
+
+const PURPOSE_DESCRIPTIONS = {
+	login: 'Вход; единственная цель, после которой выдаётся сессия Supabase.',
+	profile_change: 'Подтверждение изменений профиля, без сессии.',
+	badge: 'Выдача бейджа; пакетная печать создаёт заявки с этой целью.',
+	delete_account: 'Удаление аккаунта.',
+};
+
+const STATUS_DESCRIPTIONS = {
+	pending: 'код отправлен и ждёт ввода',
+	verified: 'код подтверждён',
+	expired: 'истёк срок действия',
+	locked: 'исчерпаны попытки ввода',
+	cancelled: 'заявка отменена',
+};
+
+const ACCESS_LEVELS = {
+	public: 'Без авторизации.',
+	operator:
+		'Только операторы и админы: заголовок `X-API-Key` с ключом из `OTP_OPERATOR_API_KEYS` или `Authorization: Bearer <Supabase JWT>` с `app_metadata.role = operator|admin`.',
+	printOperator:
+		'Только операторы: браузер запрашивает логин и пароль, в поле пароля вводится ключ оператора.',
+	admin:
+		'Только админы: ключ из `OTP_ADMIN_API_KEYS` или Supabase JWT с `app_metadata.role = admin`.',
+	cronOrAdmin: 'Vercel Cron (`Authorization: Bearer $CRON_SECRET`) или админ.',
+	owner: 'Владелец профиля (Supabase JWT того же пользователя) или админ.',
+	phoneOrOperator:
+		'Без ключа, но с тем же `phone`, на который ушёл код: `requestId` напечатан на бейджах и сам по себе ничего не доказывает. Операторы и админы могут не передавать `phone`.',
+	user: 'Пользователь Supabase со своим JWT; ключи API не подходят — за ними нет пользователя.',
+	webhook: 'Провайдер SMS: общий секрет в URL или подпись запроса.',
+};
+
+const SECURITY = {
+	public: [],
+	operator: [{ apiKey: [] }, { bearer: [] }],
+	printOperator: [{ basic: [] }],
+	admin: [{ apiKey: [] }, { bearer: [] }],
+	cronOrAdmin: [{ bearer: [] }, { apiKey: [] }],
+	owner: [{ bearer: [] }, { apiKey: [] }],
+	user: [{ bearer: [] }],
+	phoneOrOperator: [{}, { apiKey: [] }, { bearer: [] }],
+	webhook: [],
+};
+
+function plural(count, one, few, many) {
+	const mod10 = count % 10;
+	const mod100 = count % 100;
+	if (mod10 === 1 && mod100 !== 11) return one;
+	if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return few;
+	return many;
+}
+
+function formatDuration(seconds) {
+	if (seconds % 3600 === 0) return `${seconds / 3600} ч`;
+	if (seconds % 60 === 0) return `${seconds / 60} мин`;
+	return `${seconds} с`;
+}
+
+export function describePolicy(policy) {
+	const symbols =
+		policy.alphabet === DIGITS
+			? plural(policy.codeLength, 'цифра', 'цифры', 'цифр')
+			: `${plural(policy.codeLength, 'символ', 'символа', 'символов')} из ${policy.alphabet}`;
+	const parts = [
+		`${policy.codeLength} ${symbols}`,
+		formatDuration(policy.ttlSeconds),
+		`${policy.maxAttempts} ${plural(policy.maxAttempts, 'попытка', 'попытки', 'попыток')}`,
+		`${policy.maxResends} ${plural(policy.maxResends, 'повтор', 'повтора', 'повторов')}`,
+	];
+	if (policy.resendCooldownSeconds) {
+		parts.push(`повтор не чаще раза в ${formatDuration(policy.resendCooldownSeconds)}`);
+	}
+	return parts.join(', ');
+}
+
+// Copies an object schema with extra keywords merged into some properties,
+// so the docs can add descriptions without touching the validation schema.
+function annotate(schema, properties, extra = {}) {
+	const merged = { ...schema.properties };
+	for (const [name, keywords] of Object.entries(properties)) {
+		merged[name] = { ...merged[name], ...keywords };
+	}
+	return { ...schema, ...extra, properties: merged };
+}
+
+function ref(name) {
+	return { $ref: `#/components/schemas/${name}` };
+}
+
+function json(schema, example) {
+	return { 'application/json': example === undefined ? { schema } : { schema, example } };
+}
+
+function ok(description, schema, example) {
+	return { 200: { description, content: json(schema, example) } };
+}
+
+function errors(...statuses) {
+	return Object.fromEntries(
+		statuses.map((status) => [
+			status,
+			{ $ref: `#/components/responses/${ERROR_RESPONSES[status]}` },
+		])
+	);
+}
+
+const ERROR_RESPONSES = {
+	400: 'BadRequest',
+	401: 'Unauthorized',
+	403: 'Forbidden',
+	404: 'NotFound',
+	409: 'Conflict',
+	413: 'PayloadTooLarge',
+	423: 'Locked',
+	429: 'RateLimited',
+	500: 'ServerError',
+	503: 'Unavailable',
+};
+
+// `body` is the route's JSON schema; `bodyContent` adds other media types.
+function operation({ access = 'public', body, bodyExample, bodyContent, bodyLimit, ...rest }) {
+	const op = { ...rest, security: SECURITY[access], 'x-access': access };
+	if (body || bodyContent) {
+		op.requestBody = {
+			required: true,
+			content: { ...(body ? json(body, bodyExample) : {}), ...bodyContent },
+		};
+		op['x-body-limit'] = bodyLimit ?? BODY_LIMITS.small;
+	}
+	return op;
+}
+
+function rangeOf({ min, max }) {
+	return { minimum: min, maximum: max };
+}
+
+function queryParam(name, schema, description, extra = {}) {
+	return { name, in: 'query', required: false, description, schema, ...extra };
+}
+
+function listParam(name, values, description) {
+	return queryParam(name, { type: 'array', items: { type: 'string', enum: values } }, description, {
+		style: 'form',
+		explode: false,
+	});
+}
+
+function pathParam(name, description) {
+	return {
+		name,
+		in: 'path',
+		required: true,
+		description,
+		schema: { type: 'string', format: 'uuid' },
+	};
+}
+
+function buildSchemas({ channels, purposes, locales }) {
+	const channel = {
+		type: 'string',
+		enum: channels,
+		description: 'Канал доставки кода.',
+		'x-enumDescriptions': Object.fromEntries(
+			channels.map((name) => [name, CHANNEL_DESCRIPTIONS[name] ?? name])
+		),
+	};
+	const purpose = {
+		type: 'string',
+		enum: purposes.map((policy) => policy.name),
+		default: 'login',
+		description: 'Цель кода: задаёт длину, срок жизни, число попыток и текст SMS.',
+		'x-enumDescriptions': Object.fromEntries(
+			purposes.map((policy) => [
+				policy.name,
+				`${PURPOSE_DESCRIPTIONS[policy.name] ?? 'Цель из OTP_PURPOSES.'} ${describePolicy(policy)}.`,
+			])
+		),
+	};
+	const status = {
+		type: 'string',
+		enum: OTP_REQUEST_STATUSES,
+		'x-enumDescriptions': STATUS_DESCRIPTIONS,
+	};
+	const deliveryStatus = { type: ['string', 'null'], enum: [...DELIVERY_STATUSES, null] };
+	const timestamp = { type: 'string', format: 'date-time' };
+	const qrImage = {
+		payload: {
+			type: 'string',
+			description: 'Подписанный payload `ov1.<kid>.<claims>.<signature>`.',
+		},
+		dataUrl: {
+			type: ['string', 'null'],
+			description:
+				'PNG в data URL. POST /otp/request возвращает его только с ?inlineQr=true; в списке — только при OTP_STORE_QR_DATA_URL != false.',
+		},
+		imageUrl: { type: 'string', description: 'Ссылка на GET /otp/requests/{requestId}/qr.' },
+	};
+
+	return {
+		channel,
+		purpose,
+		locale: {
+			type: 'string',
+			enum: locales,
+			description:
+				'Язык SMS: поле locale, затем profiles.locale для номера, затем Accept-Language, иначе ru.',
+		},
+		schemas: {
+			Error: {
+				type: 'object',
+				required: ['message'],
+				properties: {
+					code: { type: 'string' },
+					message: { type: 'string' },
+					field: { type: ['string', 'null'] },
+				},
+			},
+			ValidationError: {
+				type: 'object',
+				required: ['code', 'message', 'field'],
+				properties: {
+					code: {
+						type: 'string',
+						enum: [
+							'field_required',
+							'field_invalid',
+							'field_too_long',
+							'field_unknown',
+							'invalid_json',
+							'payload_too_large',
+						],
+					},
+					message: { type: 'string' },
+					field: { type: ['string', 'null'] },
+				},
+				example: {
+					code: 'field_invalid',
+					message: 'report.profile.category must be one of ...',
+					field: 'report.profile.category',
+				},
+				'x-notes': [
+					'Неизвестные поля верхнего уровня отклоняются (field_unknown); внутри report дополнительные поля разрешены, но известные проверяются по типу и длине.',
+					`profile.category: ${PROFILE_CATEGORIES.join(', ')}; role: ${PROFILE_ROLES.join(', ')}.`,
+					'В пакетной печати невалидный report помечает только свою строку manifest как invalid_report.',
+				],
+			},
+			RateLimited: {
+				type: 'object',
+				properties: {
+					code: { const: 'rate_limited' },
+					message: { type: 'string' },
+					limit: { type: 'string', description: 'Сработавшее правило, например phone_cooldown.' },
+					retryAfter: {
+						type: 'integer',
+						description: 'Секунды до следующей попытки, дублируется в Retry-After.',
+					},
+				},
+			},
+			OtpRequestCreated: {
+				type: 'object',
+				properties: {
+					requestId: { type: 'string', format: 'uuid' },
+					expiresIn: { type: 'integer', description: 'Секунды до истечения кода.' },
+					codeLength: { type: 'integer' },
+					provider: { type: 'string' },
+					channel,
+					purpose,
+					locale: { type: 'string' },
+					phone: { type: 'string', description: 'Номер в E.164.' },
+					phoneInfo: { type: 'object' },
+					mock: { type: 'boolean' },
+					mockCode: { type: 'string', description: 'Только для mock-провайдера.' },
+					reportCaptured: { type: 'boolean' },
+					qr: {
+						type: 'object',
+						properties: {
+							...qrImage,
+							claims: {
+								type: 'object',
+								description:
+									'Расшифрованные claims: requestId, phoneHash (HMAC номера), iat и exp в секундах. Отчёт в QR не попадает.',
+							},
+						},
+					},
+				},
+			},
+			OtpRequestItem: {
+				type: 'object',
+				properties: {
+					requestId: { type: 'string', format: 'uuid' },
+					phone: { type: 'string' },
+					provider: { type: 'string' },
+					purpose,
+					status,
+					deliveryStatus,
+					deliveryUpdatedAt: { type: ['string', 'null'], format: 'date-time' },
+					createdAt: timestamp,
+					expiresAt: timestamp,
+					verifiedAt: { type: ['string', 'null'], format: 'date-time' },
+					qr: { type: 'object', properties: qrImage },
+					metadata: { type: 'object' },
+				},
+			},
+			OtpRequestList: {
+				type: 'object',
+				properties: {
+					items: { type: 'array', items: ref('OtpRequestItem') },
+					total: { type: 'integer', description: 'Все заявки под фильтрами, без учёта курсора.' },
+					nextCursor: { type: ['string', 'null'] },
+				},
+			},
+			OtpVerified: {
+				type: 'object',
+				properties: {
+					success: { type: 'boolean' },
+					phone: { type: 'string' },
+					purpose,
+					provider: { type: 'string' },
+					mock: { type: 'boolean' },
+					supabaseUserId: { type: ['string', 'null'] },
+					supabaseUserCreated: { type: 'boolean' },
+					session: {
+						type: ['object', 'null'],
+						description:
+							'Сессия Supabase (accessToken, refreshToken), только для login. Выдаётся через одноразовую magic link: пароль пользователя не меняется, а пользователю без email назначается подтверждённый адрес <id>@phone.invalid (домен — SUPABASE_SESSION_EMAIL_DOMAIN). Он же записывается в app_metadata.placeholder_email: пока user.email совпадает с ним, клиент не показывает email.',
+					},
+				},
+			},
+			OtpResent: {
+				type: 'object',
+				properties: {
+					requestId: { type: 'string', format: 'uuid' },
+					expiresIn: { type: 'integer' },
+					provider: { type: 'string' },
+					channel,
+					purpose,
+					resendsLeft: { type: 'integer' },
+					mock: { type: 'boolean' },
+					mockCode: { type: 'string' },
+				},
+			},
+			QrVerification: {
+				type: 'object',
+				properties: {
+					valid: { type: 'boolean' },
+					reason: {
+						type: 'string',
+						description: 'Почему payload не принят, только при valid = false.',
+					},
+					kid: { type: ['string', 'null'] },
+					claims: { type: 'object' },
+					request: { type: 'object', description: 'Статус заявки без телефона.' },
+					profile: {
+						type: 'object',
+						description: 'Профиль из metadata.report заявки: fullName, region, category, age.',
+					},
+					care: {
+						type: 'object',
+						description: 'Льготы и лекарства из metadata.report заявки.',
+					},
+				},
+			},
+			BatchPrintResult: {
+				type: 'object',
+				properties: {
+					summary: {
+						type: 'object',
+						properties: {
+							total: { type: 'integer' },
+							succeeded: { type: 'integer' },
+							failed: { type: 'integer' },
+							pages: { type: 'integer' },
+						},
+					},
+					layout: { type: 'object' },
+					manifest: { type: 'array', items: { type: 'object' } },
+					pdf: {
+						type: 'object',
+						properties: {
+							contentType: { const: 'application/pdf' },
+							filename: { type: 'string' },
+							base64: { type: 'string' },
+						},
+					},
+				},
+			},
+			AuditEventList: {
+				type: 'object',
+				properties: {
+					items: { type: 'array', items: { type: 'object' } },
+					nextCursor: { type: ['string', 'null'] },
+				},
+			},
+			Readiness: {
+				type: 'object',
+				properties: {
+					status: { type: 'string', enum: ['ok', 'unavailable'] },
+					supabase: ref('ReadinessCheck'),
+					channels: {
+						type: 'object',
+						description: 'Есть ли у канала хотя бы один исправный провайдер.',
+						additionalProperties: { type: 'boolean' },
+					},
+					providers: { type: 'object', additionalProperties: ref('ReadinessCheck') },
+				},
+			},
+			ReadinessCheck: {
+				type: 'object',
+				properties: {
+					ok: { type: 'boolean' },
+					message: { type: ['string', 'null'] },
+					latencyMs: { type: 'integer' },
+				},
+			},
+			ProfileItem: {
+				type: 'object',
+				description: 'Строка таблицы profiles в camelCase, те же поля, что принимает PUT.',
+				properties: {
+					authUserId: { type: 'string', format: 'uuid' },
+					fullName: { type: ['string', 'null'] },
+					email: { type: ['string', 'null'] },
+					phone: { type: ['string', 'null'] },
+					region: { type: ['string', 'null'] },
+					category: { type: ['string', 'null'], enum: [...PROFILE_CATEGORIES, null] },
+					snils: {
+						type: ['string', 'null'],
+						description:
+							'Только маска `***-***-123 45`; полный номер — GET /profiles/{authUserId}/snils.',
+					},
+					role: { type: ['string', 'null'], enum: [...PROFILE_ROLES, null] },
+					interests: { type: 'array', items: { type: 'string' } },
+					simpleModeEnabled: { type: 'boolean' },
+					locale: { type: ['string', 'null'] },
+					createdAt: { type: ['string', 'null'], format: 'date-time' },
+					updatedAt: { type: ['string', 'null'], format: 'date-time' },
+				},
+			},
+			Profile: {
+				type: 'object',
+				properties: { profile: ref('ProfileItem') },
+			},
+			ProfileList: {
+				type: 'object',
+				properties: {
+					items: { type: 'array', items: ref('ProfileItem') },
+					total: { type: 'integer', description: 'Все профили под фильтрами.' },
+					nextOffset: {
+						type: ['integer', 'null'],
+						description: '`offset` следующей страницы, null на последней.',
+					},
+				},
+			},
+		},
+	};
+}
+
+function buildPaths({ channel, purpose, locale, limits }) {
+	const otpRequestBody = annotate(OTP_REQUEST_BODY_SCHEMA, {
+		phone: { description: 'Телефон в любом формате, приводится к E.164.' },
+		channel: { ...channel, default: 'sms' },
+		purpose,
+		locale,
+		report: {
+			description:
+				'JSON-отчёт страницы печати (profile, stats, benefits, medicines); сохраняется в metadata.report; POST /qr/verify показывает из него профиль и льготы.',
+		},
+	});
+	const requestId = pathParam('requestId', 'Идентификатор заявки из POST /otp/request.');
+	const authUserId = pathParam('authUserId', 'Идентификатор пользователя Supabase Auth.');
+
+	return {
+		'/': {
+			get: operation({
+				tags: ['Документация'],
+				summary: 'Краткая справка по API',
+				description: 'HTML-страница, собранная из этого описания.',
+				responses: { 200: { description: 'HTML', content: { 'text/html': {} } } },
+			}),
+		},
+		'/docs': {
+			get: operation({
+				tags: ['Документация'],
+				summary: 'Интерактивная документация',
+				description:
+					'Все маршруты со схемами и формой для пробного запроса; без внешних скриптов и стилей.',
+				responses: { 200: { description: 'HTML', content: { 'text/html': {} } } },
+			}),
+		},
+		'/openapi.json': {
+			get: operation({
+				tags: ['Документация'],
+				summary: 'Описание API в формате OpenAPI 3.1',
+				responses: ok('OpenAPI документ', { type: 'object' }),
+			}),
+		},
+		'/health': {
+			get: operation({
+				tags: ['Служебное'],
+				summary: 'Статус API',
+				description: 'Основной провайдер, порядок провайдеров и доступные каналы.',
+				responses: ok(
+					'Сервис работает',
+					{
+						type: 'object',
+						properties: {
+							status: { const: 'ok' },
+							provider: { type: 'string' },
+							providers: { type: 'array', items: { type: 'string' } },
+							channels: { type: 'array', items: { type: 'string' } },
+						},
+					},
+					{
+						status: 'ok',
+						provider: 'smsru',
+						providers: ['smsru', 'mock'],
+						channels: ['sms', 'voice'],
+					}
+				),
+			}),
+		},
+		'/health/ready': {
+			get: operation({
+				tags: ['Служебное'],
+				summary: 'Готовность к работе',
+				description:
+					'В отличие от `GET /health` проверяет зависимости: запрос к Supabase и проверку каждого провайдера (баланс SMS.RU и Vonage, номер WhatsApp). Сервис готов, если Supabase отвечает и у каждого канала есть хотя бы один исправный провайдер — остальное покрывает failover. Каждая проверка ограничена `OTP_READINESS_TIMEOUT_MS` (3 с по умолчанию); результат проверки провайдеров переиспользуется `OTP_READINESS_CACHE_SECONDS` (30 с), чтобы частые пробы не вызывали платные API.',
+				responses: {
+					...ok('Все проверки прошли', ref('Readiness'), {
+						status: 'ok',
+						supabase: { ok: true, message: null, latencyMs: 42 },
+						channels: { sms: true, voice: true },
+						providers: {
+							smsru: { ok: false, message: 'timed out after 3000 ms', latencyMs: 3001 },
+							vonage: { ok: true, message: null, latencyMs: 180 },
+						},
+					}),
+					503: {
+						description: 'Supabase недоступен или у какого-то канала нет исправного провайдера',
+						content: json(ref('Readiness')),
+					},
+				},
+			}),
+		},
+		'/metrics': {
+			get: operation({
+				tags: ['Служебное'],
+				summary: 'Метрики Prometheus',
+				description: 'Воронка OTP, задержки провайдеров и Supabase в текстовом формате Prometheus.',
+				access: 'operator',
+				responses: {
+					200: { description: 'Формат 0.0.4', content: { 'text/plain': {} } },
+					...errors(401, 403),
+				},
+				'x-notes': [
+					'otp_events_total{event, provider, purpose} — event: requested, sent, send_failed, verified, verify_failed, expired, locked.',
+					'otp_provider_errors_total{provider, code} — неудачные отправки по коду ответа провайдера (status_code SMS.RU).',
+					'otp_provider_send_duration_seconds{provider, channel, outcome} и otp_time_to_verify_seconds{provider, purpose} — гистограммы.',
+					'supabase_request_duration_seconds{resource, method, status} — каждый вызов Supabase, resource вида rest/otp_requests или rpc/<функция>.',
+					'Prometheus передаёт ключ оператора как bearer_token. Счётчики живут в памяти процесса: на Vercel у каждого экземпляра свои.',
+				],
+			}),
+		},
+		'/otp/request': {
+			post: operation({
+				tags: ['OTP'],
+				summary: 'Отправить код',
+				description:
+					'Создаёт заявку, отправляет код и возвращает подписанный QR для печати: его можно вшить в бейдж или наклейку.',
+				access: 'public',
+				parameters: [
+					queryParam(
+						'inlineQr',
+						{ type: 'boolean', default: false },
+						'вернуть PNG в qr.dataUrl; без него в ответе только qr.imageUrl'
+					),
+				],
+				body: otpRequestBody,
+				bodyLimit: limits.otpRequest,
+				bodyExample: {
+					phone: PHONE,
+					channel: 'sms',
+					report: {
+						profile: { id: 'profile-uuid', name: 'Пользователь', region: 'xxxxxxxxx' },
+						stats: { benefitsCount: 96, medicinesCount: 3 },
+						benefits: [
+							{
+								id: 'benefit-1',
+								title: 'Бесплатный проезд',
+								requirements: ['Паспорт', 'Удостоверение'],
+							},
+						],
+						medicines: [{ id: 'med-1', name: 'Эналаприл', dosage: '10 мг' }],
+					},
+				},
+				responses: {
+					...ok('Код отправлен', ref('OtpRequestCreated'), {
+						requestId: REQUEST_ID,
+						expiresIn: 300,
+						codeLength: 6,
+						provider: 'smsru',
+						channel: 'sms',
+						purpose: 'login',
+						locale: 'ru',
+						phone: PHONE,
+						mock: false,
+						reportCaptured: true,
+						qr: {
+							payload: QR_PAYLOAD,
+							claims: {
+								requestId: REQUEST_ID,
+								phoneHash: 'q8Yc1v0aZ3mK9wTb',
+								iat: 1763824956,
+								exp: 1795360956,
+							},
+							imageUrl: `/otp/requests/${REQUEST_ID}/qr`,
+						},
+					}),
+					...errors(400, 413, 429, 500),
+				},
+				'x-steps': [
+					'Вызываем endpoint с номером телефона.',
+					'Рендерим qr.imageUrl (GET /otp/requests/{requestId}/qr, ключ оператора) или просим ?inlineQr=true и вставляем qr.dataUrl через <img src="..." />, <canvas> или прямо в PDF/принтер.',
+					'Дублируем requestId/phone рядом текстом для ручной проверки.',
+					'Сохраняем макет и печатаем – QR сканируется стандартными приложениями.',
+					'При необходимости добавляем ссылку на сайт, закодированную в qr.payload.',
+					'Сканер на площадке отправляет содержимое QR в POST /qr/verify { payload } — ответ valid=false означает поддельную или изменённую наклейку.',
+				],
+				'x-notes': [
+					'Доступные каналы видны в GET /health; недоступный канал — 400 { code: "channel_unavailable", availableChannels }.',
+					'Канал сохраняется в metadata.channel и в каждой записи metadata.deliveryAttempts.',
+					'POST /otp/resend { requestId, channel } переключает канал: например, звонок, если SMS не дошло.',
+					'Без настроенных провайдеров все каналы обслуживает mock — удобно для локальной разработки.',
+					'Если заявку не удалось сохранить в otp_requests, ответ — 500: код нельзя было бы проверить. Проверка звонком у провайдера при этом отменяется, отправленное SMS остаётся.',
+					'Лимиты на номер и IP: OTP_RESEND_COOLDOWN_SECONDS, OTP_PHONE_HOURLY_LIMIT, OTP_PHONE_DAILY_LIMIT, OTP_IP_HOURLY_LIMIT, OTP_IP_DAILY_LIMIT; превышение — 429 rate_limited с Retry-After.',
+				],
+				'x-purpose-notes': [
+					'Цель хранится в otp_requests.purpose; POST /otp/verify { requestId, code, purpose } отклоняет код другой цели (400 purpose_mismatch).',
+					'Общие значения по умолчанию — OTP_CODE_LENGTH, OTP_TTL_MS, OTP_MAX_VERIFY_ATTEMPTS, OTP_MAX_RESENDS.',
+					'OTP_PURPOSES — JSON { purpose: { codeLength, alphabet, ttlSeconds, maxAttempts, maxResends, resendCooldownSeconds, issuesSession } } поверх встроенных; новые цели тоже можно объявить.',
+					'Коды генерируются через crypto.randomInt; буквенные алфавиты в верхнем регистре сравниваются без учёта регистра.',
+					'Звонки Vonage (Verify) — только 4 или 6 цифр, Telegram Gateway — 4–8 цифр; для других форматов срабатывает failover на следующего провайдера.',
+				],
+				'x-sms-text': {
+					placeholders: ['{code}', '{brand}', '{ttl}'],
+					notes: [
+						'Язык: поле locale в запросе, затем profiles.locale для номера, затем Accept-Language, иначе ru.',
+						'Пакетная печать отправляет текст badge — про получение бейджа на стойке.',
+						'OTP_SMS_TEMPLATES — JSON { locale: { purpose: текст } } поверх встроенных шаблонов.',
+						'OTP_WEBOTP_DOMAIN добавляет последнюю строку «@домен #код» для автоподстановки кода в браузере (WebOTP).',
+						'Кодировка и число сегментов (GSM-7: 160/153 символа, UCS-2: 70/67) сохраняются в metadata.message; при старте шаблоны длиннее OTP_SMS_MAX_SEGMENTS дают предупреждение в лог.',
+					],
+				},
+			}),
+		},
+		'/otp/verify': {
+			post: operation({
+				tags: ['OTP'],
+				summary: 'Подтвердить код',
+				description:
+					'`purpose` должен совпадать с тем, для которого выдан код, иначе 400 `purpose_mismatch`. Сессию Supabase выдаёт только `login`.',
+				body: annotate(OTP_VERIFY_BODY_SCHEMA, { purpose }),
+				bodyExample: { requestId: REQUEST_ID, code: '123456', purpose: 'login' },
+				responses: {
+					...ok('Код верный', ref('OtpVerified')),
+					...errors(400, 409, 423, 500),
+				},
+			}),
+		},
+		'/otp/resend': {
+			post: operation({
+				tags: ['OTP'],
+				summary: 'Отправить код повторно',
+				description:
+					'Новый код для того же `requestId`, QR не меняется. Можно передать другой `channel`, например позвонить, если SMS не пришло.',
+				access: 'phoneOrOperator',
+				body: annotate(OTP_RESEND_BODY_SCHEMA, {
+					phone: { description: 'Телефон из POST /otp/request; без него — только оператор.' },
+					channel,
+				}),
+				bodyExample: { requestId: REQUEST_ID, phone: PHONE, channel: 'voice' },
+				responses: { ...ok('Код отправлен', ref('OtpResent')), ...errors(400, 409, 429) },
+				'x-notes': [
+					'SMS Vonage не управляются через Verify: повторная отправка — это новое SMS с новым кодом. Через Verify (trigger_next_event) перезапрашиваются только звонки Vonage.',
+				],
+			}),
+		},
+		'/otp/cancel': {
+			post: operation({
+				tags: ['OTP'],
+				summary: 'Отменить заявку',
+				description: 'После отмены код не принимается.',
+				access: 'phoneOrOperator',
+				body: annotate(OTP_CANCEL_BODY_SCHEMA, {
+					phone: { description: 'Телефон из POST /otp/request; без него — только оператор.' },
+				}),
+				bodyExample: { requestId: REQUEST_ID, phone: PHONE },
+				responses: {
+					...ok(
+						'Заявка отменена',
+						{ type: 'object' },
+						{ success: true, requestId: REQUEST_ID, status: 'cancelled' }
+					),
+					...errors(400, 409, 500),
+				},
+				'x-notes': [
+					'Отправленное SMS отозвать нельзя: для SMS отмена только закрывает заявку, старый код перестаёт приниматься. Звонок Vonage дополнительно отменяется в Verify.',
+				],
+			}),
+		},
+		'/qr/verify': {
+			post: operation({
+				tags: ['Печать'],
+				summary: 'Проверить подпись QR',
+				description:
+					'Проверяет payload со стикера; `valid: false` означает поддельную, изменённую или просроченную (`expired`, срок — QR_TOKEN_TTL_DAYS, 365 дней) наклейку. В QR только requestId и хэш номера, профиль и льготы подставляются из заявки.',
+				body: QR_VERIFY_BODY_SCHEMA,
+				bodyExample: { payload: 'ov1....' },
+				responses: { ...ok('Результат проверки', ref('QrVerification')), ...errors(400, 500) },
+			}),
+		},
+		'/otp/requests': {
+			get: operation({
+				tags: ['Заявки'],
+				summary: 'Список заявок',
+				description:
+					'Сайт для операторов постранично показывает заявки с QR для печати; фильтры комбинируются.',
+				access: 'operator',
+				parameters: [
+					queryParam(
+						'limit',
+						{ type: 'integer', minimum: 1, maximum: 200, default: 50 },
+						'1–200, по умолчанию 50'
+					),
+					listParam(
+						'status',
+						OTP_REQUEST_STATUSES,
+						`${OTP_REQUEST_STATUSES.join('|')}, можно несколько через запятую`
+					),
+					queryParam(
+						'provider',
+						{ type: 'string' },
+						'smsru|vonage|telegram|whatsapp|mock, можно несколько через запятую'
+					),
+					queryParam('purpose', { type: 'string' }, 'цели кода, можно несколько через запятую'),
+					queryParam(
+						'phone',
+						{ type: 'string' },
+						'точный номер в любом формате, приводится к E.164'
+					),
+					queryParam(
+						'phoneSuffix',
+						{ type: 'string', pattern: '^\\d{2,15}$' },
+						'последние цифры номера (от 2 до 15)'
+					),
+					queryParam(
+						'createdFrom',
+						{ type: 'string', format: 'date-time' },
+						'ISO дата, диапазон [from, to) по created_at'
+					),
+					queryParam(
+						'createdTo',
+						{ type: 'string', format: 'date-time' },
+						'ISO дата, диапазон [from, to) по created_at'
+					),
+					queryParam(
+						'expiresFrom',
+						{ type: 'string', format: 'date-time' },
+						'ISO дата, диапазон [from, to) по expires_at'
+					),
+					queryParam(
+						'expiresTo',
+						{ type: 'string', format: 'date-time' },
+						'ISO дата, диапазон [from, to) по expires_at'
+					),
+					queryParam('hasReport', { type: 'boolean' }, 'true|false — есть ли metadata.report'),
+					listParam(
+						'deliveryStatus',
+						DELIVERY_STATUSES,
+						`${DELIVERY_STATUSES.join('|')}, можно несколько через запятую`
+					),
+					queryParam('cursor', { type: 'string' }, 'значение nextCursor из предыдущей страницы'),
+				],
+				responses: {
+					...ok('Страница заявок', ref('OtpRequestList'), {
+						items: [
+							{
+								requestId: REQUEST_ID,
+								phone: PHONE,
+								provider: 'smsru',
+								purpose: 'login',
+								status: 'pending',
+								deliveryStatus: 'delivered',
+								deliveryUpdatedAt: '2025-11-22T15:22:40.000Z',
+								createdAt: '2025-11-22T15:22:36.000Z',
+								expiresAt: '2025-11-22T15:27:36.000Z',
+								verifiedAt: null,
+								qr: {
+									payload: 'ov1.<kid>.<claims>.<signature>',
+									dataUrl: null,
+									imageUrl: `/otp/requests/${REQUEST_ID}/qr`,
+								},
+								metadata: {},
+							},
+						],
+						total: 4,
+						nextCursor: null,
+					}),
+					...errors(400, 401, 403, 500),
+				},
+				'x-notes': [
+					'pending → серый/желтый, verified → зеленый, expired и locked → красный.',
+					'Показываем таймер до expiresAt и отметку verifiedAt.',
+					'Кнопка «распечатать» использует qr.imageUrl (?format=pdf&size=600 для печати) или qr.dataUrl, если он сохранён.',
+					'Следующая страница — тот же запрос с cursor=nextCursor; total считает все заявки под фильтрами, без учёта курсора.',
+					'deliveryStatus обновляют вебхуки провайдеров: failed или expired — повод перезапросить код или позвонить.',
+					'Ошибки фильтров приходят как 400 { code: "invalid_filter", field, message }.',
+				],
+			}),
+		},
+		'/otp/requests/{requestId}': {
+			get: operation({
+				tags: ['Заявки'],
+				summary: 'Одна заявка',
+				description: 'В том же формате, что и элемент списка.',
+				access: 'operator',
+				parameters: [requestId],
+				responses: { ...ok('Заявка', ref('OtpRequestItem')), ...errors(400, 401, 403, 404, 500) },
+			}),
+		},
+		'/otp/requests/{requestId}/qr': {
+			get: operation({
+				tags: ['Заявки', 'Печать'],
+				summary: 'QR заявки в PNG, SVG или PDF',
+				access: 'operator',
+				parameters: [
+					requestId,
+					queryParam(
+						'format',
+						{
+							type: 'string',
+							enum: Object.keys(QR_FORMATS),
+							default: DEFAULT_QR_RENDER_OPTIONS.format,
+						},
+						'формат картинки'
+					),
+					queryParam(
+						'size',
+						{
+							type: 'integer',
+							...rangeOf(QR_RENDER_LIMITS.size),
+							default: DEFAULT_QR_RENDER_OPTIONS.size,
+						},
+						'сторона в пикселях (в PDF — в пунктах)'
+					),
+					queryParam(
+						'margin',
+						{
+							type: 'integer',
+							...rangeOf(QR_RENDER_LIMITS.margin),
+							default: DEFAULT_QR_RENDER_OPTIONS.margin,
+						},
+						'поле в модулях QR'
+					),
+					queryParam(
+						'ecl',
+						{
+							type: 'string',
+							enum: ERROR_CORRECTION_LEVELS,
+							default: DEFAULT_QR_RENDER_OPTIONS.errorCorrectionLevel,
+						},
+						'уровень коррекции ошибок, также errorCorrectionLevel'
+					),
+					queryParam(
+						'dark',
+						{ type: 'string', default: DEFAULT_QR_RENDER_OPTIONS.dark },
+						'цвет модулей, hex'
+					),
+					queryParam(
+						'light',
+						{ type: 'string', default: DEFAULT_QR_RENDER_OPTIONS.light },
+						'цвет фона, hex'
+					),
+				],
+				responses: {
+					200: {
+						description: 'Картинка QR',
+						content: Object.fromEntries(Object.values(QR_FORMATS).map((type) => [type, {}])),
+					},
+					...errors(400, 401, 403, 404, 500),
+				},
+			}),
+		},
+		'/print': {
+			get: operation({
+				tags: ['Печать'],
+				summary: 'Страница печати QR',
+				description: 'Генерация и печать QR без отдельного клиента.',
+				access: 'printOperator',
+				responses: {
+					200: { description: 'HTML', content: { 'text/html': {} } },
+					...errors(401, 403),
+				},
+				'x-notes': [
+					'HTML-страница в otp-valhalla, вызывающая POST /otp/request и сразу показывающая QR.',
+					'После ввода телефона можно распечатать QR напрямую из браузера — в макет попадают phone, requestId и расшифрованный payload.',
+					'Поддерживается авто-переключение светлой/тёмной темы и кнопка «Печать» блокируется до получения данных.',
+					'Форма прикладывает полный JSON-отчёт (benefits, medicines, агрегаты) в поле report — он сохраняется в metadata.',
+				],
+			}),
+		},
+		'/print/batch': {
+			post: operation({
+				tags: ['Печать'],
+				summary: 'Пакетная печать',
+				description:
+					'Один запрос создаёт OTP-заявки с целью badge и QR для списка телефонов и возвращает PDF с листом наклеек A4 и manifest по каждой строке.',
+				access: 'operator',
+				body: PRINT_BATCH_BODY_SCHEMA,
+				bodyExample: {
+					rows: [
+						{ phone: PHONE, report: { profile: { name: 'Пользователь' } } },
+						{ phone: '+79997654321' },
+					],
+					layout: DEFAULT_SHEET_LAYOUT,
+				},
+				bodyContent: {
+					'text/csv': {
+						schema: { type: 'string' },
+						example: `phone,report\n${PHONE},"{""profile"":{""name"":""Пользователь""}}"\n+79997654321,`,
+					},
+				},
+				bodyLimit: BODY_LIMITS.batch,
+				parameters: [
+					...Object.entries(LAYOUT_LIMITS).map(([name, range]) =>
+						queryParam(
+							name,
+							{ type: 'number', ...rangeOf(range), default: DEFAULT_SHEET_LAYOUT[name] },
+							'параметр сетки для CSV'
+						)
+					),
+					queryParam(
+						'format',
+						{ type: 'string', enum: ['pdf'] },
+						'pdf — вернуть сам PDF, сводка в заголовке X-Batch-Summary'
+					),
+				],
+				responses: {
+					...ok('Лист наклеек и manifest', ref('BatchPrintResult'), {
+						summary: { total: 2, succeeded: 1, failed: 1, pages: 1 },
+						layout: DEFAULT_SHEET_LAYOUT,
+						manifest: [
+							{
+								row: 1,
+								phone: PHONE,
+								status: 'ok',
+								requestId: REQUEST_ID,
+								provider: 'smsru',
+								label: 1,
+							},
+							{ row: 2, phone: '+1', status: 'failed', code: 'phone_invalid_length', error: '...' },
+						],
+						pdf: {
+							contentType: 'application/pdf',
+							filename: 'badges-2025-11-22.pdf',
+							base64: 'JVBERi0xLjQK...',
+						},
+					}),
+					...errors(400, 401, 403, 413, 500),
+				},
+				'x-notes': [
+					`CSV отправляется с Content-Type: text/csv, параметры сетки — в query (?columns=${DEFAULT_SHEET_LAYOUT.columns}&rows=${DEFAULT_SHEET_LAYOUT.rows}&marginMm=${DEFAULT_SHEET_LAYOUT.marginMm}&gapMm=${DEFAULT_SHEET_LAYOUT.gapMm}).`,
+					'?format=pdf возвращает сам PDF, сводка — в заголовке X-Batch-Summary.',
+					'Под каждым QR печатаются бренд, requestId и маскированный телефон; кириллица в PDF транслитерируется.',
+					`Не больше ${MAX_BATCH_ROWS} строк за запрос, лимиты на номер телефона действуют как для POST /otp/request.`,
+					'На наклейке короткий токен `ol1.<kid>.<requestId+exp>.<signature>` вместо полного payload: его QR остаётся крупным на маленькой наклейке. POST /qr/verify принимает оба формата.',
+					`Сетка, на которой модуль QR меньше ${MIN_QR_MODULE_MM} мм, отклоняется с 400 invalid_layout до отправки SMS.`,
+					'Строка, для которой не удалось построить QR, попадает в manifest со status: "failed" (code qr_failed или qr_too_small); остальные наклейки печатаются.',
+				],
+			}),
+		},
+		'/profiles': {
+			get: operation({
+				tags: ['Профили'],
+				summary: 'Поиск профилей',
+				description: 'Сортировка по имени; страницы задаются `limit` и `offset`.',
+				access: 'admin',
+				parameters: [
+					queryParam(
+						'limit',
+						{ type: 'integer', minimum: 1, maximum: 200, default: 50 },
+						'1–200, по умолчанию 50'
+					),
+					queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'сдвиг от начала'),
+					queryParam('name', { type: 'string', minLength: 2 }, 'часть имени, без учёта регистра'),
+					queryParam('phone', { type: 'string' }, 'телефон, приводится к E.164'),
+					queryParam(
+						'region',
+						{ type: 'array', items: { type: 'string' } },
+						'регионы через запятую',
+						{ style: 'form', explode: false }
+					),
+					listParam('category', PROFILE_CATEGORIES, 'категории через запятую'),
+				],
+				responses: {
+					...ok('Страница профилей', ref('ProfileList')),
+					...errors(400, 401, 403, 500),
+				},
+			}),
+		},
+		'/profiles/me': {
+			get: operation({
+				tags: ['Профили'],
+				summary: 'Профиль текущего пользователя',
+				description: 'Пользователь берётся из Supabase JWT в `Authorization: Bearer`.',
+				access: 'user',
+				responses: {
+					...ok('Профиль', ref('Profile')),
+					...errors(401, 403, 404, 500),
+				},
+			}),
+		},
+		'/profiles/ensure': {
+			post: operation({
+				tags: ['Профили'],
+				summary: 'Создать профиль, если его нет',
+				access: 'owner',
+				body: PROFILE_ENSURE_BODY_SCHEMA,
+				bodyExample: { authUserId: REQUEST_ID, fullName: 'Пользователь', phone: PHONE },
+				responses: { ...ok('Профиль', ref('Profile')), ...errors(400, 401, 403, 500) },
+			}),
+		},
+		'/profiles/{authUserId}': {
+			get: operation({
+				tags: ['Профили'],
+				summary: 'Получить профиль',
+				access: 'owner',
+				parameters: [authUserId],
+				responses: {
+					...ok('Профиль', ref('Profile')),
+					...errors(400, 401, 403, 404, 500),
+				},
+			}),
+			put: operation({
+				tags: ['Профили'],
+				summary: 'Обновить профиль',
+				access: 'owner',
+				parameters: [authUserId],
+				description:
+					'СНИЛС проверяется по контрольной сумме, приводится к виду `XXX-XXX-XXX YY` и хранится зашифрованным ключом из `SNILS_ENCRYPTION_KEYS`; без ключа запрос со СНИЛС получает 500.',
+				body: PROFILE_UPDATE_BODY_SCHEMA,
+				bodyExample: { region: 'xxxxxxxxx', category: 'pensioner', locale: 'ru' },
+				responses: { ...ok('Профиль', ref('Profile')), ...errors(400, 401, 403, 500) },
+			}),
+			delete: operation({
+				tags: ['Профили'],
+				summary: 'Удалить профиль',
+				access: 'owner',
+				parameters: [authUserId],
+				responses: {
+					...ok('Профиль удалён', { type: 'object' }, { success: true }),
+					...errors(400, 401, 403, 500),
+				},
+			}),
+		},
+		'/profiles/{authUserId}/snils': {
+			get: operation({
+				tags: ['Профили'],
+				summary: 'Показать полный СНИЛС',
+				description:
+					'Каждый вызов пишется в журнал как `profile.snils_revealed`; если запись не удалась, номер не выдаётся и ответ — 503. Ответ не кэшируется.',
+				access: 'admin',
+				parameters: [authUserId],
+				responses: {
+					...ok(
+						'СНИЛС или null, если он не заполнен',
+						{
+							type: 'object',
+							properties: {
+								authUserId: { type: 'string', format: 'uuid' },
+								snils: { type: ['string', 'null'] },
+							},
+						},
+						{ authUserId: REQUEST_ID, snils: '112-233-445 95' }
+					),
+					...errors(400, 401, 403, 404, 500, 503),
+				},
+			}),
+		},
+		'/audit': {
+			get: operation({
+				tags: ['Служебное'],
+				summary: 'Журнал событий',
+				description:
+					'Создание заявки, отправка SMS, попытки ввода кода, блокировка, истечение, изменения профиля — с маскированным телефоном, IP и кодами ответа провайдера.',
+				access: 'admin',
+				parameters: [
+					queryParam(
+						'limit',
+						{ type: 'integer', minimum: 1, maximum: 200, default: 50 },
+						'1–200, по умолчанию 50'
+					),
+					listParam('type', AUDIT_EVENT_TYPES, 'типы событий через запятую'),
+					queryParam('requestId', { type: 'string', format: 'uuid' }, 'заявка'),
+					queryParam('phone', { type: 'string' }, 'номер, ищется по HMAC-хэшу'),
+					queryParam('authUserId', { type: 'string', format: 'uuid' }, 'пользователь Supabase'),
+					queryParam('ip', { type: 'string' }, 'IP клиента'),
+					queryParam('provider', { type: 'string' }, 'провайдер'),
+					queryParam('outcome', { type: 'string' }, 'результат события'),
+					queryParam('from', { type: 'string', format: 'date-time' }, 'ISO дата начала'),
+					queryParam('to', { type: 'string', format: 'date-time' }, 'ISO дата конца'),
+					queryParam('cursor', { type: 'string' }, 'значение nextCursor из предыдущей страницы'),
+				],
+				responses: {
+					...ok('Страница событий', ref('AuditEventList')),
+					...errors(400, 401, 403, 500),
+				},
+			}),
+		},
+		'/cron/otp-sweep': {
+			get: operation({
+				tags: ['Служебное'],
+				summary: 'Очистка просроченных заявок',
+				description:
+					'Помечает просроченные заявки как `expired` и через `OTP_RETENTION_DAYS` дней стирает код, картинку QR и `metadata.report`.',
+				access: 'cronOrAdmin',
+				responses: { ...ok('Итоги очистки', { type: 'object' }), ...errors(401, 403, 500) },
+			}),
+		},
+		'/webhooks/smsru': {
+			post: operation({
+				tags: ['Вебхуки'],
+				summary: 'Статусы доставки SMS.RU',
+				description: 'URL с `?token=<SMSRU_WEBHOOK_SECRET>` указывается в кабинете SMS.RU.',
+				access: 'webhook',
+				parameters: [queryParam('token', { type: 'string' }, 'SMSRU_WEBHOOK_SECRET')],
+				bodyContent: { 'application/x-www-form-urlencoded': { schema: { type: 'object' } } },
+				bodyLimit: BODY_LIMITS.webhook,
+				responses: {
+					200: { description: 'Ответ `100`, которого ждёт SMS.RU', content: { 'text/plain': {} } },
+					401: { description: 'Неверный токен', content: { 'text/plain': {} } },
+				},
+			}),
+		},
+		'/webhooks/vonage/delivery': Object.fromEntries(
+			['get', 'post'].map((method) => [
+				method,
+				operation({
+					tags: ['Вебхуки'],
+					summary: 'Статусы доставки Vonage',
+					description:
+						'Подписанные вебхуки Vonage (`VONAGE_SIGNATURE_SECRET`, `VONAGE_SIGNATURE_METHOD`, по умолчанию md5hash); заявка ищется по provider + provider_request_id. SMS Vonage уходят через SMS API, поэтому в provider_request_id лежит message-id из квитанции; звонки идут через Verify и квитанций не получают.',
+					access: 'webhook',
+					...(method === 'post' && {
+						bodyContent: {
+							'application/json': { schema: { type: 'object' } },
+							'application/x-www-form-urlencoded': { schema: { type: 'object' } },
+						},
+						bodyLimit: BODY_LIMITS.webhook,
+					}),
+					responses: { 204: { description: 'Квитанция принята' }, ...errors(401, 500) },
+				}),
+			])
+		),
+	};
+}
+
+export function buildOpenApiDocument({
+	brand,
+	channels,
+	purposes,
+	locales,
+	limits = {},
+	version = '1.0.0',
+}) {
+	const { schemas, ...fields } = buildSchemas({ channels, purposes, locales });
+
+	return {
+		openapi: OPENAPI_VERSION,
+		jsonSchemaDialect: 'https://json-schema.org/draft/2020-12/schema',
+		info: {
+			title: 'OTP Valhalla API',
+			version,
+			description: [
+				`Коды подтверждения и QR для печати бейджей${brand ? ` ${brand}` : ''}. Сервис ожидает запросы от клиента Hack-the-ICE 7.0; базовый URL задаётся переменной \`VITE_OTP_API_URL\` во фронтенде.`,
+				'Тела запросов проверяются по схемам из `src/schemas.js`. Ошибка всегда выглядит как `{ "code": "field_invalid", "message": "...", "field": "report.profile.category" }`.',
+				'Каждый ответ несёт заголовок `X-Request-Id`: тот, что прислал клиент, или новый UUID. По нему запрос находится в JSON-логах сервера.',
+			].join('\n\n'),
+			'x-guide': [
+				'**QR для печати.** Просите `POST /otp/request?inlineQr=true`, укажите телефон получателя. В ответе придёт блок `qr` с JSON и изображением `dataUrl` — его можно сразу печатать. Без `inlineQr` в блоке только `imageUrl`.',
+				'**Список активных заявок.** Просите `GET /otp/requests?limit=50`, чтобы показать на сайте статус, срок действия и QR коды, которые ещё можно отсканировать.',
+				'**Проверка статуса.** Если нужен только аптайм, достаточно вызвать `GET /health` и убедиться, что провайдер в норме.',
+				'**Верификация.** После того как пользователь назвал код, делайте `POST /otp/verify` c `requestId` и `code`, чтобы завершить поток.',
+				'**Печать без кода.** Когда нет интеграции, откройте страницу [/print](/print), введите телефон и распечатайте полученный QR вместе с requestId.',
+			],
+			'x-access-levels': ACCESS_LEVELS,
+		},
+		servers: [{ url: '/' }],
+		tags: [
+			{ name: 'OTP', description: 'Отправка и проверка кодов.' },
+			{ name: 'Заявки', description: 'Список заявок и QR для операторов.' },
+			{ name: 'Печать', description: 'Печать и проверка QR.' },
+			{ name: 'Профили', description: 'Профили пользователей Supabase.' },
+			{ name: 'Вебхуки', description: 'Статусы доставки от провайдеров.' },
+			{ name: 'Служебное', description: 'Статус, аудит и обслуживание.' },
+			{ name: 'Документация', description: 'Это описание в разных видах.' },
+		],
+		paths: buildPaths({ ...fields, limits: { ...BODY_LIMITS, ...limits } }),
+		components: {
+			schemas,
+			securitySchemes: {
+				apiKey: {
+					type: 'apiKey',
+					in: 'header',
+					name: 'X-API-Key',
+					description: 'Ключ оператора (OTP_OPERATOR_API_KEYS) или админа (OTP_ADMIN_API_KEYS).',
+				},
+				bearer: {
+					type: 'http',
+					scheme: 'bearer',
+					description:
+						'Supabase JWT (роль из app_metadata.role), ключ оператора/админа или CRON_SECRET для /cron/otp-sweep.',
+				},
+				basic: {
+					type: 'http',
+					scheme: 'basic',
+					description: 'Для страниц в браузере: логин любой, пароль — ключ оператора.',
+				},
+			},
+			responses: {
+				BadRequest: {
+					description: 'Тело или параметры не прошли проверку',
+					content: json({ oneOf: [ref('ValidationError'), ref('Error')] }),
+				},
+				Unauthorized: {
+					description: 'Нужна авторизация',
+					content: json(ref('Error'), {
+						code: 'unauthorized',
+						message: 'Authentication is required',
+					}),
+				},
+				Forbidden: {
+					description: 'Недостаточно прав',
+					content: json(ref('Error'), {
+						code: 'forbidden',
+						message: 'You do not have access to this resource',
+					}),
+				},
+				NotFound: { description: 'Не найдено', content: json(ref('Error')) },
+				Conflict: { description: 'Заявка уже не активна', content: json(ref('Error')) },
+				PayloadTooLarge: {
+					description: 'Тело больше лимита маршрута (x-body-limit)',
+					content: json(ref('ValidationError'), {
+						code: 'payload_too_large',
+						message: 'request body exceeds 262144 bytes',
+						field: null,
+					}),
+				},
+				Locked: { description: 'Исчерпаны попытки ввода кода', content: json(ref('Error')) },
+				RateLimited: {
+					description: 'Превышен лимит запросов',
+					headers: { 'Retry-After': { schema: { type: 'integer' } } },
+					content: json(ref('RateLimited')),
+				},
+				ServerError: { description: 'Внутренняя ошибка', content: json(ref('Error')) },
+				Unavailable: { description: 'Зависимость недоступна', content: json(ref('Error')) },
+			},
+		},
+		'x-supabase': {
+			migration: 'supabase/migrations/20251122152236_create_otp_requests_table.sql',
+			table: 'otp_requests',
+			notes: [
+				'service_role ключа достаточно – API пишет/читает записи и прикручивает QR.',
+				'Если нужно отдавать список на фронт без backend, добавьте RLS-политику на SELECT по конкретной роли или создайте view.',
+				'Колонка qr_payload хранит подписанный payload; qr_data_url заполняется только при OTP_STORE_QR_DATA_URL != false — картинку всегда можно получить через GET /otp/requests/{requestId}/qr.',
+				'Поле metadata содержит объект { provider, brand, report }, где report повторяет данные страницы печати.',
+				'Миграция 20261019140000_otp_requests_list_filters.sql добавляет колонку phone_reversed с индексом для поиска по последним цифрам номера.',
+				'Просроченные заявки помечает expired задача GET /cron/otp-sweep (Vercel Cron раз в 10 минут, локально — интервал OTP_SWEEP_INTERVAL_SECONDS). Через OTP_RETENTION_DAYS (30 по умолчанию) у завершённых заявок стираются code, code_hash, qr_data_url и metadata.report, qr_payload остаётся для проверки наклеек.',
+				'Таблица otp_events — журнал аудита для GET /audit (только админы). Телефон хранится маской и HMAC-хэшем (AUDIT_PHONE_HASH_SECRET, иначе OTP_CODE_SECRET), поэтому фильтр ?phone= работает без хранения номера.',
+				'Миграция 20261019210000_profiles_snils_encryption.sql добавляет в profiles колонки snils_encrypted (AES-256-GCM, ключи SNILS_ENCRYPTION_KEYS и SNILS_ENCRYPTION_KID) и snils_masked. СНИЛС, записанные открытым текстом раньше, переносит `npm run backfill:profile-snils`.',
+				'Статусы доставки приходят на POST /webhooks/smsru?token=<SMSRU_WEBHOOK_SECRET> (URL указывается в кабинете SMS.RU) и GET|POST /webhooks/vonage/delivery (подписанные вебхуки Vonage, VONAGE_SIGNATURE_SECRET и VONAGE_SIGNATURE_METHOD, по умолчанию md5hash). Заявка ищется по provider + provider_request_id.',
+			],
+		},
+	};
+}
+
+export const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+export function listOperations(document) {
+	const operations = [];
+	for (const [path, item] of Object.entries(document.paths)) {
+		for (const method of HTTP_METHODS) {
+			if (item[method]) operations.push({ method, path, operation: item[method] });
+		}
+	}
+	return operations;
+}
+
+// Express paths (":id") against the spec ("{id}"), both ways, so a new or
+// renamed route without docs shows up as a boot warning.
+export function findUndocumentedRoutes(router, document) {
+	const routes = new Set();
+	for (const layer of router.stack) {
+		if (!layer.route) continue;
+		const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+		for (const method of Object.keys(layer.route.methods)) {
+			if (HTTP_METHODS.includes(method)) routes.add(`${method.toUpperCase()} ${path}`);
+		}
+	}
+
+	const documented = new Set(
+		listOperations(document).map(({ method, path }) => `${method.toUpperCase()} ${path}`)
+	);
+	return {
+		undocumented: [...routes].filter((route) => !documented.has(route)),
+		missing: [...documented].filter((route) => !routes.has(route)),
+	};
+}
@@ -0,0 +1,38 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const HASH_SCHEME = 'hmac-sha256';
+
+export function createOtpCodeHasher(secret) {
+	if (!secret) {
+		throw new Error('OTP code secret is required');
+	}
+
+	function digest(code, salt) {
+		return createHmac('sha256', secret)
+			.update(salt)
+			.update(':')
+			.update(String(code))
+			.digest();
+	}
+
+	function hash(code) {
+		const salt = randomBytes(16).toString('base64url');
+		return `${HASH_SCHEME}$${salt}$${digest(code, salt).toString('base64url')}`;
+	}
+
+	function verify(code, storedHash) {
+		if (!code || typeof storedHash !== 'string') return false;
+
+		const [scheme, salt, expected] = storedHash.split('$');
+		if (scheme !== HASH_SCHEME || !salt || !expected) return false;
+
+		const expectedBuffer = Buffer.from(expected, 'base64url');
+		const actualBuffer = digest(code, salt);
+		return (
+			expectedBuffer.length === actualBuffer.length &&
+			timingSafeEqual(expectedBuffer, actualBuffer)
+		);
+	}
+
+	return { hash, verify };
+}
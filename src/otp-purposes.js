@@ -0,0 +1,99 @@
+import { randomInt } from 'node:crypto';
+
+export const DIGITS = '0123456789';
+
+// Built-in values behind the OTP_* env settings.
+export const DEFAULT_POLICY = {
+	codeLength: 6,
+	alphabet: DIGITS,
+	ttlSeconds: 5 * 60,
+	maxAttempts: 5,
+	maxResends: 3,
+	resendCooldownSeconds: 0,
+};
+
+// Anything a preset leaves out comes from the global OTP_* settings. Only a
+// login code may sign the user in; the others just confirm an action.
+const PURPOSE_PRESETS = {
+	login: { issuesSession: true },
+	profile_change: {},
+	badge: { ttlSeconds: 30 * 60, maxResends: 1 },
+	delete_account: { codeLength: 8, ttlSeconds: 3 * 60, maxAttempts: 3, maxResends: 1 },
+};
+
+const POLICY_LIMITS = {
+	codeLength: [4, 12],
+	ttlSeconds: [30, 24 * 60 * 60],
+	maxAttempts: [1, 20],
+	maxResends: [0, 10],
+	resendCooldownSeconds: [0, 60 * 60],
+};
+
+function parseOverrides(value) {
+	if (!value) return {};
+	let parsed;
+	try {
+		parsed = JSON.parse(value);
+	} catch {
+		throw new Error('OTP_PURPOSES must be a JSON object');
+	}
+	if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+		throw new Error('OTP_PURPOSES must be a JSON object');
+	}
+	return parsed;
+}
+
+// Misconfigured code policies fail at boot rather than weakening codes silently.
+function validatePolicy(name, policy) {
+	if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+		throw new Error(`OTP purpose "${name}" must be snake_case`);
+	}
+
+	for (const [field, [min, max]] of Object.entries(POLICY_LIMITS)) {
+		const value = policy[field];
+		if (!Number.isInteger(value) || value < min || value > max) {
+			throw new Error(`OTP purpose ${name}: ${field} must be an integer between ${min} and ${max}`);
+		}
+	}
+
+	const alphabet = String(policy.alphabet ?? '');
+	if (new Set(alphabet).size !== alphabet.length || alphabet.length < 2) {
+		throw new Error(`OTP purpose ${name}: alphabet needs at least two distinct characters`);
+	}
+
+	return { ...policy, name, alphabet, issuesSession: Boolean(policy.issuesSession) };
+}
+
+export function createOtpPurposes({ overrides, defaults } = {}) {
+	const base = { ...DEFAULT_POLICY, ...defaults };
+
+	const configured = parseOverrides(overrides);
+	const policies = new Map();
+	for (const name of new Set([...Object.keys(PURPOSE_PRESETS), ...Object.keys(configured)])) {
+		policies.set(
+			name,
+			validatePolicy(name, { ...base, ...PURPOSE_PRESETS[name], ...configured[name] })
+		);
+	}
+
+	function generateCode(policy) {
+		let code = '';
+		for (let index = 0; index < policy.codeLength; index += 1) {
+			code += policy.alphabet[randomInt(policy.alphabet.length)];
+		}
+		return code;
+	}
+
+	// Users type letters in whatever case their keyboard gives them.
+	function normalizeCode(policy, value) {
+		const code = String(value ?? '').trim();
+		return policy.alphabet === policy.alphabet.toUpperCase() ? code.toUpperCase() : code;
+	}
+
+	return {
+		names: [...policies.keys()],
+		get: (name) => policies.get(name) ?? null,
+		generateCode,
+		normalizeCode,
+	};
+}
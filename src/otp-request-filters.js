@@ -0,0 +1,141 @@
+import { DELIVERY_STATUSES } from './delivery-webhooks.js';
+import {
+	DEFAULT_PAGE_SIZE,
+	MAX_PAGE_SIZE,
+	UUID_PATTERN,
+	invalid,
+	readDate,
+	readList,
+} from './query-params.js';
+
+export const OTP_REQUEST_STATUSES = ['pending', 'verified', 'expired', 'locked', 'cancelled'];
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+export function encodeCursor(row) {
+	return Buffer.from(JSON.stringify({ c: row.created_at, id: row.request_id })).toString(
+		'base64url'
+	);
+}
+
+// Both values end up inside a PostgREST or() filter string, so only a strict
+// ISO timestamp and a UUID get through. The timestamp keeps the microseconds
+// Postgres returned: toISOString() would cut them to milliseconds and the next
+// page would skip rows created within the same millisecond.
+export function decodeCursor(value) {
+	try {
+		const parsed = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+		if (typeof parsed?.c !== 'string' || typeof parsed?.id !== 'string') return null;
+		if (!TIMESTAMP_PATTERN.test(parsed.c) || Number.isNaN(new Date(parsed.c).getTime())) {
+			return null;
+		}
+		if (!UUID_PATTERN.test(parsed.id)) return null;
+		return { createdAt: parsed.c, requestId: parsed.id };
+	} catch {
+		return null;
+	}
+}
+
+// `normalizePhone` turns user input into E.164 so exact matches hit
+// otp_requests_phone_idx; suffix search uses the reversed phone index.
+export function parseOtpRequestListQuery(query = {}, { normalizePhone } = {}) {
+	const filters = {};
+
+	const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+	if (!Number.isFinite(limit) || limit < 1) {
+		return invalid('limit', `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+	}
+	filters.limit = Math.min(Math.floor(limit), MAX_PAGE_SIZE);
+
+	const statuses = readList(query.status);
+	if (statuses) {
+		const unknown = statuses.find((status) => !OTP_REQUEST_STATUSES.includes(status));
+		if (unknown) {
+			return invalid('status', `status must be one of ${OTP_REQUEST_STATUSES.join(', ')}`);
+		}
+		filters.statuses = statuses;
+	}
+
+	const deliveryStatuses = readList(query.deliveryStatus);
+	if (deliveryStatuses) {
+		if (deliveryStatuses.some((status) => !DELIVERY_STATUSES.includes(status))) {
+			return invalid(
+				'deliveryStatus',
+				`deliveryStatus must be one of ${DELIVERY_STATUSES.join(', ')}`
+			);
+		}
+		filters.deliveryStatuses = deliveryStatuses;
+	}
+
+	const providers = readList(query.provider);
+	if (providers) {
+		filters.providers = providers.map((provider) => provider.toLowerCase());
+	}
+
+	const purposes = readList(query.purpose);
+	if (purposes) {
+		filters.purposes = purposes;
+	}
+
+	if (query.phone !== undefined && query.phone !== '') {
+		const phone = normalizePhone ? normalizePhone(query.phone) : String(query.phone);
+		if (!phone) {
+			return invalid('phone', 'phone must be a valid phone number');
+		}
+		filters.phone = phone;
+	}
+
+	if (query.phoneSuffix !== undefined && query.phoneSuffix !== '') {
+		const suffix = String(query.phoneSuffix).replace(/\D/g, '');
+		if (suffix.length < 2 || suffix.length > 15) {
+			return invalid('phoneSuffix', 'phoneSuffix must contain 2 to 15 digits');
+		}
+		filters.phoneSuffix = suffix;
+	}
+
+	for (const [field, key] of [
+		['createdFrom', 'createdFrom'],
+		['createdTo', 'createdTo'],
+		['expiresFrom', 'expiresFrom'],
+		['expiresTo', 'expiresTo'],
+	]) {
+		const { value, error } = readDate(query[field]);
+		if (error) return invalid(field, `${field} must be an ISO date`);
+		if (value) filters[key] = value;
+	}
+
+	if (query.hasReport !== undefined && query.hasReport !== '') {
+		const raw = String(query.hasReport).toLowerCase();
+		if (!['true', 'false', '1', '0'].includes(raw)) {
+			return invalid('hasReport', 'hasReport must be true or false');
+		}
+		filters.hasReport = raw === 'true' || raw === '1';
+	}
+
+	if (query.cursor !== undefined && query.cursor !== '') {
+		const cursor = decodeCursor(query.cursor);
+		if (!cursor) return invalid('cursor', 'cursor is invalid');
+		filters.cursor = cursor;
+	}
+
+	return { filters };
+}
+
+export function applyOtpRequestFilters(builder, filters) {
+	let query = builder;
+	if (filters.statuses) query = query.in('status', filters.statuses);
+	if (filters.deliveryStatuses) query = query.in('delivery_status', filters.deliveryStatuses);
+	if (filters.providers) query = query.in('provider', filters.providers);
+	if (filters.purposes) query = query.in('purpose', filters.purposes);
+	if (filters.phone) query = query.eq('phone', filters.phone);
+	if (filters.phoneSuffix) {
+		query = query.like('phone_reversed', `${[...filters.phoneSuffix].reverse().join('')}%`);
+	}
+	if (filters.createdFrom) query = query.gte('created_at', filters.createdFrom);
+	if (filters.createdTo) query = query.lt('created_at', filters.createdTo);
+	if (filters.expiresFrom) query = query.gte('expires_at', filters.expiresFrom);
+	if (filters.expiresTo) query = query.lt('expires_at', filters.expiresTo);
+	if (filters.hasReport === true) query = query.not('metadata->report', 'is', null);
+	if (filters.hasReport === false) query = query.is('metadata->report', null);
+	return query;
+}
@@ -0,0 +1,100 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RETENTION_DAYS = 30;
+
+// Expires overdue requests, scrubs codes, stored QR images and report metadata
+// once they outlive the retention period, and evicts dead in-memory entries.
+// Terminal transitions already drop requests from `requestStore`, so anything
+// past its expiry there is an abandoned request.
+export function createOtpSweeper({
+	supabaseAdmin,
+	audit,
+	requestStore,
+	rateLimitStore,
+	metrics,
+	retentionDays,
+}) {
+	const retentionMs = retentionDays * DAY_MS;
+
+	function recordExpired(requestId, { phone, provider, purpose }) {
+		metrics?.otpEvents.inc({
+			event: 'expired',
+			provider: provider ?? 'unknown',
+			purpose: purpose ?? 'login',
+		});
+		return audit?.record('otp.expired', {
+			requestId,
+			phone,
+			provider,
+			details: { source: 'sweeper' },
+		});
+	}
+
+	async function sweepMemory(now) {
+		let evicted = 0;
+		let expired = 0;
+		for (const [requestId, state] of requestStore) {
+			if (state.status !== 'pending' || state.expiresAt <= now) {
+				requestStore.delete(requestId);
+				evicted += 1;
+				// Without Supabase the store is the only copy, so eviction is the expiry.
+				if (!supabaseAdmin && state.status === 'pending') {
+					expired += 1;
+					await recordExpired(requestId, state);
+				}
+			}
+		}
+		return { evicted, expired };
+	}
+
+	async function callCount(fn, params) {
+		const { data, error } = await supabaseAdmin.rpc(fn, params);
+		if (error) {
+			throw error;
+		}
+		return Number(data ?? 0);
+	}
+
+	async function expireOverdue(now) {
+		const { data, error } = await supabaseAdmin.rpc('expire_overdue_otp_requests', {
+			p_now: new Date(now).toISOString(),
+		});
+		if (error) {
+			throw error;
+		}
+
+		const rows = data ?? [];
+		for (const row of rows) {
+			await recordExpired(row.request_id, row);
+		}
+		return rows.length;
+	}
+
+	async function sweep(now = Date.now()) {
+		const memory = await sweepMemory(now);
+		const result = {
+			expired: memory.expired,
+			scrubbed: 0,
+			evicted: memory.evicted,
+			rateLimitsPruned: 0,
+			retentionDays,
+		};
+
+		if (rateLimitStore?.prune) {
+			result.rateLimitsPruned = await rateLimitStore.prune(now);
+		}
+
+		if (!supabaseAdmin) {
+			return result;
+		}
+
+		result.expired = await expireOverdue(now);
+		result.scrubbed = await callCount('scrub_otp_requests', {
+			p_before: new Date(now - retentionMs).toISOString(),
+		});
+
+		return result;
+	}
+
+	return { sweep };
+}
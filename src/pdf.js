@@ -0,0 +1,131 @@
+// Minimal PDF 1.4 writer: filled rectangles and Helvetica text, which is all
+// the QR and label sheets need. Coordinates are in points from the top-left.
+
+const CYRILLIC_TO_LATIN = {
+	а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+	й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+	у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+	э: 'e', ю: 'yu', я: 'ya',
+};
+
+export const A4 = { width: 595.28, height: 841.89 };
+export const MM = 72 / 25.4;
+
+// Standard fonts only cover Latin-1, so Cyrillic is transliterated.
+export function toPdfText(value) {
+	return Array.from(String(value ?? ''))
+		.map((char) => {
+			const lower = char.toLowerCase();
+			if (lower in CYRILLIC_TO_LATIN) {
+				const latin = CYRILLIC_TO_LATIN[lower];
+				return char === lower ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+			}
+			return char.charCodeAt(0) <= 0xff ? char : '?';
+		})
+		.join('');
+}
+
+function escapePdfString(value) {
+	return toPdfText(value).replace(/[\\()]/g, (char) => `\\${char}`).replace(/[\r\n]/g, ' ');
+}
+
+function formatNumber(value) {
+	return Number(value.toFixed(3)).toString();
+}
+
+export function parseHexColor(value) {
+	const match = /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(String(value ?? ''));
+	if (!match) return null;
+	const int = parseInt(match[1], 16);
+	return [(int >> 16) & 0xff, (int >> 8) & 0xff, int & 0xff].map((channel) => channel / 255);
+}
+
+// Helvetica advance widths are close to 0.5em on average for label text.
+export function estimateTextWidth(text, fontSize) {
+	return toPdfText(text).length * fontSize * 0.5;
+}
+
+export function createPdfDocument() {
+	const pages = [];
+
+	function addPage({ width = A4.width, height = A4.height } = {}) {
+		const ops = [];
+
+		const page = {
+			width,
+			height,
+			setFill(color) {
+				const rgb = Array.isArray(color) ? color : parseHexColor(color) ?? [0, 0, 0];
+				ops.push(`${rgb.map(formatNumber).join(' ')} rg`);
+				return page;
+			},
+			rect(x, y, w, h) {
+				ops.push(
+					`${formatNumber(x)} ${formatNumber(height - y - h)} ${formatNumber(w)} ${formatNumber(h)} re f`
+				);
+				return page;
+			},
+			text(value, x, y, { size = 10, bold = false } = {}) {
+				ops.push(
+					`BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${formatNumber(x)} ${formatNumber(
+						height - y - size
+					)} Td (${escapePdfString(value)}) Tj ET`
+				);
+				return page;
+			},
+		};
+
+		pages.push({ page, ops });
+		return page;
+	}
+
+	function toBuffer() {
+		const objects = [];
+		const addObject = (body) => {
+			objects.push(body);
+			return objects.length;
+		};
+
+		const catalogId = addObject(null);
+		const pagesId = addObject(null);
+		const fontId = addObject(
+			'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+		);
+		const boldFontId = addObject(
+			'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+		);
+
+		const pageIds = pages.map(({ page, ops }) => {
+			const content = ops.join('\n');
+			const contentId = addObject(
+				`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+			);
+			return addObject(
+				`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(
+					page.height
+				)}] /Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+			);
+		});
+
+		objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+		objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+			.map((id) => `${id} 0 R`)
+			.join(' ')}] /Count ${pageIds.length} >>`;
+
+		let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+		const offsets = [];
+		objects.forEach((body, index) => {
+			offsets.push(Buffer.byteLength(output, 'latin1'));
+			output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+		});
+
+		const xrefOffset = Buffer.byteLength(output, 'latin1');
+		output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+		output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+		output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+		return Buffer.from(output, 'latin1');
+	}
+
+	return { addPage, toBuffer };
+}
@@ -0,0 +1,208 @@
+// National significant number rules per country. `lengths` are NSN lengths
+// without the dialing code, `mobile` matches mobile ranges where they are
+// distinguishable, `match` disambiguates countries sharing a dialing code.
+const COUNTRIES = [
+	{ code: 'RU', dialCode: '7', trunkPrefix: '8', lengths: [10], match: /^[3489]/, mobile: /^9/ },
+	{ code: 'KZ', dialCode: '7', trunkPrefix: '8', lengths: [10], match: /^[67]/, mobile: /^7[0-8]/ },
+	{ code: 'BY', dialCode: '375', trunkPrefix: '8', lengths: [9], mobile: /^(25|29|33|44)/ },
+	{ code: 'UA', dialCode: '380', trunkPrefix: '0', lengths: [9], mobile: /^(39|50|6[3678]|73|9[1-9])/ },
+	{ code: 'UZ', dialCode: '998', lengths: [9], mobile: /^(33|5[05]|77|88|9[0-9])/ },
+	{ code: 'KG', dialCode: '996', trunkPrefix: '0', lengths: [9], mobile: /^[2579]/ },
+	{ code: 'TJ', dialCode: '992', lengths: [9], mobile: /^(0|1[01]|5|77|8[0-9]|9)/ },
+	{ code: 'TM', dialCode: '993', trunkPrefix: '8', lengths: [8], mobile: /^6/ },
+	{ code: 'AM', dialCode: '374', trunkPrefix: '0', lengths: [8], mobile: /^(4[1-9]|55|77|9[1-9])/ },
+	{ code: 'AZ', dialCode: '994', trunkPrefix: '0', lengths: [9], mobile: /^(10|[4-5]0|51|55|60|70|77|99)/ },
+	{ code: 'GE', dialCode: '995', trunkPrefix: '0', lengths: [9], mobile: /^5/ },
+	{ code: 'MD', dialCode: '373', trunkPrefix: '0', lengths: [8], mobile: /^[67]/ },
+	{ code: 'MN', dialCode: '976', lengths: [8], mobile: /^[89]/ },
+	{ code: 'EE', dialCode: '372', lengths: [7, 8], mobile: /^5/ },
+	{ code: 'LV', dialCode: '371', lengths: [8], mobile: /^2/ },
+	{ code: 'LT', dialCode: '370', trunkPrefix: '8', lengths: [8], mobile: /^6/ },
+	{ code: 'FI', dialCode: '358', trunkPrefix: '0', lengths: [6, 7, 8, 9, 10, 11, 12], mobile: /^(4|50)/ },
+	{ code: 'PL', dialCode: '48', lengths: [9], mobile: /^(45|5[0137]|6[069]|7[2389]|88)/ },
+	{ code: 'DE', dialCode: '49', trunkPrefix: '0', lengths: [6, 7, 8, 9, 10, 11, 12, 13], mobile: /^1[5-7]/ },
+	{ code: 'FR', dialCode: '33', trunkPrefix: '0', lengths: [9], mobile: /^[67]/ },
+	{ code: 'GB', dialCode: '44', trunkPrefix: '0', lengths: [9, 10], mobile: /^7[1-57-9]/ },
+	{ code: 'IT', dialCode: '39', lengths: [6, 7, 8, 9, 10, 11], mobile: /^3/ },
+	{ code: 'ES', dialCode: '34', lengths: [9], mobile: /^[67]/ },
+	{ code: 'TR', dialCode: '90', trunkPrefix: '0', lengths: [10], mobile: /^5/ },
+	{ code: 'IL', dialCode: '972', trunkPrefix: '0', lengths: [8, 9], mobile: /^5/ },
+	{ code: 'AE', dialCode: '971', trunkPrefix: '0', lengths: [8, 9], mobile: /^5/ },
+	{ code: 'IN', dialCode: '91', trunkPrefix: '0', lengths: [10], mobile: /^[6-9]/ },
+	{ code: 'CN', dialCode: '86', trunkPrefix: '0', lengths: [9, 10, 11], mobile: /^1[3-9]\d{9}$/ },
+	{ code: 'JP', dialCode: '81', trunkPrefix: '0', lengths: [9, 10], mobile: /^[789]0\d{8}$/ },
+	{ code: 'KR', dialCode: '82', trunkPrefix: '0', lengths: [8, 9, 10], mobile: /^1[0-9]/ },
+	{ code: 'TH', dialCode: '66', trunkPrefix: '0', lengths: [8, 9], mobile: /^[689]\d{8}$/ },
+	{ code: 'VN', dialCode: '84', trunkPrefix: '0', lengths: [9, 10], mobile: /^[35789]\d{8}$/ },
+	{ code: 'US', dialCode: '1', trunkPrefix: '1', lengths: [10], match: /^[2-9]\d{2}[2-9]/ },
+];
+
+// DEF code allocations from the Russian numbering plan. Numbers can be ported
+// between operators, so this is only a hint for routing and support.
+const RU_OPERATOR_RANGES = [
+	{ operator: 'mts', prefixes: ['910', '911', '912', '913', '914', '915', '916', '917', '918', '919', '980', '981', '982', '983', '984', '985', '986', '987', '988', '989'] },
+	{ operator: 'beeline', prefixes: ['903', '905', '906', '909', '960', '961', '962', '963', '964', '965', '966', '967', '968', '969'] },
+	{ operator: 'megafon', prefixes: ['920', '921', '922', '923', '924', '925', '926', '927', '928', '929', '930', '931', '932', '933', '934', '936', '937', '938', '939', '997'] },
+	{ operator: 't2', prefixes: ['900', '901', '902', '904', '908', '950', '951', '952', '953', '958', '977', '991', '992', '993', '994', '995', '996', '999'] },
+];
+
+const MAX_E164_DIGITS = 15;
+
+export const PHONE_ERROR_MESSAGES = {
+	phone_required: 'phone is required',
+	phone_invalid_format: 'phone must contain only digits, spaces, dashes, brackets and a leading +',
+	phone_invalid_length: 'phone number has an invalid length for its country',
+	phone_country_unknown: 'phone number country code is not supported',
+	phone_country_not_allowed: 'phone number country is not allowed',
+};
+
+export function getCountryMetadata(code) {
+	if (!code) return null;
+	const upper = String(code).toUpperCase();
+	return COUNTRIES.find((country) => country.code === upper) ?? null;
+}
+
+function failure(code) {
+	return { ok: false, code, message: PHONE_ERROR_MESSAGES[code] };
+}
+
+function detectOperator(country, nationalNumber) {
+	if (country.code !== 'RU') return null;
+	const prefix = nationalNumber.slice(0, 3);
+	return RU_OPERATOR_RANGES.find((range) => range.prefixes.includes(prefix))?.operator ?? null;
+}
+
+function detectLineType(country, nationalNumber) {
+	if (!country.mobile) return 'unknown';
+	return country.mobile.test(nationalNumber) ? 'mobile' : 'fixed_line';
+}
+
+function resolveInternational(digits) {
+	let lengthMismatch = false;
+
+	for (let size = 1; size <= 3; size += 1) {
+		const dialCode = digits.slice(0, size);
+		const nationalNumber = digits.slice(size);
+		const candidates = COUNTRIES.filter((country) => country.dialCode === dialCode);
+		if (candidates.length === 0) continue;
+
+		const country =
+			candidates.find((candidate) => !candidate.match || candidate.match.test(nationalNumber)) ??
+			candidates[0];
+
+		if (!country.lengths.includes(nationalNumber.length)) {
+			lengthMismatch = true;
+			continue;
+		}
+
+		return { country, nationalNumber };
+	}
+
+	return lengthMismatch ? failure('phone_invalid_length') : failure('phone_country_unknown');
+}
+
+function resolveNational(digits, region) {
+	if (!region) return null;
+
+	let nationalNumber = digits;
+	if (
+		region.trunkPrefix &&
+		nationalNumber.startsWith(region.trunkPrefix) &&
+		region.lengths.includes(nationalNumber.length - region.trunkPrefix.length)
+	) {
+		nationalNumber = nationalNumber.slice(region.trunkPrefix.length);
+	}
+
+	if (!region.lengths.includes(nationalNumber.length)) {
+		return null;
+	}
+
+	return resolveInternational(`${region.dialCode}${nationalNumber}`);
+}
+
+export function parsePhoneNumber(raw, { defaultRegion = 'RU' } = {}) {
+	if (raw === null || raw === undefined) return failure('phone_required');
+	const trimmed = raw.toString().trim();
+	if (!trimmed) return failure('phone_required');
+
+	if (!/^(\+|00)?[\d\s().-]+$/.test(trimmed)) {
+		return failure('phone_invalid_format');
+	}
+
+	const hasInternationalPrefix = trimmed.startsWith('+') || trimmed.startsWith('00');
+	let digits = trimmed.replace(/\D/g, '');
+	if (trimmed.startsWith('00')) {
+		digits = digits.slice(2);
+	}
+
+	if (!digits) return failure('phone_required');
+	if (digits.length > MAX_E164_DIGITS) return failure('phone_invalid_length');
+
+	let resolved;
+	if (hasInternationalPrefix) {
+		resolved = resolveInternational(digits);
+	} else {
+		resolved =
+			resolveNational(digits, getCountryMetadata(defaultRegion)) ?? resolveInternational(digits);
+	}
+
+	if (!resolved.country) {
+		return resolved;
+	}
+
+	const { country, nationalNumber } = resolved;
+	return {
+		ok: true,
+		e164: `+${country.dialCode}${nationalNumber}`,
+		country: country.code,
+		dialCode: country.dialCode,
+		nationalNumber,
+		lineType: detectLineType(country, nationalNumber),
+		operator: detectOperator(country, nationalNumber),
+	};
+}
+
+function parseCountryList(value) {
+	if (!value) return null;
+	const codes = value
+		.split(',')
+		.map((code) => code.trim().toUpperCase())
+		.filter(Boolean);
+	return codes.length ? new Set(codes) : null;
+}
+
+export function createPhonePolicy({ defaultRegion, allowedCountries, deniedCountries } = {}) {
+	const region = getCountryMetadata(defaultRegion) ? defaultRegion.toUpperCase() : 'RU';
+	const allowed = parseCountryList(allowedCountries);
+	const denied = parseCountryList(deniedCountries);
+
+	function parse(raw) {
+		const parsed = parsePhoneNumber(raw, { defaultRegion: region });
+		if (!parsed.ok) return parsed;
+
+		if ((allowed && !allowed.has(parsed.country)) || denied?.has(parsed.country)) {
+			return { ...failure('phone_country_not_allowed'), country: parsed.country };
+		}
+
+		return parsed;
+	}
+
+	return { parse, defaultRegion: region };
+}
+
+export function normalizePhoneDigits(value) {
+	if (!value) return '';
+	return value.toString().replace(/\D/g, '');
+}
+
+// "+79991234567" -> "+7******4567": keeps the country prefix and last four digits.
+export function maskPhone(value) {
+	const digits = normalizePhoneDigits(value);
+	if (!digits) return '';
+	if (digits.length <= 4) return '*'.repeat(digits.length);
+
+	const parsed = parsePhoneNumber(`+${digits}`);
+	const visiblePrefix = parsed.ok ? parsed.dialCode.length : 1;
+	const hiddenLength = Math.max(0, digits.length - visiblePrefix - 4);
+	return `+${digits.slice(0, visiblePrefix)}${'*'.repeat(hiddenLength)}${digits.slice(-4)}`;
+}
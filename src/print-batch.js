@@ -0,0 +1,240 @@
+import QRCode from 'qrcode';
+import { A4, MM, createPdfDocument, estimateTextWidth } from './pdf.js';
+import { drawQrOnPdfPage } from './qr-render.js';
+
+// Every row is a real SMS; the whole batch has to fit into one serverless invocation.
+export const MAX_BATCH_ROWS = 20;
+export const BATCH_SEND_CONCURRENCY = 5;
+
+// Below this a phone camera no longer resolves single modules of a printed QR.
+export const MIN_QR_MODULE_MM = 0.4;
+const QR_QUIET_ZONE = 1;
+
+export const DEFAULT_SHEET_LAYOUT = {
+	columns: 3,
+	rows: 7,
+	marginMm: 10,
+	gapMm: 4,
+};
+
+export const LAYOUT_LIMITS = {
+	columns: { min: 1, max: 6 },
+	rows: { min: 1, max: 12 },
+	marginMm: { min: 0, max: 40 },
+	gapMm: { min: 0, max: 20 },
+};
+
+// RFC 4180 style: quoted fields may contain commas, quotes ("") and newlines.
+export function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let index = 0; index < text.length; index += 1) {
+		const char = text[index];
+
+		if (quoted) {
+			if (char === '"' && text[index + 1] === '"') {
+				field += '"';
+				index += 1;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+			continue;
+		}
+
+		if (char === '"') {
+			quoted = true;
+		} else if (char === ',' || char === ';') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[index + 1] === '\n') index += 1;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+
+	if (field || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function rowsFromCsv(text) {
+	const [header = [], ...records] = parseCsv(text);
+	const columns = header.map((name) => name.trim().toLowerCase());
+	const phoneIndex = columns.indexOf('phone');
+	if (phoneIndex < 0) {
+		return { error: 'CSV must have a "phone" column' };
+	}
+	const reportIndex = columns.indexOf('report');
+
+	return {
+		rows: records.map((cells) => {
+			const rawReport = reportIndex >= 0 ? cells[reportIndex]?.trim() : '';
+			if (!rawReport) {
+				return { phone: cells[phoneIndex]?.trim() ?? '' };
+			}
+			try {
+				return { phone: cells[phoneIndex]?.trim() ?? '', report: JSON.parse(rawReport) };
+			} catch {
+				return { phone: cells[phoneIndex]?.trim() ?? '', error: 'report is not valid JSON' };
+			}
+		}),
+	};
+}
+
+// Accepts a raw CSV body, `{ csv }` or `{ rows: [{ phone, report }] }`.
+export function parseBatchRows(body) {
+	let parsed;
+	if (typeof body === 'string') {
+		parsed = rowsFromCsv(body);
+	} else if (body && typeof body.csv === 'string') {
+		parsed = rowsFromCsv(body.csv);
+	} else if (body && Array.isArray(body.rows)) {
+		parsed = {
+			rows: body.rows.map((row) =>
+				row && typeof row === 'object'
+					? { phone: row.phone, report: row.report }
+					: { phone: row }
+			),
+		};
+	} else {
+		return { error: 'Provide CSV text or a JSON body with a rows array' };
+	}
+
+	if (parsed.error) return parsed;
+	if (parsed.rows.length === 0) return { error: 'Batch is empty' };
+	if (parsed.rows.length > MAX_BATCH_ROWS) {
+		return { error: `Batch is limited to ${MAX_BATCH_ROWS} rows` };
+	}
+	return parsed;
+}
+
+export function parseSheetLayout(input = {}) {
+	const layout = { ...DEFAULT_SHEET_LAYOUT };
+
+	for (const [field, { min, max }] of Object.entries(LAYOUT_LIMITS)) {
+		if (input[field] === undefined || input[field] === '') continue;
+		const value = Number(input[field]);
+		if (!Number.isFinite(value) || value < min || value > max) {
+			return { error: { field, message: `${field} must be between ${min} and ${max}` } };
+		}
+		layout[field] = field === 'columns' || field === 'rows' ? Math.floor(value) : value;
+	}
+
+	return { layout };
+}
+
+function fitFontSize(text, maxWidth, preferred) {
+	const width = estimateTextWidth(text, preferred);
+	return width <= maxWidth ? preferred : Math.max(4, (preferred * maxWidth) / width);
+}
+
+function labelGeometry(layout) {
+	const margin = layout.marginMm * MM;
+	const gap = layout.gapMm * MM;
+	const labelWidth = (A4.width - margin * 2 - gap * (layout.columns - 1)) / layout.columns;
+	const labelHeight = (A4.height - margin * 2 - gap * (layout.rows - 1)) / layout.rows;
+	const padding = 2 * MM;
+	const lineHeight = Math.min(9, labelHeight * 0.09);
+	const textBlockHeight = lineHeight * 3 + padding;
+	const qrSize = Math.max(
+		0,
+		Math.min(labelWidth - padding * 2, labelHeight - textBlockHeight - padding * 2)
+	);
+	return { margin, gap, labelWidth, labelHeight, padding, lineHeight, qrSize };
+}
+
+function createLabelQr(payload, qrSize) {
+	const qr = QRCode.create(payload, { errorCorrectionLevel: 'M' });
+	const moduleMm = qrSize / (qr.modules.size + QR_QUIET_ZONE * 2) / MM;
+	return { qr, moduleMm };
+}
+
+// Module size in millimetres the payload gets on a label of this layout.
+export function labelQrModuleMm(layout, payload) {
+	return createLabelQr(payload, labelGeometry(layout).qrSize).moduleMm;
+}
+
+// Lays labels out left-to-right, top-to-bottom on A4 pages. Each label gets
+// the QR code with the brand, request id and masked phone underneath. A label
+// whose QR cannot be built or would print too small is left out and listed in
+// `failed` by its index; the others close up the gap.
+export function renderLabelSheet(labels, { layout, brand }) {
+	const document = createPdfDocument();
+	const { margin, gap, labelWidth, labelHeight, padding, lineHeight, qrSize } =
+		labelGeometry(layout);
+	const perPage = layout.columns * layout.rows;
+	const failed = [];
+
+	let page = null;
+	let placed = 0;
+	labels.forEach((label, index) => {
+		let qr;
+		try {
+			const built = createLabelQr(label.payload, qrSize);
+			if (built.moduleMm < MIN_QR_MODULE_MM) {
+				failed.push({
+					index,
+					code: 'qr_too_small',
+					error: `QR modules would be ${built.moduleMm.toFixed(2)} mm, at least ${MIN_QR_MODULE_MM} mm is needed`,
+				});
+				return;
+			}
+			qr = built.qr;
+		} catch (error) {
+			failed.push({ index, code: 'qr_failed', error: error.message });
+			return;
+		}
+
+		const slot = placed % perPage;
+		placed += 1;
+		if (slot === 0) {
+			page = document.addPage(A4);
+		}
+
+		const column = slot % layout.columns;
+		const row = Math.floor(slot / layout.columns);
+		const x = margin + column * (labelWidth + gap);
+		const y = margin + row * (labelHeight + gap);
+		const innerWidth = labelWidth - padding * 2;
+
+		drawQrOnPdfPage(page, qr, {
+			x: x + (labelWidth - qrSize) / 2,
+			y: y + padding,
+			size: qrSize,
+			margin: QR_QUIET_ZONE,
+		});
+
+		const lines = [
+			{ text: brand, bold: true },
+			{ text: label.requestId },
+			{ text: label.maskedPhone },
+		];
+		let textY = y + padding + qrSize + padding / 2;
+		page.setFill('#000000');
+		for (const line of lines) {
+			const size = fitFontSize(line.text, innerWidth, lineHeight * 0.85);
+			const textWidth = estimateTextWidth(line.text, size);
+			page.text(line.text, x + (labelWidth - textWidth) / 2, textY, { size, bold: line.bold });
+			textY += lineHeight;
+		}
+	});
+
+	if (placed === 0) {
+		document.addPage(A4);
+	}
+
+	return { pdf: document.toBuffer(), placed, failed };
+}
@@ -0,0 +1,68 @@
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, invalid, readList } from './query-params.js';
+import { PROFILE_CATEGORIES } from './schemas.js';
+
+const MAX_OFFSET = 100000;
+
+// `%` and `_` typed by the admin are literal characters, not wildcards.
+function escapeLike(value) {
+	return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// Profiles have no stable creation order to key a cursor on, so pages are
+// offsets over the name ordering.
+export function parseProfileListQuery(query = {}, { normalizePhone } = {}) {
+	const filters = {};
+
+	const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+	if (!Number.isFinite(limit) || limit < 1) {
+		return invalid('limit', `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+	}
+	filters.limit = Math.min(Math.floor(limit), MAX_PAGE_SIZE);
+
+	const offset = query.offset === undefined || query.offset === '' ? 0 : Number(query.offset);
+	if (!Number.isInteger(offset) || offset < 0 || offset > MAX_OFFSET) {
+		return invalid('offset', `offset must be an integer between 0 and ${MAX_OFFSET}`);
+	}
+	filters.offset = offset;
+
+	if (query.name !== undefined && query.name !== '') {
+		const name = String(query.name).trim();
+		if (name.length < 2 || name.length > 200) {
+			return invalid('name', 'name must contain 2 to 200 characters');
+		}
+		filters.name = name;
+	}
+
+	if (query.phone !== undefined && query.phone !== '') {
+		const phone = normalizePhone ? normalizePhone(query.phone) : String(query.phone);
+		if (!phone) {
+			return invalid('phone', 'phone must be a valid phone number');
+		}
+		filters.phone = phone;
+	}
+
+	const regions = readList(query.region);
+	if (regions) {
+		filters.regions = regions;
+	}
+
+	const categories = readList(query.category);
+	if (categories) {
+		if (categories.some((category) => !PROFILE_CATEGORIES.includes(category))) {
+			return invalid('category', `category must be one of ${PROFILE_CATEGORIES.join(', ')}`);
+		}
+		filters.categories = categories;
+	}
+
+	return { filters };
+}
+
+export function applyProfileFilters(builder, filters) {
+	let query = builder;
+	if (filters.name) query = query.ilike('full_name', `%${escapeLike(filters.name)}%`);
+	// Supabase Auth keeps phones without the plus, the API writes E.164.
+	if (filters.phone) query = query.in('phone', [filters.phone, filters.phone.replace(/^\+/, '')]);
+	if (filters.regions) query = query.in('region', filters.regions);
+	if (filters.categories) query = query.in('category', filters.categories);
+	return query;
+}
@@ -0,0 +1,7 @@
+// Keeps the provider's own status code next to the message so the audit log
+// can record exactly what the gateway answered.
+export function createProviderError(message, providerCode = null) {
+	const error = new Error(message);
+	error.providerCode = providerCode == null ? null : String(providerCode);
+	return error;
+}
@@ -0,0 +1,135 @@
+import { logger } from '../logger.js';
+
+export { createSmsRuProvider } from './smsru.js';
+export { createVonageProvider } from './vonage.js';
+export { createMockProvider } from './mock.js';
+export { createTelegramProvider } from './telegram.js';
+export { createWhatsAppProvider } from './whatsapp.js';
+
+export const OTP_CHANNELS = ['sms', 'voice', 'telegram', 'whatsapp'];
+
+const DEFAULT_PRIORITY = ['smsru', 'vonage', 'telegram', 'whatsapp'];
+
+function parsePriority(value) {
+	if (!value) return DEFAULT_PRIORITY;
+	const names = value
+		.split(',')
+		.map((name) => name.trim().toLowerCase())
+		.filter(Boolean);
+	return names.length ? names : DEFAULT_PRIORITY;
+}
+
+// Either a flag or a per-channel map: Vonage keeps the code only for calls.
+export function managesCode(provider, channel = 'sms') {
+	const value = provider?.managesCode;
+	return Boolean(value && typeof value === 'object' ? value[channel] : value);
+}
+
+export function createProviderRegistry({ providers, priority } = {}) {
+	const byName = new Map(providers.map((provider) => [provider.name, provider]));
+	const requested = parsePriority(priority);
+
+	let chain = requested
+		.map((name) => byName.get(name))
+		.filter((provider) => provider && provider.isConfigured());
+
+	// Mock is only used when explicitly listed or when nothing real is configured.
+	if (chain.length === 0 && byName.has('mock')) {
+		chain = [byName.get('mock')];
+	}
+
+	function get(name) {
+		return byName.get(name) ?? null;
+	}
+
+	// The priority order still applies inside a channel: voice goes to SMS.RU
+	// first and Vonage second when both are configured.
+	function chainFor(channel = 'sms') {
+		return chain.filter((provider) => (provider.channels ?? ['sms']).includes(channel));
+	}
+
+	function supports(channel) {
+		return chainFor(channel).length > 0;
+	}
+
+	function namesFor(channel) {
+		return chainFor(channel).map((provider) => provider.name);
+	}
+
+	async function sendWithFailover(message) {
+		const attempts = [];
+		const channel = message.channel ?? 'sms';
+		const candidates = chainFor(channel);
+
+		if (candidates.length === 0) {
+			const error = new Error(`No OTP provider is available for channel ${channel}`);
+			error.attempts = attempts;
+			throw error;
+		}
+
+		for (const provider of candidates) {
+			const startedAt = performance.now();
+			const elapsed = () => Math.round(performance.now() - startedAt);
+			try {
+				const result = await provider.send(message);
+				attempts.push({
+					provider: provider.name,
+					channel,
+					ok: true,
+					code: result?.providerCode ?? null,
+					durationMs: elapsed(),
+				});
+				return { provider, result: result ?? {}, attempts };
+			} catch (error) {
+				logger.error('OTP provider send failed', { provider: provider.name, channel, error });
+				attempts.push({
+					provider: provider.name,
+					channel,
+					ok: false,
+					code: error?.providerCode ?? null,
+					error: error instanceof Error ? error.message : String(error),
+					durationMs: elapsed(),
+				});
+			}
+		}
+
+		const lastError = attempts.at(-1)?.error;
+		const error = new Error(lastError || 'No OTP provider is available');
+		error.attempts = attempts;
+		throw error;
+	}
+
+	// Checks run side by side; `run` wraps each one, e.g. with a timeout.
+	async function checkHealth(run = (check) => check()) {
+		const entries = await Promise.all(
+			chain.map(async (provider) => {
+				try {
+					return [provider.name, await run(() => provider.health())];
+				} catch (error) {
+					return [
+						provider.name,
+						{ ok: false, message: error instanceof Error ? error.message : String(error) },
+					];
+				}
+			})
+		);
+		return Object.fromEntries(entries);
+	}
+
+	return {
+		get,
+		supports,
+		namesFor,
+		sendWithFailover,
+		checkHealth,
+		get primary() {
+			return chain[0]?.name ?? null;
+		},
+		get names() {
+			return chain.map((provider) => provider.name);
+		},
+		get channels() {
+			return OTP_CHANNELS.filter(supports);
+		},
+	};
+}
@@ -0,0 +1,35 @@
+import { logger } from '../logger.js';
+
+export function createMockProvider({ codeHasher } = {}) {
+	async function send({ phone, code, text, channel = 'sms' }) {
+		// The code itself is masked; local runs read it from mockCode in the response.
+		logger.info('OTP mock send', {
+			channel,
+			phone,
+			code,
+			...(text && channel === 'sms'
+				? { text: text.replaceAll(code, '*'.repeat(code.length)) }
+				: {}),
+		});
+		return { externalId: null };
+	}
+
+	async function verify({ code, codeHash }) {
+		return { valid: codeHasher.verify(code, codeHash) };
+	}
+
+	async function health() {
+		return { ok: true, message: null };
+	}
+
+	return {
+		name: 'mock',
+		// Stands in for every channel, including the messenger bots, in local runs.
+		channels: ['sms', 'voice', 'telegram', 'whatsapp'],
+		managesCode: false,
+		isConfigured: () => true,
+		send,
+		verify,
+		health,
+	};
+}
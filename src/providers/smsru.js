@@ -0,0 +1,133 @@
+import { createProviderError } from './errors.js';
+
+const SMSRU_API_URL = 'https://sms.ru';
+
+export function createSmsRuProvider({ apiId, from, codeHasher } = {}) {
+	const configured = Boolean(apiId);
+
+	// "Авторизация звонком": SMS.RU calls the user and the last four digits of
+	// the calling number are the code, so the code comes back from the API.
+	// That code is always four digits; other purpose policies fail over.
+	async function sendCall({ phone, ip, codeLength = 4, alphabet }) {
+		if (codeLength !== 4 || (alphabet && !/^\d+$/.test(alphabet))) {
+			throw createProviderError('SMS.RU calls only deliver 4 digit codes', 'unsupported_code');
+		}
+
+		const body = new URLSearchParams({
+			api_id: apiId,
+			phone: phone.replace(/^\+/, ''),
+			ip: ip || '-1',
+			json: '1',
+		});
+
+		const response = await fetch(`${SMSRU_API_URL}/code/call`, { method: 'POST', body });
+		if (!response.ok) {
+			throw createProviderError('SMS.RU запрос завершился с ошибкой', `http_${response.status}`);
+		}
+
+		const payload = await response.json();
+		if (payload.status !== 'OK' || !payload.code) {
+			throw createProviderError(
+				payload.status_text || 'Не удалось позвонить',
+				payload.status_code
+			);
+		}
+
+		return {
+			externalId: payload.call_id ?? null,
+			code: String(payload.code),
+			providerCode: payload.status_code ?? null,
+		};
+	}
+
+	async function send({ phone, code, codeLength, alphabet, text, channel = 'sms', ip }) {
+		if (!configured) {
+			throw new Error('SMS.RU is not configured');
+		}
+
+		if (channel === 'voice') {
+			return sendCall({ phone, ip, codeLength, alphabet });
+		}
+
+		const sanitizedPhone = phone.replace(/^\+/, '');
+		const body = new URLSearchParams({
+			api_id: apiId,
+			to: sanitizedPhone,
+			msg: text ?? `Код подтверждения: ${code}`,
+			json: '1',
+		});
+
+		if (from) {
+			body.append('from', from);
+		}
+
+		const response = await fetch(`${SMSRU_API_URL}/sms/send`, {
+			method: 'POST',
+			body,
+		});
+
+		if (!response.ok) {
+			throw createProviderError('SMS.RU запрос завершился с ошибкой', `http_${response.status}`);
+		}
+
+		const payload = await response.json();
+
+		if (payload.status !== 'OK') {
+			throw createProviderError(
+				payload.status_text || 'Не удалось отправить SMS',
+				payload.status_code
+			);
+		}
+
+		const smsStatus =
+			payload.sms?.[sanitizedPhone] ||
+			(Object.values(payload.sms ?? {})[0] ?? null);
+		if (smsStatus && smsStatus.status !== 'OK') {
+			throw createProviderError(
+				smsStatus.status_text || 'SMS не доставлено',
+				smsStatus.status_code
+			);
+		}
+
+		return {
+			externalId: smsStatus?.sms_id ?? null,
+			providerCode: smsStatus?.status_code ?? payload.status_code ?? null,
+		};
+	}
+
+	async function verify({ code, codeHash }) {
+		return { valid: codeHasher.verify(code, codeHash) };
+	}
+
+	async function health() {
+		if (!configured) {
+			return { ok: false, message: 'SMS.RU is not configured' };
+		}
+
+		const url = new URL(`${SMSRU_API_URL}/my/balance`);
+		url.searchParams.set('api_id', apiId);
+		url.searchParams.set('json', '1');
+
+		const response = await fetch(url);
+		if (!response.ok) {
+			return { ok: false, message: `SMS.RU responded with ${response.status}` };
+		}
+
+		const payload = await response.json();
+		return {
+			ok: payload.status === 'OK',
+			balance: typeof payload.balance === 'number' ? payload.balance : null,
+			message: payload.status === 'OK' ? null : payload.status_text ?? null,
+		};
+	}
+
+	return {
+		name: 'smsru',
+		channels: ['sms', 'voice'],
+		managesCode: false,
+		isConfigured: () => configured,
+		send,
+		verify,
+		health,
+	};
+}
@@ -0,0 +1,164 @@
+import { Vonage } from '@vonage/server-sdk';
+import { countSmsSegments } from '../sms-templates.js';
+import { createProviderError } from './errors.js';
+
+// Calls read the code in Vonage's own words; only the language is ours to pick.
+const VONAGE_LANGUAGES = { ru: 'ru-ru', en: 'en-us' };
+
+// An alphanumeric sender ID (Latin letters and digits, up to 11) or a number.
+const SMS_SENDER_PATTERN = /^(?:[A-Za-z0-9]{1,11}|\d{1,15})$/;
+
+// SMS go through the SMS API with our code and text: its message-id is what
+// delivery receipts carry, a Verify request_id never shows up in them. Calls
+// stay on Verify, which generates and checks the code itself. `brand` is what
+// the call reads out; SMS need a real sender ID, so without `smsFrom` Vonage
+// only serves calls.
+export function createVonageProvider({
+	apiKey,
+	apiSecret,
+	brand,
+	smsFrom,
+	codeHasher,
+	restHost,
+	apiHost,
+} = {}) {
+	const configured = Boolean(apiKey && apiSecret);
+	if (configured && smsFrom && !SMS_SENDER_PATTERN.test(smsFrom)) {
+		throw new Error(
+			'VONAGE_SMS_FROM must be up to 11 Latin letters and digits or a phone number in digits'
+		);
+	}
+	const channels = smsFrom ? ['sms', 'voice'] : ['voice'];
+	const client = configured ? new Vonage({ apiKey, apiSecret }, { restHost, apiHost }) : null;
+
+	async function sendSms({ phone, text }) {
+		let response;
+		try {
+			response = await client.sms.send({
+				to: phone.replace(/^\+/, ''),
+				from: smsFrom,
+				text,
+				type: countSmsSegments(text).encoding === 'UCS-2' ? 'unicode' : 'text',
+			});
+		} catch (error) {
+			const [message] = error?.response?.messages ?? [];
+			if (!message) throw error;
+			throw createProviderError(message.errorText || 'Failed to send SMS', message.status);
+		}
+
+		// A text split into parts gets one id per part; the templates fit in one.
+		const [message] = response.messages ?? [];
+		if (!message?.messageId) {
+			throw createProviderError('Vonage did not return a message id', message?.status);
+		}
+		return { externalId: message.messageId, providerCode: message.status };
+	}
+
+	async function send({ phone, locale, text, codeLength = 6, alphabet, channel = 'sms' }) {
+		if (!client) {
+			throw new Error('Vonage is not configured');
+		}
+
+		if (channel === 'sms') {
+			return sendSms({ phone, text });
+		}
+
+		// Vonage generates the code itself and only knows 4 or 6 digits.
+		if (![4, 6].includes(codeLength) || (alphabet && !/^\d+$/.test(alphabet))) {
+			throw createProviderError('Vonage only sends 4 or 6 digit codes', 'unsupported_code');
+		}
+
+		const response = await client.verify.start({
+			brand,
+			number: phone,
+			codeLength,
+			lg: VONAGE_LANGUAGES[locale],
+			// Workflow 3 is text-to-speech only: two calls that read the code out.
+			workflowId: '3',
+		});
+
+		const externalId = response.requestId ?? response.request_id ?? null;
+		if (response.status !== '0' || !externalId) {
+			throw createProviderError(
+				response.errorText ||
+					response.error_text ||
+					'Failed to request verification code',
+				response.status
+			);
+		}
+
+		return { externalId, providerCode: response.status };
+	}
+
+	async function verify({ externalId, code, codeHash }) {
+		if (codeHash) {
+			return { valid: codeHasher.verify(code, codeHash) };
+		}
+		if (!client) {
+			throw new Error('Vonage is not configured');
+		}
+
+		const response = await client.verify.check(externalId, code);
+		if (response.status !== '0') {
+			return {
+				valid: false,
+				message: response.errorText || response.error_text || 'Invalid verification code',
+				providerCode: response.status,
+			};
+		}
+
+		return { valid: true, providerCode: response.status };
+	}
+
+	async function control(command, externalId) {
+		if (!client) {
+			throw new Error('Vonage is not configured');
+		}
+
+		const response = await client.verify.sendControl(command, externalId);
+		if (response.status !== '0') {
+			throw createProviderError(
+				response.errorText || response.error_text || `Vonage ${command} failed`,
+				response.status
+			);
+		}
+		return response.status;
+	}
+
+	// Only calls get here: an SMS resend is a new message with a new code.
+	async function resend({ externalId }) {
+		const providerCode = await control('trigger_next_event', externalId);
+		return { externalId, providerCode };
+	}
+
+	// An SMS that went out cannot be recalled; only a Verify call is cancelled.
+	async function cancel({ externalId, channel = 'voice' }) {
+		if (channel !== 'voice') return;
+		await control('cancel', externalId);
+	}
+
+	async function health() {
+		if (!client) {
+			return { ok: false, message: 'Vonage is not configured' };
+		}
+
+		const balance = await client.accounts.getBalance();
+		return {
+			ok: typeof balance?.value === 'number',
+			balance: balance?.value ?? null,
+			message: null,
+		};
+	}
+
+	return {
+		name: 'vonage',
+		channels,
+		managesCode: { sms: false, voice: true },
+		isConfigured: () => configured,
+		send,
+		verify,
+		resend,
+		cancel,
+		health,
+	};
+}
@@ -0,0 +1,93 @@
+import { createProviderError } from './errors.js';
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v20.0';
+
+// WhatsApp Cloud API only lets a business start a conversation with an
+// approved template; authentication templates take the code as the body
+// parameter and again for the "copy code" button.
+export function createWhatsAppProvider({
+	accessToken,
+	phoneNumberId,
+	templateName,
+	templateLanguage = 'ru',
+	codeHasher,
+} = {}) {
+	const configured = Boolean(accessToken && phoneNumberId && templateName);
+
+	async function send({ phone, code }) {
+		if (!configured) {
+			throw new Error('WhatsApp is not configured');
+		}
+
+		const response = await fetch(`${GRAPH_API_URL}/${phoneNumberId}/messages`, {
+			method: 'POST',
+			headers: {
+				Authorization: `Bearer ${accessToken}`,
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({
+				messaging_product: 'whatsapp',
+				to: phone.replace(/^\+/, ''),
+				type: 'template',
+				template: {
+					name: templateName,
+					language: { code: templateLanguage },
+					components: [
+						{ type: 'body', parameters: [{ type: 'text', text: code }] },
+						{
+							type: 'button',
+							sub_type: 'url',
+							index: '0',
+							parameters: [{ type: 'text', text: code }],
+						},
+					],
+				},
+			}),
+		});
+
+		const payload = await response.json().catch(() => ({}));
+		if (!response.ok) {
+			throw createProviderError(
+				payload.error?.message || 'WhatsApp message was not accepted',
+				payload.error?.code ?? `http_${response.status}`
+			);
+		}
+
+		return {
+			externalId: payload.messages?.[0]?.id ?? null,
+			providerCode: payload.messages?.[0]?.message_status ?? null,
+		};
+	}
+
+	async function verify({ code, codeHash }) {
+		return { valid: codeHasher.verify(code, codeHash) };
+	}
+
+	async function health() {
+		if (!configured) {
+			return { ok: false, message: 'WhatsApp is not configured' };
+		}
+
+		const url = new URL(`${GRAPH_API_URL}/${phoneNumberId}`);
+		url.searchParams.set('fields', 'display_phone_number,quality_rating');
+		const response = await fetch(url, {
+			headers: { Authorization: `Bearer ${accessToken}` },
+		});
+		if (!response.ok) {
+			return { ok: false, message: `WhatsApp responded with ${response.status}` };
+		}
+
+		const payload = await response.json();
+		return { ok: true, qualityRating: payload.quality_rating ?? null, message: null };
+	}
+
+	return {
+		name: 'whatsapp',
+		channels: ['whatsapp'],
+		managesCode: false,
+		isConfigured: () => configured,
+		send,
+		verify,
+		health,
+	};
+}
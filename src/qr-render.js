@@ -0,0 +1,150 @@
+import QRCode from 'qrcode';
+import { createPdfDocument, parseHexColor } from './pdf.js';
+
+export const QR_FORMATS = {
+	png: 'image/png',
+	svg: 'image/svg+xml',
+	pdf: 'application/pdf',
+};
+
+export const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+export const QR_RENDER_LIMITS = {
+	size: { min: 64, max: 2048 },
+	margin: { min: 0, max: 16 },
+};
+
+export const DEFAULT_QR_RENDER_OPTIONS = {
+	format: 'png',
+	size: 512,
+	margin: 2,
+	errorCorrectionLevel: 'M',
+	dark: '#000000',
+	light: '#ffffff',
+};
+
+function readInteger(value, { min, max, field }) {
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < min || number > max) {
+		return { error: { field, message: `${field} must be an integer between ${min} and ${max}` } };
+	}
+	return { value: number };
+}
+
+function readColor(value, field) {
+	const normalized = String(value).startsWith('#') ? String(value) : `#${value}`;
+	if (!parseHexColor(normalized)) {
+		return { error: { field, message: `${field} must be a hex color like #112233` } };
+	}
+	return { value: normalized.toLowerCase() };
+}
+
+export function parseQrRenderOptions(query = {}) {
+	const options = { ...DEFAULT_QR_RENDER_OPTIONS };
+
+	if (query.format !== undefined) {
+		const format = String(query.format).toLowerCase();
+		if (!(format in QR_FORMATS)) {
+			return { error: { field: 'format', message: 'format must be one of png, svg, pdf' } };
+		}
+		options.format = format;
+	}
+
+	if (query.size !== undefined) {
+		const { value, error } = readInteger(query.size, { ...QR_RENDER_LIMITS.size, field: 'size' });
+		if (error) return { error };
+		options.size = value;
+	}
+
+	if (query.margin !== undefined) {
+		const { value, error } = readInteger(query.margin, { ...QR_RENDER_LIMITS.margin, field: 'margin' });
+		if (error) return { error };
+		options.margin = value;
+	}
+
+	const level = query.errorCorrectionLevel ?? query.ecl;
+	if (level !== undefined) {
+		const upper = String(level).toUpperCase();
+		if (!ERROR_CORRECTION_LEVELS.includes(upper)) {
+			return {
+				error: { field: 'errorCorrectionLevel', message: 'errorCorrectionLevel must be L, M, Q or H' },
+			};
+		}
+		options.errorCorrectionLevel = upper;
+	}
+
+	for (const field of ['dark', 'light']) {
+		if (query[field] === undefined) continue;
+		const { value, error } = readColor(query[field], field);
+		if (error) return { error };
+		options[field] = value;
+	}
+
+	return { options };
+}
+
+// Draws the QR matrix as merged horizontal runs so large codes stay small.
+export function drawQrOnPdfPage(page, qr, { x, y, size, margin = 0, dark = '#000000', light }) {
+	const { modules } = qr;
+	const count = modules.size + margin * 2;
+	const cell = size / count;
+
+	if (light) {
+		page.setFill(light).rect(x, y, size, size);
+	}
+
+	page.setFill(dark);
+	for (let row = 0; row < modules.size; row += 1) {
+		let runStart = -1;
+		for (let col = 0; col <= modules.size; col += 1) {
+			const isDark = col < modules.size && modules.get(row, col);
+			if (isDark && runStart < 0) {
+				runStart = col;
+			} else if (!isDark && runStart >= 0) {
+				page.rect(
+					x + (runStart + margin) * cell,
+					y + (row + margin) * cell,
+					(col - runStart) * cell,
+					cell
+				);
+				runStart = -1;
+			}
+		}
+	}
+}
+
+export async function renderQr(payload, options = DEFAULT_QR_RENDER_OPTIONS) {
+	const { format, size, margin, errorCorrectionLevel, dark, light } = {
+		...DEFAULT_QR_RENDER_OPTIONS,
+		...options,
+	};
+	const color = { dark, light };
+
+	if (format === 'svg') {
+		const svg = await QRCode.toString(payload, {
+			type: 'svg',
+			width: size,
+			margin,
+			errorCorrectionLevel,
+			color,
+		});
+		return { contentType: QR_FORMATS.svg, body: Buffer.from(svg, 'utf8') };
+	}
+
+	if (format === 'pdf') {
+		const qr = QRCode.create(payload, { errorCorrectionLevel });
+		const document = createPdfDocument();
+		const page = document.addPage({ width: size, height: size });
+		drawQrOnPdfPage(page, qr, { x: 0, y: 0, size, margin, dark, light });
+		return { contentType: QR_FORMATS.pdf, body: document.toBuffer() };
+	}
+
+	const png = await QRCode.toBuffer(payload, {
+		type: 'png',
+		width: size,
+		margin,
+		errorCorrectionLevel,
+		color,
+	});
+	return { contentType: QR_FORMATS.png, body: png };
+}
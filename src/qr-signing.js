@@ -0,0 +1,132 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const TOKEN_PREFIX = 'ov1';
+// Labels on a batch sheet are about two centimetres wide. Their token packs the
+// request id and expiry into 20 bytes and keeps 16 bytes of the MAC, which
+// keeps the QR at version 4 with modules large enough for a phone camera.
+const LABEL_PREFIX = 'ol1';
+const LABEL_SIGNATURE_BYTES = 16;
+
+// QR_SIGNING_KEYS format: "kid1:secret1,kid2:secret2". Old kids stay listed
+// until every sticker signed with them is out of circulation.
+export function parseSigningKeys(value) {
+	const keys = new Map();
+	if (!value) return keys;
+
+	for (const entry of value.split(',')) {
+		const separator = entry.indexOf(':');
+		if (separator <= 0) continue;
+		const kid = entry.slice(0, separator).trim();
+		const secret = entry.slice(separator + 1).trim();
+		if (kid && secret && /^[A-Za-z0-9_-]+$/.test(kid)) {
+			keys.set(kid, secret);
+		}
+	}
+
+	return keys;
+}
+
+// A sticker only has room for a short token, so the claims are kept minimal
+// (requestId, phoneHash, iat, exp) and everything else is looked up by requestId.
+export function createQrSigner({ keys, activeKid, now = () => Date.now() }) {
+	if (!keys || keys.size === 0) {
+		throw new Error('At least one QR signing key is required');
+	}
+
+	const signingKid = activeKid && keys.has(activeKid) ? activeKid : keys.keys().next().value;
+
+	function signature(prefix, kid, encodedClaims) {
+		const digest = createHmac('sha256', keys.get(kid))
+			.update(`${prefix}.${kid}.${encodedClaims}`)
+			.digest();
+		return prefix === LABEL_PREFIX ? digest.subarray(0, LABEL_SIGNATURE_BYTES) : digest;
+	}
+
+	// The phone is never printed in the clear; a keyed hash still lets the
+	// verifier check that the sticker belongs to the request it names.
+	function phoneHash(phone, kid = signingKid) {
+		return createHmac('sha256', keys.get(kid))
+			.update(`phone:${phone}`)
+			.digest()
+			.subarray(0, 12)
+			.toString('base64url');
+	}
+
+	function sign(claims) {
+		const encodedClaims = Buffer.from(JSON.stringify(claims), 'utf8').toString('base64url');
+		const encodedSignature = signature(TOKEN_PREFIX, signingKid, encodedClaims).toString(
+			'base64url'
+		);
+		return `${TOKEN_PREFIX}.${signingKid}.${encodedClaims}.${encodedSignature}`;
+	}
+
+	function signLabel({ requestId, exp }) {
+		const body = Buffer.alloc(20);
+		Buffer.from(requestId.replace(/-/g, ''), 'hex').copy(body);
+		body.writeUInt32BE(exp, 16);
+		const encodedClaims = body.toString('base64url');
+		const encodedSignature = signature(LABEL_PREFIX, signingKid, encodedClaims).toString(
+			'base64url'
+		);
+		return `${LABEL_PREFIX}.${signingKid}.${encodedClaims}.${encodedSignature}`;
+	}
+
+	function decodeClaims(prefix, encodedClaims) {
+		if (prefix === TOKEN_PREFIX) {
+			return JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+		}
+
+		const body = Buffer.from(encodedClaims, 'base64url');
+		if (body.length !== 20) {
+			throw new Error('Malformed label token');
+		}
+		const hex = body.subarray(0, 16).toString('hex');
+		return {
+			requestId: [
+				hex.slice(0, 8),
+				hex.slice(8, 12),
+				hex.slice(12, 16),
+				hex.slice(16, 20),
+				hex.slice(20),
+			].join('-'),
+			exp: body.readUInt32BE(16),
+		};
+	}
+
+	function verify(token) {
+		if (typeof token !== 'string') {
+			return { valid: false, reason: 'malformed' };
+		}
+
+		const parts = token.trim().split('.');
+		if (parts.length !== 4 || ![TOKEN_PREFIX, LABEL_PREFIX].includes(parts[0])) {
+			return { valid: false, reason: 'malformed' };
+		}
+
+		const [prefix, kid, encodedClaims, encodedSignature] = parts;
+		if (!keys.has(kid)) {
+			return { valid: false, reason: 'unknown_key', kid };
+		}
+
+		const expected = signature(prefix, kid, encodedClaims);
+		const actual = Buffer.from(encodedSignature, 'base64url');
+		if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+			return { valid: false, reason: 'bad_signature', kid };
+		}
+
+		let claims;
+		try {
+			claims = decodeClaims(prefix, encodedClaims);
+		} catch {
+			return { valid: false, reason: 'malformed', kid };
+		}
+
+		if (typeof claims?.exp === 'number' && claims.exp * 1000 <= now()) {
+			return { valid: false, reason: 'expired', kid, claims };
+		}
+
+		return { valid: true, kid, claims };
+	}
+
+	return { sign, signLabel, verify, phoneHash, kid: signingKid };
+}
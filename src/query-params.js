@@ -0,0 +1,25 @@
+// Query-string parsing shared by the list endpoints (OTP requests, profiles,
+// audit). A parse failure is `{ error }` with the shape the routes send as 400.
+
+export const MAX_PAGE_SIZE = 200;
+export const DEFAULT_PAGE_SIZE = 50;
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function invalid(field, message) {
+	return { error: { code: 'invalid_filter', field, message } };
+}
+
+// `?a=x,y` and `?a=x&a=y` both read as a list.
+export function readList(value) {
+	if (value === undefined || value === '') return null;
+	const items = (Array.isArray(value) ? value : String(value).split(','))
+		.map((item) => String(item).trim())
+		.filter(Boolean);
+	return items.length ? items : null;
+}
+
+export function readDate(value) {
+	if (value === undefined || value === '') return { value: null };
+	const date = new Date(String(value));
+	return Number.isNaN(date.getTime()) ? { error: true } : { value: date.toISOString() };
+}
@@ -0,0 +1,96 @@
+export function createMemoryRateLimitStore() {
+	const buckets = new Map();
+
+	async function hit(key, windowSeconds) {
+		const now = Date.now();
+		const bucket = buckets.get(key);
+
+		if (!bucket || bucket.resetAt <= now) {
+			const fresh = { hits: 1, resetAt: now + windowSeconds * 1000 };
+			buckets.set(key, fresh);
+			return { ...fresh };
+		}
+
+		bucket.hits += 1;
+		return { ...bucket };
+	}
+
+	function prune(now = Date.now()) {
+		let removed = 0;
+		for (const [key, bucket] of buckets) {
+			if (bucket.resetAt <= now) {
+				buckets.delete(key);
+				removed += 1;
+			}
+		}
+		return removed;
+	}
+
+	return { hit, prune };
+}
+
+export function createSupabaseRateLimitStore(client) {
+	async function hit(key, windowSeconds) {
+		const { data, error } = await client.rpc('hit_otp_rate_limit', {
+			p_key: key,
+			p_window_seconds: windowSeconds,
+		});
+
+		if (error) {
+			throw error;
+		}
+
+		const row = Array.isArray(data) ? data[0] : data;
+		return {
+			hits: Number(row?.hits ?? 0),
+			resetAt: row?.reset_at ? new Date(row.reset_at).getTime() : Date.now(),
+		};
+	}
+
+	async function prune(now = Date.now()) {
+		const { error, count } = await client
+			.from('otp_rate_limits')
+			.delete({ count: 'exact' })
+			.lte('reset_at', new Date(now).toISOString());
+
+		if (error) {
+			throw error;
+		}
+
+		return count ?? 0;
+	}
+
+	return { hit, prune };
+}
+
+// Every rule is counted on each call, blocked calls included, so retries while
+// blocked still use up the other rules' windows. A window never moves its
+// reset time: a caller that waits out Retry-After gets through.
+export function createRateLimiter({ store, rules }) {
+	const activeRules = rules.filter((rule) => rule.limit > 0 && rule.windowSeconds > 0);
+
+	async function consume(subjects) {
+		let blocked = null;
+
+		for (const rule of activeRules) {
+			const subject = subjects[rule.scope];
+			if (!subject) continue;
+
+			const { hits, resetAt } = await store.hit(
+				`${rule.name}:${subject}`,
+				rule.windowSeconds
+			);
+
+			if (hits > rule.limit) {
+				const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+				if (!blocked || retryAfter > blocked.retryAfter) {
+					blocked = { rule: rule.name, scope: rule.scope, retryAfter };
+				}
+			}
+		}
+
+		return blocked ? { allowed: false, ...blocked } : { allowed: true };
+	}
+
+	return { consume };
+}
@@ -0,0 +1,195 @@
+import { OTP_CHANNELS } from './providers/index.js';
+
+export const PROFILE_CATEGORIES = [
+	'pensioner',
+	'disabled',
+	'veteran',
+	'large_family',
+	'low_income',
+	'other',
+];
+// Who fills in the profile: the person themselves or someone helping them.
+export const PROFILE_ROLES = ['self', 'relative', 'caregiver'];
+
+// Per-route JSON body limits; a report with a few hundred benefits is ~100 KB.
+export const BODY_LIMITS = {
+	small: '16kb',
+	webhook: '64kb',
+	otpRequest: '256kb',
+	batch: '2mb',
+};
+
+const uuid = { type: 'string', format: 'uuid' };
+const shortText = (maxLength) => ({ type: 'string', maxLength });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+const phone = { type: 'string', minLength: 1, maxLength: 32 };
+const locale = { type: 'string', pattern: '^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$' };
+const purpose = { type: 'string', pattern: '^[a-z][a-z0-9_]*$', maxLength: 64 };
+const channel = { type: 'string', enum: OTP_CHANNELS };
+// Checked against the control sum, then stored as "XXX-XXX-XXX YY".
+const snils = { type: 'string', maxLength: 14, format: 'snils' };
+
+const benefit = {
+	type: 'object',
+	properties: {
+		id: shortText(128),
+		title: shortText(300),
+		description: shortText(4000),
+		type: shortText(64),
+		expiresIn: { type: ['integer', 'null'] },
+		validFrom: nullable(shortText(64)),
+		validTo: nullable(shortText(64)),
+		savingsPerMonth: { type: ['number', 'null'] },
+		targetGroups: { type: 'array', maxItems: 20, items: shortText(64) },
+		regions: { type: 'array', maxItems: 100, items: shortText(100) },
+		requirements: { type: 'array', maxItems: 50, items: shortText(500) },
+		documents: { type: 'array', maxItems: 50, items: shortText(500) },
+		steps: { type: 'array', maxItems: 50, items: shortText(1000) },
+	},
+};
+
+const medicine = {
+	type: 'object',
+	properties: {
+		id: shortText(128),
+		name: shortText(300),
+		dosage: shortText(100),
+		frequency: shortText(200),
+		monthlyPrice: { type: ['number', 'null'] },
+		discountedPrice: { type: ['number', 'null'] },
+	},
+};
+
+// The shape buildQrClaims reads; unknown keys are kept so the client can
+// attach extra context, but the body limit still caps the total size.
+export const OTP_REPORT_SCHEMA = {
+	type: ['object', 'null'],
+	maxProperties: 50,
+	properties: {
+		generatedAt: shortText(64),
+		profile: {
+			type: 'object',
+			properties: {
+				id: shortText(128),
+				name: shortText(200),
+				region: shortText(100),
+				category: { type: 'string', enum: PROFILE_CATEGORIES },
+				age: { type: 'integer', minimum: 0, maximum: 150 },
+				birthYear: { type: 'integer', minimum: 1900, maximum: 2100 },
+			},
+		},
+		stats: {
+			type: 'object',
+			maxProperties: 50,
+			additionalProperties: { type: ['number', 'null'] },
+		},
+		soonExpiring: { ...benefit, type: ['object', 'null'] },
+		benefits: { type: 'array', maxItems: 300, items: benefit },
+		medicines: { type: 'array', maxItems: 100, items: medicine },
+	},
+};
+
+export const OTP_REQUEST_PARAMS_SCHEMA = {
+	type: 'object',
+	required: ['requestId'],
+	properties: { requestId: uuid },
+};
+
+export const OTP_REQUEST_BODY_SCHEMA = {
+	type: 'object',
+	required: ['phone'],
+	additionalProperties: false,
+	properties: {
+		phone,
+		channel,
+		purpose,
+		locale,
+		report: OTP_REPORT_SCHEMA,
+	},
+};
+
+export const OTP_VERIFY_BODY_SCHEMA = {
+	type: 'object',
+	required: ['requestId', 'code'],
+	additionalProperties: false,
+	properties: {
+		requestId: uuid,
+		code: { type: ['string', 'integer'], maxLength: 32 },
+		purpose,
+	},
+};
+
+export const OTP_RESEND_BODY_SCHEMA = {
+	type: 'object',
+	required: ['requestId'],
+	additionalProperties: false,
+	properties: { requestId: uuid, phone, channel },
+};
+
+export const OTP_CANCEL_BODY_SCHEMA = {
+	type: 'object',
+	required: ['requestId'],
+	additionalProperties: false,
+	properties: { requestId: uuid, phone },
+};
+
+export const QR_VERIFY_BODY_SCHEMA = {
+	type: 'object',
+	required: ['payload'],
+	additionalProperties: false,
+	properties: { payload: { type: 'string', minLength: 1, maxLength: 4096 } },
+};
+
+export const PRINT_BATCH_BODY_SCHEMA = {
+	type: 'object',
+	additionalProperties: false,
+	properties: {
+		csv: { type: 'string' },
+		rows: {
+			type: 'array',
+			items: {
+				type: ['object', 'string'],
+				additionalProperties: false,
+				// Reports are checked row by row so one bad row does not sink the batch.
+				properties: { phone, report: { type: ['object', 'null'] } },
+			},
+		},
+		layout: { type: 'object' },
+	},
+};
+
+export const PROFILE_PARAMS_SCHEMA = {
+	type: 'object',
+	required: ['authUserId'],
+	properties: { authUserId: uuid },
+};
+
+export const PROFILE_ENSURE_BODY_SCHEMA = {
+	type: 'object',
+	required: ['authUserId'],
+	additionalProperties: false,
+	properties: {
+		authUserId: uuid,
+		fullName: nullable(shortText(200)),
+		email: nullable({ type: 'string', format: 'email', maxLength: 254 }),
+		phone: nullable(phone),
+	},
+};
+
+export const PROFILE_UPDATE_BODY_SCHEMA = {
+	type: 'object',
+	additionalProperties: false,
+	properties: {
+		fullName: nullable(shortText(200)),
+		email: nullable({ type: 'string', format: 'email', maxLength: 254 }),
+		phone: nullable(phone),
+		region: nullable(shortText(100)),
+		category: { type: ['string', 'null'], enum: [...PROFILE_CATEGORIES, null] },
+		snils: nullable(snils),
+		role: { type: ['string', 'null'], enum: [...PROFILE_ROLES, null] },
+		interests: { type: 'array', maxItems: 50, items: shortText(64) },
+		simpleModeEnabled: { type: 'boolean' },
+		locale: nullable(locale),
+	},
+};
@@ -0,0 +1,118 @@
+import { logger } from './logger.js';
+
+export const DEFAULT_LOCALE = 'ru';
+
+// Placeholders: {code}, {brand}, {ttl} (minutes). A Cyrillic brand turns any
+// text into UCS-2, so the defaults stay within one 70-char segment.
+export const DEFAULT_TEMPLATES = {
+	ru: {
+		login: '{brand}: код входа {code}. Действует {ttl} мин. Никому не сообщайте.',
+		profile_change: '{brand}: код для изменения профиля {code}. Действует {ttl} мин.',
+		badge: '{brand}: код для получения бейджа {code}. Покажите его на стойке.',
+		delete_account: '{brand}: код для удаления аккаунта {code}. Действует {ttl} мин.',
+	},
+	en: {
+		login: '{brand}: login code {code}. Valid for {ttl} min. Do not share it.',
+		profile_change: '{brand}: code to confirm profile changes: {code}. Valid for {ttl} min.',
+		badge: '{brand}: badge pickup code {code}. Show it at registration.',
+		delete_account: '{brand}: code to delete your account: {code}. Valid for {ttl} min.',
+	},
+};
+
+// GSM 03.38 basic set; the extension table characters take two septets each.
+const GSM7_BASIC =
+	'@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+	'¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+export function countSmsSegments(text) {
+	const value = String(text ?? '');
+	let septets = 0;
+	let isGsm7 = true;
+
+	for (const char of value) {
+		if (GSM7_BASIC.includes(char)) {
+			septets += 1;
+		} else if (GSM7_EXTENDED.includes(char)) {
+			septets += 2;
+		} else {
+			isGsm7 = false;
+			break;
+		}
+	}
+
+	if (isGsm7) {
+		return {
+			encoding: 'GSM-7',
+			length: septets,
+			segments: septets <= 160 ? 1 : Math.ceil(septets / 153),
+		};
+	}
+
+	// UCS-2 counts UTF-16 code units, so an emoji costs two.
+	const units = value.length;
+	return {
+		encoding: 'UCS-2',
+		length: units,
+		segments: units <= 70 ? 1 : Math.ceil(units / 67),
+	};
+}
+
+// Accepts "en", "en-US", "ru-RU,ru;q=0.9,en;q=0.8" and returns the first supported locale.
+export function resolveLocale(candidates, supported) {
+	for (const candidate of candidates) {
+		if (!candidate) continue;
+		const tags = String(candidate)
+			.split(',')
+			.map((part) => part.split(';')[0].trim().toLowerCase());
+		for (const tag of tags) {
+			const base = tag.split(/[-_]/)[0];
+			if (supported.includes(base)) return base;
+		}
+	}
+	return null;
+}
+
+function parseTemplateOverrides(value) {
+	if (!value) return {};
+	try {
+		const parsed = JSON.parse(value);
+		return parsed && typeof parsed === 'object' ? parsed : {};
+	} catch {
+		logger.warn('OTP_SMS_TEMPLATES is not valid JSON, using the built-in templates');
+		return {};
+	}
+}
+
+export function createMessageRenderer({ brand, webOtpDomain, overrides } = {}) {
+	const templates = structuredClone(DEFAULT_TEMPLATES);
+	for (const [locale, byPurpose] of Object.entries(parseTemplateOverrides(overrides))) {
+		templates[locale] = { ...(templates[locale] ?? {}), ...byPurpose };
+	}
+	const locales = Object.keys(templates);
+
+	function pickTemplate(locale, purpose) {
+		return (
+			templates[locale]?.[purpose] ??
+			templates[locale]?.login ??
+			templates[DEFAULT_LOCALE][purpose] ??
+			templates[DEFAULT_LOCALE].login
+		);
+	}
+
+	function render({ purpose = 'login', locale = DEFAULT_LOCALE, code, ttlSeconds }) {
+		const values = { code, brand, ttl: Math.max(1, Math.round(ttlSeconds / 60)) };
+		let text = pickTemplate(locale, purpose).replace(/\{(\w+)\}/g, (match, key) =>
+			key in values ? String(values[key]) : match
+		);
+
+		// WebOTP: the last line "@domain #code" lets the browser autofill the code.
+		if (webOtpDomain) {
+			text += `\n\n@${webOtpDomain} #${code}`;
+		}
+
+		return { text, locale, purpose, ...countSmsSegments(text) };
+	}
+
+	return { render, locales };
+}
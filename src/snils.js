@@ -0,0 +1,151 @@
+import { createCipheriv, createDecipheriv, hkdfSync, randomBytes } from 'node:crypto';
+
+const TOKEN_PREFIX = 'sv1';
+const SNILS_PATTERN = /^(\d{3})-?(\d{3})-?(\d{3})[ -]?(\d{2})$/;
+// Numbers up to 001-001-998 were issued before the control sum existed.
+const CHECKSUM_FROM = 1001998;
+
+function controlSum(number) {
+	const sum = [...number].reduce((total, digit, index) => total + Number(digit) * (9 - index), 0);
+	const remainder = sum % 101;
+	return remainder === 100 ? 0 : remainder;
+}
+
+// Accepts "XXX-XXX-XXX YY", "XXXXXXXXXXX" and the mixes in between, and
+// returns the canonical "XXX-XXX-XXX YY".
+export function parseSnils(value) {
+	const match = SNILS_PATTERN.exec(String(value ?? '').trim());
+	if (!match) return { ok: false, reason: 'format' };
+
+	const number = match.slice(1, 4).join('');
+	const control = Number(match[4]);
+	if (Number(number) > CHECKSUM_FROM && controlSum(number) !== control) {
+		return { ok: false, reason: 'checksum' };
+	}
+
+	return { ok: true, snils: `${match[1]}-${match[2]}-${match[3]} ${match[4]}` };
+}
+
+// The last three digits of the number and the control sum stay visible:
+// enough for a person to recognise their own SNILS.
+export function maskSnils(value) {
+	const digits = String(value ?? '').replace(/\D/g, '');
+	if (digits.length !== 11) return '***-***-*** **';
+	return `***-***-${digits.slice(6, 9)} ${digits.slice(9)}`;
+}
+
+// SNILS_ENCRYPTION_KEYS uses the QR_SIGNING_KEYS format, "kid1:secret1,kid2:secret2";
+// each secret is stretched into an AES-256 key. Retired kids stay listed until
+// every row has been written again with the active one.
+export function createSnilsCipher({ keys, activeKid }) {
+	if (!keys || keys.size === 0) {
+		throw new Error('At least one SNILS encryption key is required');
+	}
+
+	const derived = new Map(
+		[...keys].map(([kid, secret]) => [
+			kid,
+			Buffer.from(hkdfSync('sha256', secret, Buffer.alloc(0), 'profiles.snils', 32)),
+		])
+	);
+	const encryptionKid = activeKid && keys.has(activeKid) ? activeKid : keys.keys().next().value;
+
+	// The owner's id is bound in as associated data, so a ciphertext copied
+	// onto another profile no longer decrypts.
+	function encrypt(snils, authUserId) {
+		const iv = randomBytes(12);
+		const cipher = createCipheriv('aes-256-gcm', derived.get(encryptionKid), iv);
+		cipher.setAAD(Buffer.from(String(authUserId), 'utf8'));
+		const ciphertext = Buffer.concat([cipher.update(snils, 'utf8'), cipher.final()]);
+		return [
+			TOKEN_PREFIX,
+			encryptionKid,
+			iv.toString('base64url'),
+			cipher.getAuthTag().toString('base64url'),
+			ciphertext.toString('base64url'),
+		].join('.');
+	}
+
+	function decrypt(token, authUserId) {
+		const parts = String(token).split('.');
+		if (parts.length !== 5 || parts[0] !== TOKEN_PREFIX) {
+			throw new Error('Malformed SNILS ciphertext');
+		}
+
+		const [, kid, iv, tag, ciphertext] = parts;
+		if (!derived.has(kid)) {
+			throw new Error(`Unknown SNILS encryption key ${kid}`);
+		}
+
+		const decipher = createDecipheriv(
+			'aes-256-gcm',
+			derived.get(kid),
+			Buffer.from(iv, 'base64url')
+		);
+		decipher.setAAD(Buffer.from(String(authUserId), 'utf8'));
+		decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+		return Buffer.concat([
+			decipher.update(Buffer.from(ciphertext, 'base64url')),
+			decipher.final(),
+		]).toString('utf8');
+	}
+
+	return { encrypt, decrypt, kid: encryptionKid };
+}
+
+// Moves SNILS stored in plain text before encryption into the encrypted
+// columns. Values that fail validation are kept as typed, only trimmed: the
+// point is to get them out of the plain column, not to lose them.
+export async function encryptStoredSnils(client, cipher, { perPage = 200, onProgress } = {}) {
+	const summary = { scanned: 0, encrypted: 0, invalid: 0, failed: 0 };
+	let lastUserId = null;
+
+	while (true) {
+		let query = client
+			.from('profiles')
+			.select('auth_user_id, snils')
+			.not('snils', 'is', null)
+			.order('auth_user_id', { ascending: true })
+			.limit(perPage);
+		if (lastUserId) query = query.gt('auth_user_id', lastUserId);
+
+		const { data, error } = await query;
+		if (error) {
+			throw error;
+		}
+
+		const rows = data ?? [];
+		for (const row of rows) {
+			summary.scanned += 1;
+			lastUserId = row.auth_user_id;
+
+			const parsed = parseSnils(row.snils);
+			if (!parsed.ok) summary.invalid += 1;
+			const snils = parsed.ok ? parsed.snils : String(row.snils).trim();
+
+			try {
+				const { error: updateError } = await client
+					.from('profiles')
+					.update({
+						snils: null,
+						snils_encrypted: cipher.encrypt(snils, row.auth_user_id),
+						snils_masked: maskSnils(snils),
+					})
+					.eq('auth_user_id', row.auth_user_id);
+				if (updateError) throw updateError;
+				summary.encrypted += 1;
+			} catch (updateError) {
+				summary.failed += 1;
+				onProgress?.({ type: 'error', userId: row.auth_user_id, error: updateError });
+			}
+		}
+
+		onProgress?.({ type: 'page', summary: { ...summary } });
+
+		if (rows.length < perPage) {
+			break;
+		}
+	}
+
+	return summary;
+}
@@ -0,0 +1,87 @@
+import { createClient } from '@supabase/supabase-js';
+
+const DEFAULT_EMAIL_DOMAIN = 'phone.invalid';
+
+// GoTrue has no admin "log in as" call. The admin API can still mint a
+// one-time magic link token for the user, and trading its hash through
+// /verify gives a regular session with a refresh token. The user's password
+// is never touched.
+//
+// Magic links are addressed by email, and users created by phone have none:
+// they get a stable placeholder on a reserved domain that never receives mail.
+// The placeholder stays on the account as its confirmed email, so it is also
+// kept in app_metadata.placeholder_email: clients hide the email while the two
+// match, and a real email set later no longer matches.
+export function createSupabaseSessionIssuer({
+	admin,
+	url,
+	anonKey,
+	clientOptions,
+	emailDomain = DEFAULT_EMAIL_DOMAIN,
+}) {
+	if (!admin || !url || !anonKey) {
+		return null;
+	}
+
+	async function ensureLoginEmail(userId) {
+		const { data, error } = await admin.auth.admin.getUserById(userId);
+		if (error) {
+			throw error;
+		}
+		if (data?.user?.email) {
+			return data.user.email;
+		}
+
+		const email = `${userId}@${emailDomain}`;
+		const { error: updateError } = await admin.auth.admin.updateUserById(userId, {
+			email,
+			email_confirm: true,
+			app_metadata: { placeholder_email: email },
+		});
+		if (updateError) {
+			throw updateError;
+		}
+		return email;
+	}
+
+	async function issueSession({ userId }) {
+		const email = await ensureLoginEmail(userId);
+
+		const { data: link, error: linkError } = await admin.auth.admin.generateLink({
+			type: 'magiclink',
+			email,
+		});
+		if (linkError) {
+			throw linkError;
+		}
+
+		const tokenHash = link?.properties?.hashed_token;
+		if (!tokenHash) {
+			throw new Error('Supabase did not return a magic link token');
+		}
+
+		const client = createClient(url, anonKey, clientOptions);
+		const { data, error } = await client.auth.verifyOtp({
+			token_hash: tokenHash,
+			type: 'magiclink',
+		});
+		if (error) {
+			throw error;
+		}
+
+		const session = data?.session;
+		if (!session) {
+			throw new Error('Supabase did not return a session');
+		}
+
+		return {
+			accessToken: session.access_token,
+			refreshToken: session.refresh_token,
+			tokenType: session.token_type,
+			expiresIn: session.expires_in,
+			expiresAt: session.expires_at ?? null,
+		};
+	}
+
+	return { issueSession };
+}
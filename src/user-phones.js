@@ -0,0 +1,189 @@
+import { normalizePhoneDigits } from './phone.js';
+
+function identityHasPhone(user, phone, normalizedTarget) {
+	if (!user.identities) return false;
+	const targetDigits = normalizedTarget ?? normalizePhoneDigits(phone);
+
+	return user.identities.some((ident) => {
+		const data = ident.identity_data || {};
+
+		const candidateValues = [
+			data.phone,
+			data.phone_number,
+			data.phoneNumber,
+			data.sub,
+		];
+
+		return (
+			candidateValues.some((candidate) => candidate && candidate === phone) ||
+			candidateValues.some((candidate) => {
+				const candidateDigits = normalizePhoneDigits(candidate);
+				return (
+					candidateDigits &&
+					targetDigits &&
+					candidateDigits === targetDigits
+				);
+			})
+		);
+	});
+}
+
+export async function findSupabaseUserByPhone(client, phone) {
+	if (!client) return null;
+	const normalizedPhoneDigits = normalizePhoneDigits(phone);
+
+	let page = 1;
+	const perPage = 200;
+
+	while (true) {
+		const { data, error } = await client.auth.admin.listUsers({
+			page,
+			perPage,
+		});
+
+		if (error) {
+			throw error;
+		}
+
+		const users = data?.users ?? [];
+
+		const match = users.find((user) => {
+			if (user.phone && user.phone === phone) {
+				return true;
+			}
+
+			const userPhoneDigits = normalizePhoneDigits(user.phone);
+			if (
+				userPhoneDigits &&
+				normalizedPhoneDigits &&
+				userPhoneDigits === normalizedPhoneDigits
+			) {
+				return true;
+			}
+
+			return identityHasPhone(user, phone, normalizedPhoneDigits);
+		});
+
+		if (match) {
+			return match;
+		}
+
+		const hasMore =
+			typeof data?.nextPage === 'number' &&
+			data.nextPage > page &&
+			users.length > 0;
+
+		if (!hasMore || users.length === 0) {
+			break;
+		}
+
+		page += 1;
+	}
+
+	return null;
+}
+
+export async function findUserIdByPhone(client, phone) {
+	if (!client || !phone) return null;
+
+	const { data, error } = await client
+		.from('user_phones')
+		.select('auth_user_id')
+		.eq('phone_e164', phone)
+		.maybeSingle();
+
+	if (error) {
+		throw error;
+	}
+
+	return data?.auth_user_id ?? null;
+}
+
+export async function rememberUserPhone(client, phone, authUserId) {
+	if (!client || !phone || !authUserId) return;
+
+	// A user keeps one mapping, so a changed number replaces the old row.
+	const { error: cleanupError } = await client
+		.from('user_phones')
+		.delete()
+		.eq('auth_user_id', authUserId)
+		.neq('phone_e164', phone);
+
+	if (cleanupError) {
+		throw cleanupError;
+	}
+
+	const { error } = await client
+		.from('user_phones')
+		.upsert(
+			{
+				phone_e164: phone,
+				auth_user_id: authUserId,
+				updated_at: new Date().toISOString(),
+			},
+			{ onConflict: 'phone_e164' }
+		);
+
+	if (error) {
+		throw error;
+	}
+}
+
+// GoTrue keeps phones in international form without the leading +.
+function extractUserPhone(user) {
+	const candidates = [user.phone];
+	for (const ident of user.identities ?? []) {
+		const data = ident.identity_data || {};
+		candidates.push(data.phone, data.phone_number, data.phoneNumber);
+	}
+
+	const digits = candidates.map(normalizePhoneDigits).find(Boolean);
+	return digits ? `+${digits}` : '';
+}
+
+export async function backfillUserPhones(client, { perPage = 200, onProgress } = {}) {
+	const summary = { scanned: 0, mapped: 0, skipped: 0, failed: 0 };
+	let page = 1;
+
+	while (true) {
+		const { data, error } = await client.auth.admin.listUsers({ page, perPage });
+
+		if (error) {
+			throw error;
+		}
+
+		const users = data?.users ?? [];
+
+		for (const user of users) {
+			summary.scanned += 1;
+			const phone = extractUserPhone(user);
+			if (!phone) {
+				summary.skipped += 1;
+				continue;
+			}
+
+			try {
+				await rememberUserPhone(client, phone, user.id);
+				summary.mapped += 1;
+			} catch (mappingError) {
+				summary.failed += 1;
+				onProgress?.({ type: 'error', userId: user.id, error: mappingError });
+			}
+		}
+
+		onProgress?.({ type: 'page', page, summary: { ...summary } });
+
+		const hasMore =
+			typeof data?.nextPage === 'number' &&
+			data.nextPage > page &&
+			users.length > 0;
+
+		if (!hasMore || users.length === 0) {
+			break;
+		}
+
+		page += 1;
+	}
+
+	return summary;
+}
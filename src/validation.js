@@ -0,0 +1,155 @@
+import { parseSnils } from './snils.js';
+
+// A small JSON Schema (2020-12) subset: enough to declare request bodies once
+// and reuse the same objects in the API docs. Validation stops at the first
+// problem and reports it as { code, message, field }.
+
+// Anything with a test(value) method works: snils also checks the control sum.
+const FORMATS = {
+	uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+	email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+	snils: { test: (value) => parseSnils(value).ok },
+};
+
+function fail(code, field, message) {
+	return { code, message, field: field || null };
+}
+
+function typeOf(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (Number.isInteger(value)) return 'integer';
+	return typeof value;
+}
+
+function matchesType(value, type) {
+	const actual = typeOf(value);
+	if (type === 'number') return actual === 'number' || actual === 'integer';
+	return actual === type;
+}
+
+function joinPath(path, key) {
+	if (typeof key === 'number') return `${path}[${key}]`;
+	return path ? `${path}.${key}` : key;
+}
+
+export function validate(schema, value, path = '') {
+	if (!schema) return null;
+
+	if (schema.type) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some((type) => matchesType(value, type))) {
+			return fail(
+				'field_invalid',
+				path,
+				`${path || 'body'} must be ${types.filter((type) => type !== 'null').join(' or ')}`
+			);
+		}
+	}
+
+	if (value === null) return null;
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		const allowed = schema.enum.filter((option) => option !== null).join(', ');
+		return fail('field_invalid', path, `${path} must be one of ${allowed}`);
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			return fail('field_invalid', path, `${path} must be at least ${schema.minLength} characters`);
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			return fail('field_too_long', path, `${path} must be at most ${schema.maxLength} characters`);
+		}
+		if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+			return fail('field_invalid', path, `${path} has an invalid format`);
+		}
+		if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+			return fail('field_invalid', path, `${path} must be a valid ${schema.format}`);
+		}
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			return fail('field_invalid', path, `${path} must be at least ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			return fail('field_invalid', path, `${path} must be at most ${schema.maximum}`);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			return fail('field_too_long', path, `${path} must have at most ${schema.maxItems} items`);
+		}
+		if (schema.items) {
+			for (const [index, item] of value.entries()) {
+				const error = validate(schema.items, item, joinPath(path, index));
+				if (error) return error;
+			}
+		}
+		return null;
+	}
+
+	if (typeof value === 'object') {
+		for (const key of schema.required ?? []) {
+			if (value[key] === undefined) {
+				return fail('field_required', joinPath(path, key), `${joinPath(path, key)} is required`);
+			}
+		}
+
+		const properties = schema.properties ?? {};
+		const keys = Object.keys(value);
+		if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+			return fail('field_too_long', path, `${path || 'body'} has too many fields`);
+		}
+
+		for (const key of keys) {
+			const field = joinPath(path, key);
+			if (key in properties) {
+				const error =
+					value[key] === undefined ? null : validate(properties[key], value[key], field);
+				if (error) return error;
+			} else if (schema.additionalProperties === false) {
+				return fail('field_unknown', field, `${field} is not allowed`);
+			} else if (typeof schema.additionalProperties === 'object') {
+				const error = validate(schema.additionalProperties, value[key], field);
+				if (error) return error;
+			}
+		}
+	}
+
+	return null;
+}
+
+// Rejects the request with 400 when `req[part]` does not match its schema.
+// A missing JSON body counts as an empty object so `required` reports it.
+export function validateRequest(schemas) {
+	return (req, res, next) => {
+		for (const part of ['params', 'query', 'body']) {
+			if (!schemas[part]) continue;
+			const error = validate(schemas[part], req[part] ?? {});
+			if (error) return res.status(400).json(error);
+		}
+		return next();
+	};
+}
+
+// body-parser failures (oversized or malformed JSON) in the same error shape.
+export function handleBodyParserError(error, _req, res, next) {
+	if (error?.type === 'entity.too.large') {
+		return res.status(413).json({
+			code: 'payload_too_large',
+			message: `request body exceeds ${error.limit} bytes`,
+			field: null,
+		});
+	}
+	if (error?.type === 'entity.parse.failed') {
+		return res.status(400).json({
+			code: 'invalid_json',
+			message: 'request body is not valid JSON',
+			field: null,
+		});
+	}
+	return next(error);
+}
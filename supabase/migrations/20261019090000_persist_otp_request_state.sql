@@ -0,0 +1,6 @@
+alter table public.otp_requests
+    add column if not exists provider_request_id text,
+    add column if not exists attempts integer not null default 0;
+
+create index if not exists otp_requests_pending_idx on public.otp_requests (request_id)
+    where status = 'pending';
@@ -0,0 +1,9 @@
+-- Codes are stored as salted HMAC digests in code_hash; plaintext values are wiped.
+alter table public.otp_requests
+    add column if not exists code_hash text;
+
+update public.otp_requests
+    set code = null
+    where code is not null;
+
+comment on column public.otp_requests.code is 'Deprecated: plaintext codes are no longer stored, see code_hash.';
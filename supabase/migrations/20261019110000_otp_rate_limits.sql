@@ -0,0 +1,58 @@
+create table if not exists public.otp_rate_limits (
+    key text primary key,
+    hits integer not null default 0,
+    reset_at timestamptz not null
+);
+
+alter table public.otp_rate_limits enable row level security;
+
+create policy if not exists "otp_rate_limits_service_mutation" on public.otp_rate_limits
+    for all using (auth.role() = 'service_role')
+    with check (auth.role() = 'service_role');
+
+create index if not exists otp_rate_limits_reset_idx on public.otp_rate_limits (reset_at);
+
+-- Counts a hit for the key; the window starts with the first hit and restarts once reset_at passes.
+create or replace function public.hit_otp_rate_limit(p_key text, p_window_seconds integer)
+returns table (hits integer, reset_at timestamptz)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    return query
+    insert into public.otp_rate_limits as limits (key, hits, reset_at)
+    values (p_key, 1, now() + make_interval(secs => p_window_seconds))
+    on conflict (key) do update
+        set hits = case when limits.reset_at <= now() then 1 else limits.hits + 1 end,
+            reset_at = case
+                when limits.reset_at <= now() then now() + make_interval(secs => p_window_seconds)
+                else limits.reset_at
+            end
+    returning limits.hits, limits.reset_at;
+end;
+$$;
+
+-- Counts a failed verification and locks the request once the limit is reached.
+create or replace function public.register_otp_failed_attempt(p_request_id uuid, p_max_attempts integer)
+returns table (attempts integer, status text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    return query
+    update public.otp_requests as requests
+        set attempts = requests.attempts + 1,
+            status = case
+                when requests.attempts + 1 >= p_max_attempts then 'locked'
+                else requests.status
+            end
+        where requests.request_id = p_request_id
+            and requests.status = 'pending'
+    returning requests.attempts, requests.status;
+end;
+$$;
+
+revoke all on function public.hit_otp_rate_limit(text, integer) from public, anon, authenticated;
+revoke all on function public.register_otp_failed_attempt(uuid, integer) from public, anon, authenticated;
@@ -0,0 +1,3 @@
+alter table public.otp_requests
+    add column if not exists resend_count integer not null default 0,
+    add column if not exists last_sent_at timestamptz;
@@ -0,0 +1,24 @@
+create table if not exists public.user_phones (
+    phone_e164 text primary key,
+    auth_user_id uuid not null unique references auth.users (id) on delete cascade,
+    created_at timestamptz not null default timezone('utc', now()),
+    updated_at timestamptz not null default timezone('utc', now())
+);
+
+alter table public.user_phones enable row level security;
+
+create policy if not exists "user_phones_service_mutation" on public.user_phones
+    for all using (auth.role() = 'service_role')
+    with check (auth.role() = 'service_role');
+
+-- Initial fill from auth.users; `npm run backfill:user-phones` also covers identity-only phones.
+insert into public.user_phones (phone_e164, auth_user_id)
+select distinct on (digits) '+' || digits, id
+from (
+    select id, regexp_replace(phone, '\D', '', 'g') as digits, created_at
+    from auth.users
+    where coalesce(phone, '') <> ''
+) as users_with_phone
+where digits <> ''
+order by digits, created_at
+on conflict do nothing;
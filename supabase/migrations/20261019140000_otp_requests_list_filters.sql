@@ -0,0 +1,8 @@
+-- Phone suffix search ("last 4 digits") becomes a prefix search on the reversed number,
+-- which a btree can serve; exact matches keep using otp_requests_phone_idx and the
+-- created_at keyset pagination keeps using otp_requests_created_idx.
+alter table public.otp_requests
+    add column if not exists phone_reversed text generated always as (reverse(phone)) stored;
+
+create index if not exists otp_requests_phone_reversed_idx
+    on public.otp_requests (phone_reversed text_pattern_ops);
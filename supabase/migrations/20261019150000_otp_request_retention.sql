@@ -0,0 +1,55 @@
+alter table public.otp_requests
+    add column if not exists scrubbed_at timestamptz;
+
+create index if not exists otp_requests_pending_expires_idx on public.otp_requests (expires_at)
+    where status = 'pending';
+
+create index if not exists otp_requests_unscrubbed_created_idx on public.otp_requests (created_at)
+    where scrubbed_at is null;
+
+-- Marks pending requests whose TTL has passed as expired; returns how many rows changed.
+create or replace function public.expire_overdue_otp_requests(p_now timestamptz default now())
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    affected integer;
+begin
+    update public.otp_requests
+        set status = 'expired'
+        where status = 'pending'
+            and expires_at < p_now;
+    get diagnostics affected = row_count;
+    return affected;
+end;
+$$;
+
+-- Drops codes, stored QR images and the captured report from requests created
+-- before p_before. The signed qr_payload stays so printed badges keep verifying.
+create or replace function public.scrub_otp_requests(p_before timestamptz)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    affected integer;
+begin
+    update public.otp_requests
+        set code = null,
+            code_hash = null,
+            qr_data_url = null,
+            metadata = coalesce(metadata, '{}'::jsonb) - 'report',
+            scrubbed_at = now()
+        where scrubbed_at is null
+            and created_at < p_before
+            and status <> 'pending';
+    get diagnostics affected = row_count;
+    return affected;
+end;
+$$;
+
+revoke all on function public.expire_overdue_otp_requests(timestamptz) from public, anon, authenticated;
+revoke all on function public.scrub_otp_requests(timestamptz) from public, anon, authenticated;
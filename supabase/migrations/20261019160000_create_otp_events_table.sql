@@ -0,0 +1,54 @@
+create table if not exists public.otp_events (
+    id bigint generated always as identity primary key,
+    created_at timestamptz not null default now(),
+    type text not null,
+    request_id uuid,
+    auth_user_id uuid,
+    phone_masked text,
+    phone_hash text,
+    ip text,
+    user_agent text,
+    actor_role text,
+    provider text,
+    provider_code text,
+    outcome text,
+    details jsonb not null default '{}'::jsonb
+);
+
+alter table public.otp_events enable row level security;
+
+create policy if not exists "otp_events_service_mutation" on public.otp_events
+    for all using (auth.role() = 'service_role')
+    with check (auth.role() = 'service_role');
+
+create index if not exists otp_events_type_idx on public.otp_events (type, id desc);
+create index if not exists otp_events_request_idx on public.otp_events (request_id, id desc)
+    where request_id is not null;
+create index if not exists otp_events_phone_hash_idx on public.otp_events (phone_hash, id desc)
+    where phone_hash is not null;
+create index if not exists otp_events_auth_user_idx on public.otp_events (auth_user_id, id desc)
+    where auth_user_id is not null;
+create index if not exists otp_events_ip_idx on public.otp_events (ip, id desc)
+    where ip is not null;
+create index if not exists otp_events_created_idx on public.otp_events (created_at desc);
+
+-- The sweeper now records an otp.expired event per request, so it needs the rows back.
+drop function if exists public.expire_overdue_otp_requests(timestamptz);
+
+create function public.expire_overdue_otp_requests(p_now timestamptz default now())
+returns table (request_id uuid, phone text, provider text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    return query
+    update public.otp_requests as requests
+        set status = 'expired'
+        where requests.status = 'pending'
+            and requests.expires_at < p_now
+    returning requests.request_id, requests.phone, requests.provider;
+end;
+$$;
+
+revoke all on function public.expire_overdue_otp_requests(timestamptz) from public, anon, authenticated;
@@ -0,0 +1,9 @@
+alter table public.otp_requests
+    add column if not exists delivery_status text
+        check (delivery_status in ('queued', 'delivered', 'failed', 'expired')),
+    add column if not exists delivery_updated_at timestamptz;
+
+-- Delivery webhooks find the request by the id the provider gave us.
+create index if not exists otp_requests_provider_request_idx
+    on public.otp_requests (provider, provider_request_id)
+    where provider_request_id is not null;
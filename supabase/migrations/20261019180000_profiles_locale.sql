@@ -0,0 +1,3 @@
+-- Preferred language for OTP SMS texts; null lets the request decide.
+alter table if exists public.profiles
+    add column if not exists locale text;
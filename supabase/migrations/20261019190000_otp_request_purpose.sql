@@ -0,0 +1,8 @@
+-- What a code was issued for (login, badge, delete_account, ...); verify
+-- rejects a code presented for any other purpose. Purposes are configured in
+-- the API (OTP_PURPOSES), so there is no check constraint here.
+alter table public.otp_requests
+    add column if not exists purpose text not null default 'login';
+
+create index if not exists otp_requests_purpose_created_idx
+    on public.otp_requests (purpose, created_at desc);
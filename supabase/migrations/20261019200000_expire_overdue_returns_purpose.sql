@@ -0,0 +1,21 @@
+-- The sweeper counts expired requests per purpose for /metrics, so the
+-- function returns the purpose next to the fields it already returned.
+drop function if exists public.expire_overdue_otp_requests(timestamptz);
+
+create function public.expire_overdue_otp_requests(p_now timestamptz default now())
+returns table (request_id uuid, phone text, provider text, purpose text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    return query
+    update public.otp_requests as requests
+        set status = 'expired'
+        where requests.status = 'pending'
+            and requests.expires_at < p_now
+    returning requests.request_id, requests.phone, requests.provider, requests.purpose;
+end;
+$$;
+
+revoke all on function public.expire_overdue_otp_requests(timestamptz) from public, anon, authenticated;
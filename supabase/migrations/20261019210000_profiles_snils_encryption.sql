@@ -0,0 +1,7 @@
+-- The API encrypts SNILS with SNILS_ENCRYPTION_KEYS (AES-256-GCM, bound to
+-- auth_user_id) and keeps a display mask next to it. The plain `snils` column
+-- stays null for rows written since; `npm run backfill:profile-snils` moves
+-- older values over.
+alter table if exists public.profiles
+    add column if not exists snils_encrypted text,
+    add column if not exists snils_masked text;
@@ -0,0 +1,34 @@
+// index.js reads its configuration once at import, so every test file that
+// boots the API runs in its own process (node --test does that) and calls
+// this once with the environment it needs.
+export async function startApp(env = {}) {
+	Object.assign(process.env, {
+		VERCEL: '1',
+		LOG_LEVEL: 'silent',
+		SUPABASE_URL: '',
+		SUPABASE_SERVICE_ROLE_KEY: '',
+		OTP_RATE_LIMIT_STORE: 'memory',
+		...env,
+	});
+
+	const { default: app } = await import('../../index.js');
+	const server = app.listen(0, '127.0.0.1');
+	await new Promise((resolve) => server.once('listening', resolve));
+	const base = `http://127.0.0.1:${server.address().port}`;
+
+	async function request(method, path, body, headers = {}) {
+		const response = await fetch(base + path, {
+			method,
+			headers: { 'content-type': 'application/json', ...headers },
+			body: body ? JSON.stringify(body) : undefined,
+		});
+		const text = await response.text();
+		return { status: response.status, data: text ? JSON.parse(text) : null };
+	}
+
+	return {
+		base,
+		request,
+		close: () => new Promise((resolve) => server.close(resolve)),
+	};
+}
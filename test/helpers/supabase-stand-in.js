@@ -0,0 +1,242 @@
+import { randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+
+// Just enough PostgREST and GoTrue admin for the API to run against "a
+// database": tables are arrays of rows, filters are the operators the code
+// uses. Every call lands in `calls`; `failOn` makes matching calls answer 500.
+// Column defaults from supabase/migrations that the API relies on.
+const COLUMN_DEFAULTS = {
+	otp_requests: { status: 'pending', attempts: 0, resend_count: 0, purpose: 'login', metadata: {} },
+};
+
+export function createSupabaseStandIn() {
+	const tables = {};
+	const users = [];
+	const calls = [];
+	const failures = [];
+
+	const table = (name) => (tables[name] ??= []);
+
+	function matches(row, key, raw) {
+		const match = /^(not\.)?(eq|neq|lt|lte|gt|gte|in|is)\.(.*)$/s.exec(raw);
+		if (!match) return true;
+		const [, negated, op, value] = match;
+		const field = key.includes('->')
+			? key.split(/->>?/).reduce((object, part) => object?.[part], row)
+			: row[key];
+
+		let result;
+		switch (op) {
+			case 'eq':
+				result = String(field) === value;
+				break;
+			case 'neq':
+				result = String(field) !== value;
+				break;
+			case 'lt':
+				result = field != null && field < value;
+				break;
+			case 'lte':
+				result = field != null && field <= value;
+				break;
+			case 'gt':
+				result = field != null && field > value;
+				break;
+			case 'gte':
+				result = field != null && field >= value;
+				break;
+			case 'in':
+				result = value
+					.replace(/^\(|\)$/g, '')
+					.split(',')
+					.map((item) => item.replace(/^"|"$/g, ''))
+					.includes(String(field));
+				break;
+			case 'is':
+				result = value === 'null' ? field == null : String(field) === value;
+				break;
+		}
+		return negated ? !result : result;
+	}
+
+	function matchesOr(row, expression) {
+		return expression
+			.replace(/^\(|\)$/g, '')
+			.split(/,(?![^(]*\))/)
+			.some((part) => {
+				const dot = part.indexOf('.');
+				return matches(row, part.slice(0, dot), part.slice(dot + 1));
+			});
+	}
+
+	function filterRows(name, params) {
+		return table(name).filter((row) =>
+			params.every(([key, value]) => {
+				if (['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'].includes(key)) {
+					return true;
+				}
+				return key === 'or' ? matchesOr(row, value) : matches(row, key, value);
+			})
+		);
+	}
+
+	// Plain column lists only, which is all the API selects; `*` keeps the row.
+	function project(rows, columns) {
+		if (!columns || columns === '*') return rows;
+		const names = columns.split(',').map((name) => name.trim());
+		return rows.map((row) => Object.fromEntries(names.map((name) => [name, row[name] ?? null])));
+	}
+
+	function send(res, status, body, headers = {}) {
+		res.writeHead(status, { 'content-type': 'application/json', ...headers });
+		res.end(body === undefined ? '' : JSON.stringify(body));
+	}
+
+	function handleRest(req, res, name, url, body) {
+		const params = [...url.searchParams];
+		const prefer = req.headers.prefer ?? '';
+		const single = (req.headers.accept ?? '').includes('vnd.pgrst.object');
+
+		if (req.method === 'GET' || req.method === 'HEAD') {
+			let rows = filterRows(name, params);
+			const total = rows.length;
+			const order = url.searchParams.get('order');
+			if (order) {
+				const keys = order.split(',').map((item) => item.split('.'));
+				rows = [...rows].sort((a, b) => {
+					for (const [key, direction] of keys) {
+						if (a[key] === b[key]) continue;
+						const result = a[key] < b[key] ? -1 : 1;
+						return direction === 'desc' ? -result : result;
+					}
+					return 0;
+				});
+			}
+			const offset = Number(url.searchParams.get('offset') ?? 0);
+			const limit = url.searchParams.get('limit');
+			rows = project(
+				rows.slice(offset, limit ? offset + Number(limit) : undefined),
+				url.searchParams.get('select')
+			);
+			const headers = prefer.includes('count=exact')
+				? { 'content-range': `0-${rows.length - 1}/${total}` }
+				: {};
+			if (single) {
+				if (rows.length === 0 && !prefer.includes('maybe')) {
+					return send(res, 406, { code: 'PGRST116', message: 'No rows' });
+				}
+				return send(res, 200, rows[0] ?? null, headers);
+			}
+			return send(res, 200, req.method === 'HEAD' ? undefined : rows, headers);
+		}
+
+		let rows;
+		if (req.method === 'POST') {
+			const conflict = url.searchParams.get('on_conflict');
+			rows = (Array.isArray(body) ? body : [body]).map((item) => {
+				const existing =
+					conflict &&
+					table(name).find((row) => conflict.split(',').every((key) => row[key] === item[key]));
+				if (existing) {
+					if (!prefer.includes('ignore-duplicates')) Object.assign(existing, item);
+					return existing;
+				}
+				const row = {
+					id: table(name).length + 1,
+					created_at: new Date().toISOString(),
+					...COLUMN_DEFAULTS[name],
+					...item,
+				};
+				table(name).push(row);
+				return row;
+			});
+		} else if (req.method === 'PATCH') {
+			rows = filterRows(name, params);
+			for (const row of rows) Object.assign(row, body);
+		} else if (req.method === 'DELETE') {
+			rows = filterRows(name, params);
+			tables[name] = table(name).filter((row) => !rows.includes(row));
+		}
+
+		rows = project(rows, url.searchParams.get('select'));
+		if (single) return send(res, 200, rows[0] ?? null);
+		return prefer.includes('return=representation') ? send(res, 200, rows) : send(res, 204);
+	}
+
+	function handleAuth(req, res, url, body) {
+		if (url.pathname === '/auth/v1/admin/users' && req.method === 'GET') {
+			const page = Number(url.searchParams.get('page') ?? 1);
+			const perPage = Number(url.searchParams.get('per_page') ?? 50);
+			return send(
+				res,
+				200,
+				{ users: users.slice((page - 1) * perPage, page * perPage), aud: 'authenticated' },
+				{ 'x-total-count': String(users.length) }
+			);
+		}
+
+		if (url.pathname === '/auth/v1/admin/users' && req.method === 'POST') {
+			const phone = String(body.phone ?? '').replace(/^\+/, '');
+			if (phone && users.some((user) => user.phone === phone)) {
+				return send(res, 422, { code: 'phone_exists', msg: 'Phone number already registered' });
+			}
+			const user = {
+				id: randomUUID(),
+				aud: 'authenticated',
+				role: 'authenticated',
+				phone,
+				email: body.email ?? '',
+				app_metadata: body.app_metadata ?? {},
+				user_metadata: body.user_metadata ?? {},
+			};
+			users.push(user);
+			return send(res, 200, user);
+		}
+
+		const userMatch = /^\/auth\/v1\/admin\/users\/([^/]+)$/.exec(url.pathname);
+		if (userMatch) {
+			const user = users.find((candidate) => candidate.id === userMatch[1]);
+			if (!user) return send(res, 404, { code: 'user_not_found', msg: 'User not found' });
+			if (req.method === 'PUT') {
+				// GoTrue merges app_metadata on update rather than replacing it.
+				const appMetadata = { ...user.app_metadata, ...body.app_metadata };
+				Object.assign(user, body, { app_metadata: appMetadata });
+			}
+			return send(res, 200, user);
+		}
+
+		return send(res, 404, { msg: `No stand-in for ${req.method} ${url.pathname}` });
+	}
+
+	const server = createServer(async (req, res) => {
+		let raw = '';
+		for await (const chunk of req) raw += chunk;
+		const body = raw ? JSON.parse(raw) : null;
+		const url = new URL(req.url, 'http://localhost');
+		const call = { method: req.method, path: url.pathname, params: url.searchParams, body };
+		calls.push(call);
+
+		if (failures.some((failure) => failure(call))) {
+			return send(res, 500, { code: 'XX000', message: 'stand-in failure' });
+		}
+
+		const rest = /^\/rest\/v1\/(.+)$/.exec(url.pathname);
+		if (rest) return handleRest(req, res, rest[1], url, body);
+		if (url.pathname.startsWith('/auth/v1/')) return handleAuth(req, res, url, body);
+		return send(res, 404, { message: `No stand-in for ${url.pathname}` });
+	});
+
+	return {
+		tables,
+		users,
+		calls,
+		table,
+		failOn: (predicate) => failures.push(predicate),
+		clearFailures: () => failures.splice(0),
+		async start() {
+			await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+			return `http://127.0.0.1:${server.address().port}`;
+		},
+		stop: () => new Promise((resolve) => server.close(resolve)),
+	};
+}
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startApp } from './helpers/app.js';
+import { createSupabaseStandIn } from './helpers/supabase-stand-in.js';
+
+// Supabase is configured and the in-process cache is off, so every verify and
+// resend reads the request back from otp_requests.
+const supabase = createSupabaseStandIn();
+let api;
+
+before(async () => {
+	api = await startApp({
+		SUPABASE_URL: await supabase.start(),
+		SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+		OTP_RESEND_COOLDOWN_SECONDS: '0',
+		OTP_PURPOSES: JSON.stringify({ pickup: { resendCooldownSeconds: 60 } }),
+	});
+});
+
+after(async () => {
+	await api.close();
+	await supabase.stop();
+});
+
+async function issue(phone, purpose) {
+	const created = await api.request('POST', '/otp/request', { phone, purpose });
+	assert.equal(created.status, 200);
+	return created.data;
+}
+
+test('a badge code is not accepted as a login code', async () => {
+	const { requestId, mockCode } = await issue('+79991234567', 'badge');
+
+	const asLogin = await api.request('POST', '/otp/verify', { requestId, code: mockCode });
+	assert.equal(asLogin.status, 400);
+	assert.equal(asLogin.data.code, 'purpose_mismatch');
+	assert.equal(asLogin.data.message, 'verification request was issued for badge');
+
+	const asBadge = await api.request('POST', '/otp/verify', {
+		requestId,
+		code: mockCode,
+		purpose: 'badge',
+	});
+	assert.equal(asBadge.status, 200);
+	assert.equal(asBadge.data.session, null);
+	assert.equal(supabase.users.length, 0);
+});
+
+test('resend follows the policy of the purpose the code was issued for', async () => {
+	const phone = '+79991234568';
+	const { requestId } = await issue(phone, 'badge');
+
+	const first = await api.request('POST', '/otp/resend', { requestId, phone });
+	assert.equal(first.status, 200);
+	assert.equal(first.data.purpose, 'badge');
+	assert.equal(first.data.expiresIn, 30 * 60);
+	assert.equal(first.data.resendsLeft, 0);
+
+	const second = await api.request('POST', '/otp/resend', { requestId, phone });
+	assert.equal(second.status, 429);
+	assert.equal(second.data.code, 'resend_limit');
+});
+
+test('resend waits out the cooldown of the purpose', async () => {
+	const phone = '+79991234569';
+	const { requestId } = await issue(phone, 'pickup');
+
+	const resent = await api.request('POST', '/otp/resend', { requestId, phone });
+	assert.equal(resent.status, 429);
+	assert.equal(resent.data.code, 'resend_cooldown');
+});
@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startApp } from './helpers/app.js';
+
+let api;
+
+before(async () => {
+	api = await startApp({ OTP_RESEND_COOLDOWN_SECONDS: '0', OTP_OPERATOR_API_KEYS: 'operator-key' });
+});
+
+after(() => api.close());
+
+test('the QR image is linked, not inlined, unless the caller asks for it', async () => {
+	const created = await api.request('POST', '/otp/request', { phone: '+79991234567' });
+	assert.equal(created.status, 200);
+	assert.equal(created.data.qr.imageUrl, `/otp/requests/${created.data.requestId}/qr`);
+	assert.ok(!('dataUrl' in created.data.qr));
+
+	const inline = await api.request('POST', '/otp/request?inlineQr=true', { phone: '+79991234567' });
+	assert.equal(inline.status, 200);
+	assert.match(inline.data.qr.dataUrl, /^data:image\/png;base64,/);
+	assert.equal(inline.data.qr.imageUrl, `/otp/requests/${inline.data.requestId}/qr`);
+});
+
+test('the print page asks for the inline QR it shows', async () => {
+	const response = await fetch(`${api.base}/print`, {
+		headers: { 'x-api-key': 'operator-key' },
+	});
+	assert.equal(response.status, 200);
+	assert.match(await response.text(), /fetch\('\/otp\/request\?inlineQr=true'/);
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startApp } from './helpers/app.js';
+import { createSupabaseStandIn } from './helpers/supabase-stand-in.js';
+
+const supabase = createSupabaseStandIn();
+let api;
+
+before(async () => {
+	api = await startApp({
+		SUPABASE_URL: await supabase.start(),
+		SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+		OTP_RESEND_COOLDOWN_SECONDS: '0',
+	});
+});
+
+after(async () => {
+	await api.close();
+	await supabase.stop();
+});
+
+test('a request that could not be stored fails instead of handing out a dead code', async () => {
+	const storesRequest = (call) => call.method === 'POST' && call.path === '/rest/v1/otp_requests';
+	supabase.failOn(storesRequest);
+
+	const created = await api.request('POST', '/otp/request', { phone: '+79991234567' });
+	assert.equal(created.status, 500);
+	assert.equal(created.data.message, 'Failed to store verification request');
+	assert.equal(created.data.requestId, undefined);
+	assert.equal(created.data.mockCode, undefined);
+	assert.equal(supabase.table('otp_requests').length, 0);
+	assert.ok(supabase.calls.some(storesRequest));
+
+	supabase.clearFailures();
+	const retried = await api.request('POST', '/otp/request', { phone: '+79991234567' });
+	assert.equal(retried.status, 200);
+	assert.equal(supabase.table('otp_requests').length, 1);
+	assert.equal(supabase.table('otp_requests')[0].request_id, retried.data.requestId);
+});
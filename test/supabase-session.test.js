@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { after, before, beforeEach, test } from 'node:test';
+import { createClient } from '@supabase/supabase-js';
+import { createSupabaseSessionIssuer } from '../src/supabase-session.js';
+
+// A stand-in for the few GoTrue endpoints the issuer talks to. It keeps users
+// in memory and records every call, so the tests can check what was changed.
+function createGoTrueStandIn() {
+	const users = new Map();
+	const tokens = new Map();
+	const calls = [];
+
+	function send(res, status, body) {
+		res.writeHead(status, { 'content-type': 'application/json' });
+		res.end(JSON.stringify(body));
+	}
+
+	const server = createServer(async (req, res) => {
+		let raw = '';
+		for await (const chunk of req) raw += chunk;
+		const body = raw ? JSON.parse(raw) : null;
+		const path = new URL(req.url, 'http://localhost').pathname;
+		calls.push({ method: req.method, path, body });
+
+		const userMatch = /^\/auth\/v1\/admin\/users\/([^/]+)$/.exec(path);
+		if (userMatch) {
+			const user = users.get(userMatch[1]);
+			if (!user) return send(res, 404, { code: 'user_not_found', msg: 'User not found' });
+			if (req.method === 'PUT') {
+				// GoTrue merges app_metadata on update rather than replacing it.
+				const appMetadata = { ...user.app_metadata, ...body.app_metadata };
+				Object.assign(user, body, { app_metadata: appMetadata });
+			}
+			return send(res, 200, user);
+		}
+
+		if (req.method === 'POST' && path === '/auth/v1/admin/generate_link') {
+			const user = [...users.values()].find((candidate) => candidate.email === body.email);
+			if (!user) return send(res, 404, { code: 'user_not_found', msg: 'User not found' });
+			const hashedToken = randomUUID();
+			tokens.set(hashedToken, user.id);
+			return send(res, 200, {
+				...user,
+				action_link: `http://localhost/verify?token=${hashedToken}`,
+				email_otp: '123456',
+				hashed_token: hashedToken,
+				redirect_to: null,
+				verification_type: body.type,
+			});
+		}
+
+		if (req.method === 'POST' && path === '/auth/v1/verify') {
+			const userId = tokens.get(body.token_hash);
+			if (!userId || body.type !== 'magiclink') {
+				return send(res, 403, { code: 'otp_expired', msg: 'Token has expired or is invalid' });
+			}
+			tokens.delete(body.token_hash);
+			return send(res, 200, {
+				access_token: `access-${userId}`,
+				refresh_token: `refresh-${userId}`,
+				token_type: 'bearer',
+				expires_in: 3600,
+				user: users.get(userId),
+			});
+		}
+
+		return send(res, 404, { msg: `No stand-in for ${req.method} ${path}` });
+	});
+
+	return { server, users, calls };
+}
+
+const goTrue = createGoTrueStandIn();
+let url;
+let issuer;
+
+before(async () => {
+	await new Promise((resolve) => goTrue.server.listen(0, '127.0.0.1', resolve));
+	url = `http://127.0.0.1:${goTrue.server.address().port}`;
+	const clientOptions = { auth: { autoRefreshToken: false, persistSession: false } };
+	issuer = createSupabaseSessionIssuer({
+		admin: createClient(url, 'service-role-key', clientOptions),
+		url,
+		anonKey: 'anon-key',
+		clientOptions,
+	});
+});
+
+after(() => new Promise((resolve) => goTrue.server.close(resolve)));
+
+beforeEach(() => {
+	goTrue.users.clear();
+	goTrue.calls.length = 0;
+});
+
+function addUser(fields) {
+	const user = {
+		id: randomUUID(),
+		aud: 'authenticated',
+		role: 'authenticated',
+		phone: '79991234567',
+		email: '',
+		app_metadata: { provider: 'phone', providers: ['phone'] },
+		user_metadata: {},
+		...fields,
+	};
+	goTrue.users.set(user.id, user);
+	return user;
+}
+
+test('issues a session with access and refresh tokens for a phone-only user', async () => {
+	const user = addUser();
+
+	const session = await issuer.issueSession({ userId: user.id });
+
+	assert.deepEqual(session, {
+		accessToken: `access-${user.id}`,
+		refreshToken: `refresh-${user.id}`,
+		tokenType: 'bearer',
+		expiresIn: 3600,
+		expiresAt: session.expiresAt,
+	});
+	assert.equal(typeof session.expiresAt, 'number');
+	const updated = goTrue.users.get(user.id);
+	assert.equal(updated.email, `${user.id}@phone.invalid`);
+	assert.deepEqual(updated.app_metadata, {
+		provider: 'phone',
+		providers: ['phone'],
+		placeholder_email: `${user.id}@phone.invalid`,
+	});
+});
+
+test('never changes the password', async () => {
+	const phoneOnly = addUser();
+	const withEmail = addUser({ email: 'user@example.com' });
+
+	await issuer.issueSession({ userId: phoneOnly.id });
+	await issuer.issueSession({ userId: withEmail.id });
+
+	const updates = goTrue.calls.filter((call) => call.method === 'PUT');
+	assert.equal(updates.length, 1);
+	assert.deepEqual(updates[0].body, {
+		email: `${phoneOnly.id}@phone.invalid`,
+		email_confirm: true,
+		app_metadata: { placeholder_email: `${phoneOnly.id}@phone.invalid` },
+	});
+	assert.equal(goTrue.users.get(withEmail.id).email, 'user@example.com');
+	assert.ok(goTrue.calls.every((call) => !('password' in (call.body ?? {}))));
+	assert.ok(!goTrue.calls.some((call) => call.path === '/auth/v1/token'));
+});
+
+test('fails when the user does not exist', async () => {
+	await assert.rejects(issuer.issueSession({ userId: randomUUID() }), /User not found/);
+});
+
+test('is disabled without an anon key', () => {
+	assert.equal(createSupabaseSessionIssuer({ admin: {}, url: 'http://localhost' }), null);
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { after, before, beforeEach, test } from 'node:test';
+import { startApp } from './helpers/app.js';
+import { createSupabaseStandIn } from './helpers/supabase-stand-in.js';
+
+const supabase = createSupabaseStandIn();
+let api;
+
+before(async () => {
+	api = await startApp({
+		SUPABASE_URL: await supabase.start(),
+		SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+		OTP_RESEND_COOLDOWN_SECONDS: '0',
+	});
+});
+
+after(async () => {
+	await api.close();
+	await supabase.stop();
+});
+
+beforeEach(() => {
+	supabase.calls.length = 0;
+});
+
+const listsUsers = (call) => call.method === 'GET' && call.path === '/auth/v1/admin/users';
+
+async function logIn(phone) {
+	const created = await api.request('POST', '/otp/request', { phone });
+	assert.equal(created.status, 200);
+	const verified = await api.request('POST', '/otp/verify', {
+		requestId: created.data.requestId,
+		code: created.data.mockCode,
+	});
+	assert.equal(verified.status, 200);
+	return verified.data;
+}
+
+test('a new phone gets a user without scanning the existing ones', async () => {
+	const verified = await logIn('+79991234567');
+
+	assert.equal(verified.supabaseUserCreated, true);
+	assert.equal(supabase.users.length, 1);
+	assert.equal(verified.supabaseUserId, supabase.users[0].id);
+	assert.ok(!supabase.calls.some(listsUsers));
+	const mapping = supabase.table('user_phones').find((row) => row.phone_e164 === '+79991234567');
+	assert.equal(mapping?.auth_user_id, verified.supabaseUserId);
+});
+
+test('a known phone is served from user_phones', async () => {
+	const first = await logIn('+79991234568');
+	supabase.calls.length = 0;
+
+	const again = await logIn('+79991234568');
+
+	assert.equal(again.supabaseUserCreated, false);
+	assert.equal(again.supabaseUserId, first.supabaseUserId);
+	assert.ok(!supabase.calls.some((call) => call.path === '/auth/v1/admin/users'));
+});
+
+test('a phone registered outside user_phones is found after createUser refuses it', async () => {
+	const user = { id: randomUUID(), phone: '79991234569', app_metadata: {}, user_metadata: {} };
+	supabase.users.push(user);
+
+	const verified = await logIn('+79991234569');
+
+	assert.equal(verified.supabaseUserCreated, false);
+	assert.equal(verified.supabaseUserId, user.id);
+	assert.ok(supabase.calls.some(listsUsers));
+});
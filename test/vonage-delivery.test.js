@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:http';
+import { after, before, test } from 'node:test';
+import { createVonageProvider } from '../src/providers/vonage.js';
+
+const SIGNATURE_SECRET = 'vonage-signature-secret';
+const MESSAGE_ID = '0A0000000123ABCD1';
+
+// A stand-in for the Vonage SMS API: it answers /sms/json the way Vonage does
+// and remembers what was sent.
+const sent = [];
+const vonage = createServer(async (req, res) => {
+	let raw = '';
+	for await (const chunk of req) raw += chunk;
+	sent.push({ path: new URL(req.url, 'http://localhost').pathname, body: JSON.parse(raw) });
+	res.writeHead(200, { 'content-type': 'application/json' });
+	res.end(
+		JSON.stringify({
+			'message-count': '1',
+			messages: [
+				{
+					to: '79991234567',
+					'message-id': MESSAGE_ID,
+					status: '0',
+					'remaining-balance': '3.14159265',
+					'message-price': '0.03330000',
+					network: '25001',
+				},
+			],
+		})
+	);
+});
+
+let server;
+let base;
+
+before(async () => {
+	await new Promise((resolve) => vonage.listen(0, '127.0.0.1', resolve));
+
+	// No Supabase: requests and the audit log stay in memory.
+	Object.assign(process.env, {
+		VERCEL: '1',
+		LOG_LEVEL: 'silent',
+		SUPABASE_URL: '',
+		SUPABASE_SERVICE_ROLE_KEY: '',
+		OTP_PROVIDER_PRIORITY: 'vonage',
+		OTP_ADMIN_API_KEYS: 'admin-key',
+		VONAGE_API_KEY: 'abcd1234',
+		VONAGE_API_SECRET: 'secret',
+		VONAGE_SMS_FROM: 'Podderzhka',
+		VONAGE_REST_HOST: `http://127.0.0.1:${vonage.address().port}`,
+		VONAGE_SIGNATURE_SECRET: SIGNATURE_SECRET,
+	});
+
+	const { default: app } = await import('../index.js');
+	server = app.listen(0, '127.0.0.1');
+	await new Promise((resolve) => server.once('listening', resolve));
+	base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+	await new Promise((resolve) => server.close(resolve));
+	await new Promise((resolve) => vonage.close(resolve));
+});
+
+// The md5hash scheme from verifyVonageSignature, as Vonage signs its webhooks.
+function sign(params) {
+	const base = Object.keys(params)
+		.sort()
+		.map((key) => `&${key}=${String(params[key]).replace(/[&=]/g, '_')}`)
+		.join('');
+	return {
+		...params,
+		sig: createHash('md5')
+			.update(base + SIGNATURE_SECRET)
+			.digest('hex'),
+	};
+}
+
+async function request(method, path, body, headers = {}) {
+	const response = await fetch(base + path, {
+		method,
+		headers: { 'content-type': 'application/json', ...headers },
+		body: body ? JSON.stringify(body) : undefined,
+	});
+	const text = await response.text();
+	return { status: response.status, data: text ? JSON.parse(text) : null };
+}
+
+test('a Vonage SMS delivery receipt updates the request it was sent for', async () => {
+	const created = await request('POST', '/otp/request', { phone: '+79991234567' });
+	assert.equal(created.status, 200);
+	assert.equal(created.data.provider, 'vonage');
+	assert.equal(sent.length, 1);
+	assert.equal(sent[0].path, '/sms/json');
+	assert.equal(sent[0].body.from, 'Podderzhka');
+	assert.equal(sent[0].body.type, 'unicode');
+	assert.match(sent[0].body.text, /\d{6}/);
+
+	// A delivery receipt as Vonage posts it for the SMS API, signed.
+	const receipt = sign({
+		msisdn: '79991234567',
+		to: 'Podderzhka',
+		'network-code': '25001',
+		messageId: MESSAGE_ID,
+		price: '0.03330000',
+		status: 'delivered',
+		scts: '2610191200',
+		'err-code': '0',
+		'api-key': 'abcd1234',
+		'message-timestamp': '2026-10-19 12:00:00',
+		timestamp: String(Math.floor(Date.now() / 1000)),
+		nonce: 'ec11dd3e-1e7f-4db5-9467-82b02cd223b9',
+	});
+	const delivered = await request('POST', '/webhooks/vonage/delivery', receipt);
+	assert.equal(delivered.status, 204);
+
+	const events = await request(
+		'GET',
+		`/audit?type=otp.delivery_status&requestId=${created.data.requestId}`,
+		null,
+		{ 'x-api-key': 'admin-key' }
+	);
+	assert.equal(events.status, 200);
+	assert.equal(events.data.items.length, 1);
+	assert.equal(events.data.items[0].outcome, 'delivered');
+});
+
+test('the code sent by SMS is checked locally', async () => {
+	const created = await request('POST', '/otp/request', { phone: '+79997654321' });
+	const code = sent.at(-1).body.text.match(/\d{6}/)[0];
+
+	const verified = await request('POST', '/otp/verify', {
+		requestId: created.data.requestId,
+		code,
+	});
+	assert.equal(verified.status, 200);
+	assert.equal(verified.data.success, true);
+});
+
+test('the SMS sender has to be a sender ID Vonage accepts', () => {
+	const credentials = { apiKey: 'abcd1234', apiSecret: 'secret', brand: 'Поддержка++' };
+
+	assert.throws(
+		() => createVonageProvider({ ...credentials, smsFrom: 'Поддержка++' }),
+		/VONAGE_SMS_FROM/
+	);
+	assert.throws(() => createVonageProvider({ ...credentials, smsFrom: 'Podderzhka24x' }));
+	assert.deepEqual(createVonageProvider({ ...credentials, smsFrom: '79991234567' }).channels, [
+		'sms',
+		'voice',
+	]);
+	assert.deepEqual(createVonageProvider(credentials).channels, ['voice']);
+});